@@ -1,12 +1,19 @@
 import admin from "firebase-admin";
 import { readFileSync } from "fs";
+import { config } from "./index.js";
 
+if (config.storage.driver === "memory") {
+  // In-memory storage runs without a service account; only token verification reaches Firebase.
+  admin.initializeApp({
+    projectId: config.firebase.projectId,
+  });
+} else {
+  const serviceAccount = JSON.parse(readFileSync("./config/serviceAccount.json", "utf8"));
 
-const serviceAccount = JSON.parse(readFileSync("./config/serviceAccount.json", "utf8"));
-
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-  databaseURL: "https://roprapp-cluster-default-rtdb.europe-west1.firebasedatabase.app/", 
-});
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+    databaseURL: config.firebase.databaseURL,
+  });
+}
 
 export default admin;
@@ -20,6 +20,45 @@ export const config = {
     clientSecret: process.env.DISCORD_CLIENT_SECRET,
     callbackUrl: process.env.DISCORD_CALLBACK_URL,
   },
+  firebase: {
+    projectId: process.env.FIREBASE_PROJECT_ID || "roprapp-cluster",
+    databaseURL: process.env.FIREBASE_DATABASE_URL || "https://roprapp-cluster-default-rtdb.europe-west1.firebasedatabase.app/",
+  },
+  storage: {
+    driver: process.env.STORAGE_DRIVER || "firebase",
+    seedFile: process.env.STORAGE_SEED_FILE || null,
+  },
+  sessions: {
+    seriesHorizonDays: parseInt(process.env.SESSION_SERIES_HORIZON_DAYS) || 28,
+    seriesJobIntervalMs: parseInt(process.env.SESSION_SERIES_JOB_INTERVAL_MS) || 60 * 60 * 1000,
+  },
+  quotas: {
+    periodCloseIntervalMs: parseInt(process.env.QUOTA_PERIOD_CLOSE_INTERVAL_MS) || 60 * 60 * 1000,
+    maxCatchUpPeriods: parseInt(process.env.QUOTA_MAX_CATCH_UP_PERIODS) || 12,
+  },
+  assignments: {
+    reminderLeadMs: parseInt(process.env.ASSIGNMENT_REMINDER_LEAD_MS) || 24 * 60 * 60 * 1000,
+    escalationMarginMs: parseInt(process.env.ASSIGNMENT_ESCALATION_MARGIN_MS) || 48 * 60 * 60 * 1000,
+    deadlineJobIntervalMs: parseInt(process.env.ASSIGNMENT_DEADLINE_JOB_INTERVAL_MS) || 15 * 60 * 1000,
+    recurrenceJobIntervalMs: parseInt(process.env.ASSIGNMENT_RECURRENCE_JOB_INTERVAL_MS) || 15 * 60 * 1000,
+  },
+  loa: {
+    expireJobIntervalMs: parseInt(process.env.LOA_EXPIRE_JOB_INTERVAL_MS) || 15 * 60 * 1000,
+  },
+  forms: {
+    draftTtlMs: parseInt(process.env.FORM_DRAFT_TTL_MS) || 14 * 24 * 60 * 60 * 1000,
+    draftExpireJobIntervalMs: parseInt(process.env.FORM_DRAFT_EXPIRE_JOB_INTERVAL_MS) || 60 * 60 * 1000,
+  },
+  bake: {
+    searchRebuildIntervalMs: parseInt(process.env.BAKE_SEARCH_REBUILD_INTERVAL_MS) || 10 * 60 * 1000,
+    defaultReviewIntervalDays: parseInt(process.env.BAKE_DEFAULT_REVIEW_INTERVAL_DAYS) || 180,
+    staleCheckIntervalMs: parseInt(process.env.BAKE_STALE_CHECK_INTERVAL_MS) || 60 * 60 * 1000,
+    maiaConversationRetentionMs: parseInt(process.env.MAIA_CONVERSATION_RETENTION_MS) || 90 * 24 * 60 * 60 * 1000,
+    maiaConversationExpireIntervalMs: parseInt(process.env.MAIA_CONVERSATION_EXPIRE_INTERVAL_MS) || 60 * 60 * 1000,
+  },
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== "false",
+  },
   cache: {
     defaultTTL: parseInt(process.env.CACHE_TTL) || 300,
     maxKeys: parseInt(process.env.CACHE_MAX_KEYS) || 1000,
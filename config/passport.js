@@ -3,6 +3,7 @@ import axios from "axios";
 import { Strategy as OpenIDConnectStrategy } from "passport-openidconnect";
 import { Strategy as DiscordStrategy } from "passport-discord";
 import admin from "./firebase.js";
+import storage from "../services/storage/index.js";
 import { config } from "./index.js";
 
 // --- Roblox OAuth Strategy ---
@@ -147,7 +148,7 @@ passport.use(
           }
         };
 
-        await admin.database().ref(`users/${robloxUser.sub}`).set(userData);
+        await storage.ref(`users/${robloxUser.sub}`).set(userData);
         await assignRoleToUser(firebaseUser.uid, defaultRole);
 
         const firebaseToken = await admin.auth().createCustomToken(firebaseUser.uid);
@@ -0,0 +1,59 @@
+import { randomUUID } from "crypto";
+import { AuditService } from "../services/auditService.js";
+
+const auditService = new AuditService();
+
+const MUTATING_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+// Tags every request with an ID (honouring an incoming X-Request-Id) so
+// audit entries and logs can be correlated.
+export const requestContext = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.requestId = typeof incoming === "string" && incoming.length <= 128 ? incoming : randomUUID();
+  res.setHeader('X-Request-Id', req.requestId);
+  next();
+};
+
+// Records one audit entry for every successful mutating request. Routes can
+// call req.audit({ action, target, before, after, metadata }) to describe the
+// change; anything they don't provide falls back to the matched route.
+export const auditTrail = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  let details = {};
+  req.audit = (extra = {}) => {
+    details = { ...details, ...extra };
+  };
+
+  res.on("finish", () => {
+    if (res.statusCode >= 400) return;
+
+    const routePath = req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split("?")[0];
+    const { action, target, before, after, metadata } = details;
+
+    auditService.record({
+      action: action || `${req.method} ${routePath}`,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      statusCode: res.statusCode,
+      requestId: req.requestId,
+      ip: req.ip,
+      actor: req.userData ? {
+        uid: req.userData.uid,
+        name: req.userData.profile?.displayName || req.userData.profile?.username || null,
+        level: req.userData.permissions?.level || 0,
+        isApiKey: req.userData.isApiKey || false
+      } : null,
+      target: target || (Object.keys(req.params || {}).length > 0 ? { type: "route", id: Object.values(req.params).join("/"), params: req.params } : null),
+      before,
+      after,
+      metadata: metadata || null
+    }).catch(error => {
+      console.error("Failed to write audit entry:", error);
+    });
+  });
+
+  next();
+};
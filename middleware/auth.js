@@ -1,18 +1,79 @@
 import admin from "../config/firebase.js";
+import storage from "../services/storage/index.js";
 import { AppError } from "./errorHandler.js";
 
-// API Key configuration
-const API_KEYS = {
-  [process.env.INTERNAL_API_KEY]: {
+// API Key configuration. Only keys whose environment variable is set are
+// accepted, so an unset variable can't be matched by sending "undefined".
+const API_KEY_IDENTITIES = [
+  {
+    key: process.env.INTERNAL_API_KEY,
     name: "Internal Service",
     permissions: { level: 10, department: "system", role: "system_admin" },
     uid: "system"
   },
-  [process.env.PARTNER_API_KEY]: {
+  {
+    key: process.env.PARTNER_API_KEY,
     name: "Partner Integration",
     permissions: { level: 3, department: "partner", role: "partner_api" },
     uid: "partner_api"
+  },
+  {
+    key: process.env.GAME_SERVER_API_KEY,
+    name: "Game Server",
+    permissions: { level: 3, department: "system", role: "game_server" },
+    uid: "game_server"
+  }
+];
+
+const API_KEYS = new Map(
+  API_KEY_IDENTITIES
+    .filter(({ key }) => typeof key === "string" && key.length > 0)
+    .map(({ key, ...keyData }) => [key, keyData])
+);
+
+// Resolves a Firebase ID token or API key to the identity attached to requests.
+// Shared by the HTTP middleware and the WebSocket handshake.
+export const resolveCredentials = async ({ token, apiKey }) => {
+  // Handle API Key authentication
+  if (apiKey && API_KEYS.has(apiKey)) {
+    const keyData = API_KEYS.get(apiKey);
+    return {
+      authenticatedUser: { uid: keyData.uid, name: keyData.name },
+      userData: {
+        uid: keyData.uid,
+        permissions: keyData.permissions,
+        profile: { displayName: keyData.name },
+        isApiKey: true
+      }
+    };
+  }
+
+  // Handle Firebase token authentication
+  if (token) {
+    const decodedToken = await admin.auth().verifyIdToken(token);
+    
+    const userSnapshot = await storage
+      .ref(`/users/${decodedToken.uid}`)
+      .once('value');
+    
+    const userData = userSnapshot.val();
+    
+    if (!userData) {
+      throw new AppError("User not found", 404);
+    }
+    
+    // Ensure uid is included in userData
+    return {
+      authenticatedUser: decodedToken,
+      userData: {
+        uid: decodedToken.uid,
+        ...userData,
+        isApiKey: false
+      }
+    };
   }
+
+  throw new AppError("Invalid authentication credentials", 401);
 };
 
 export const authenticateToken = async (req, res, next) => {
@@ -25,45 +86,11 @@ export const authenticateToken = async (req, res, next) => {
       throw new AppError("Authentication required - provide Bearer token or API key", 401);
     }
 
-    // Handle API Key authentication
-    if (apiKey && API_KEYS[apiKey]) {
-      const keyData = API_KEYS[apiKey];
-      req.authenticatedUser = { uid: keyData.uid, name: keyData.name };
-      req.userData = {
-        uid: keyData.uid,
-        permissions: keyData.permissions,
-        profile: { displayName: keyData.name },
-        isApiKey: true
-      };
-      return next();
-    }
-
-    // Handle Firebase token authentication
-    if (token) {
-      const decodedToken = await admin.auth().verifyIdToken(token);
-      req.authenticatedUser = decodedToken;
-      
-      const userSnapshot = await admin.database()
-        .ref(`/users/${decodedToken.uid}`)
-        .once('value');
-      
-      const userData = userSnapshot.val();
-      
-      if (!userData) {
-        throw new AppError("User not found", 404);
-      }
-      
-      // Ensure uid is included in userData
-      req.userData = {
-        uid: decodedToken.uid,
-        ...userData,
-        isApiKey: false
-      };
-      
-      return next();
-    }
+    const { authenticatedUser, userData } = await resolveCredentials({ token, apiKey });
+    req.authenticatedUser = authenticatedUser;
+    req.userData = userData;
 
-    throw new AppError("Invalid authentication credentials", 401);
+    return next();
 
   } catch (error) {
     if (error.code === 'auth/id-token-expired') {
@@ -87,6 +114,18 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
+// For routes open to anonymous users whose results depend on who is asking.
+// Requests without credentials continue anonymously; invalid credentials are
+// still rejected rather than silently treated as anonymous.
+export const optionalAuthentication = (req, res, next) => {
+  const hasToken = Boolean(req.headers.authorization?.split(" ")[1]);
+  if (!hasToken && !req.headers['x-api-key']) {
+    return next();
+  }
+
+  return authenticateToken(req, res, next);
+};
+
 export const requirePermission = (minLevel) => {
   return (req, res, next) => {
     const userLevel = req.userData?.permissions?.level || 0;
@@ -189,6 +228,38 @@ export const requireDepartmentOrRole = (department, roles) => {
   };
 };
 
+// Restricts a route to server-to-server callers using one of the given API key roles
+export const requireApiKey = (roles) => {
+  return (req, res, next) => {
+    const userRole = req.userData?.permissions?.role;
+    const userLevel = req.userData?.permissions?.level || 0;
+    const isApiKey = req.userData?.isApiKey || false;
+    
+    if (!isApiKey) {
+      return res.status(403).json({
+        success: false,
+        error: "This endpoint requires an API key"
+      });
+    }
+    
+    // System API keys bypass role restrictions
+    if (userLevel >= 10) {
+      return next();
+    }
+    
+    const allowedRoles = Array.isArray(roles) ? roles : [roles];
+    
+    if (!allowedRoles.includes(userRole)) {
+      return res.status(403).json({
+        success: false,
+        error: "API key not authorized for this endpoint"
+      });
+    }
+    
+    next();
+  };
+};
+
 // Add user validation middleware
 export const validateUser = (req, res, next) => {
   if (!req.userData) {
@@ -49,4 +49,12 @@ export const cacheMiddleware = (duration = config.cache.defaultTTL) => {
   };
 };
 
+// Drops every cached GET response under a route prefix, e.g. "/api/bake".
+// Needed when a change affects who may see a response, not just its content.
+export const invalidateCache = (pathPrefix) => {
+  const keys = cache.keys().filter(key => key.startsWith(`GET:${pathPrefix}`));
+  cache.del(keys);
+  return keys.length;
+};
+
 export default cache;
@@ -9,11 +9,10 @@ import { Router } from "express";
 import { authenticateFirebaseToken, requirePermission } from "../middleware/auth.js";
 import { cacheMiddleware } from "../middleware/cache.js";
 import { asyncHandler } from "../middleware/errorHandler.js";
-import { CACHE_DURATIONS } from "../utils/constants.js";
-import admin from 'firebase-admin';
+import { CACHE_DURATIONS, ALLOWED_IMAGE_DOMAINS } from "../utils/constants.js";
+import db from "../services/storage/index.js";
 
 const router = Router();
-const db = admin.database();
 
 // ==================== CONFIGURATION ====================
 
@@ -66,15 +65,6 @@ const FUNCTIONAL_CATEGORY_MAPPING = {
   operations: ['admin', 'settings', 'reports', 'analytics', 'monitoring', 'oam', 'uvm', 'partners', 'pvm']
 };
 
-const ALLOWED_IMAGE_DOMAINS = [
-  'cdn.discordapp.com',
-  'media.discordapp.net',
-  'imgur.com',
-  'i.imgur.com',
-  'github.com',
-  'raw.githubusercontent.com'
-];
-
 // ==================== HELPER FUNCTIONS ====================
 
 function validateUserId(userId) {
@@ -832,8 +822,17 @@ router.post("/",
       requiredPermissions: applicationData.requiredPermissions || ['basic_access']
     };
     
+    const existingSnapshot = await db.ref(`applications/${applicationData.id}`).once('value');
+    
     await createApplication(applicationData.id, appData);
     
+    req.audit({
+      action: "application.create",
+      target: { type: "application", id: applicationData.id },
+      before: existingSnapshot.val(),
+      after: appData
+    });
+    
     res.status(201).json({
       success: true,
       message: "Application created successfully",
@@ -857,8 +856,18 @@ router.put("/:appId",
       });
     }
     
+    const existingSnapshot = await db.ref(`applications/${appId}`).once('value');
+    const existingApp = existingSnapshot.val();
+    
     await updateApplication(appId, updateData);
     
+    req.audit({
+      action: "application.update",
+      target: { type: "application", id: appId },
+      before: existingApp,
+      after: { ...existingApp, ...updateData }
+    });
+    
     res.json({
       success: true,
       message: "Application updated successfully",
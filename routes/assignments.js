@@ -9,21 +9,195 @@ import { Router } from "express";
 import { authenticateFirebaseToken, requirePermission } from "../middleware/auth.js";
 import { cacheMiddleware } from "../middleware/cache.js";
 import { asyncHandler } from "../middleware/errorHandler.js";
-import { CACHE_DURATIONS } from "../utils/constants.js";
-import admin from 'firebase-admin';
+import { CACHE_DURATIONS, QUOTA_METRICS, QUOTA_PERIODS, ALLOWED_IMAGE_DOMAINS, ALLOWED_FILE_DOMAINS } from "../utils/constants.js";
+import db from "../services/storage/index.js";
+import { QuotaService, DEFAULT_QUOTA_DEFINITIONS, getUserQuotaDepartment } from "../services/quotaService.js";
+import { LoaService } from "../services/loaService.js";
+import { FirebaseService } from "../services/firebaseService.js";
+import { AssignmentService, isAssignmentOverdue, parseDueOffset, BULK_TARGET_TYPES } from "../services/assignmentService.js";
+import { validateRecurrence } from "../utils/recurrence.js";
 
 const router = Router();
-const db = admin.database();
-
-// Helper function to get start of current week (Sunday)
-function getWeekStart() {
-  const now = new Date();
-  const dayOfWeek = now.getDay();
-  const weekStart = new Date(now);
-  weekStart.setDate(now.getDate() - dayOfWeek);
-  weekStart.setHours(0, 0, 0, 0);
-  return weekStart;
-}
+const quotaService = new QuotaService();
+const loaService = new LoaService();
+const firebaseService = new FirebaseService();
+const assignmentService = new AssignmentService();
+
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_SUBTASKS = 50;
+const MAX_ATTACHMENTS = 20;
+const ATTACHMENT_DOMAINS = [...ALLOWED_IMAGE_DOMAINS, ...ALLOWED_FILE_DOMAINS];
+const ASSIGNMENT_PRIORITIES = ['low', 'medium', 'high'];
+
+// Shared by bulk creation and templates; `partial` only checks fields that are present
+const validateAssignmentContent = ({ title, description, priority, subtasks }, partial = false) => {
+  if (!partial || title !== undefined) {
+    if (!title || typeof title !== 'string' || title.trim().length === 0 || title.length > 200) {
+      return "title is required and must be at most 200 characters";
+    }
+  }
+  if (!partial || description !== undefined) {
+    if (!description || typeof description !== 'string' || description.trim().length === 0 || description.length > 1000) {
+      return "description is required and must be at most 1000 characters";
+    }
+  }
+  if (priority !== undefined && !ASSIGNMENT_PRIORITIES.includes(priority)) {
+    return `priority must be one of: ${ASSIGNMENT_PRIORITIES.join(', ')}`;
+  }
+  if (subtasks !== undefined) {
+    const validSubtasks = Array.isArray(subtasks) && subtasks.length <= MAX_SUBTASKS &&
+      subtasks.every(subtask => typeof subtask === 'string' && subtask.trim().length > 0 && subtask.length <= 200);
+    if (!validSubtasks) {
+      return `subtasks must be an array of at most ${MAX_SUBTASKS} titles`;
+    }
+  }
+  return null;
+};
+
+// Templates and recurring assignments can be managed by their author, the
+// head of the department they belong to, and level 8+
+const canManageDepartmentItem = (req, item) => {
+  const level = req.userData?.permissions?.level || 0;
+  return item.createdBy === req.authenticatedUser.uid || level >= 8 ||
+    (level >= 7 && req.userData?.permissions?.department === item.department);
+};
+
+// Loads a template the current user may create assignments from: its author,
+// members of its department and level 8+. Sends the error response and
+// returns null otherwise.
+const loadUsableTemplate = async (req, res, templateId) => {
+  const template = await assignmentService.getTemplate(templateId);
+
+  if (!template) {
+    res.status(404).json({
+      success: false,
+      error: "Template not found"
+    });
+    return null;
+  }
+
+  const level = req.userData?.permissions?.level || 0;
+  const canUse = level >= 8 || template.createdBy === req.authenticatedUser.uid ||
+    (!!template.department && template.department === req.userData?.permissions?.department);
+
+  if (!canUse) {
+    res.status(403).json({
+      success: false,
+      error: "You can only use templates from your department"
+    });
+    return null;
+  }
+
+  return template;
+};
+
+// Attachments must be https links to an allowed host or one of its subdomains
+const isAllowedAttachmentUrl = (url) => {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'https:' &&
+      ATTACHMENT_DOMAINS.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+  } catch (error) {
+    return false;
+  }
+};
+
+// Managers (level 5+) act on assignments of their own department's members,
+// going by the assignee's department; level 8+ act on every assignment.
+const getAssignmentRoles = async (req, assignment) => {
+  const userId = req.authenticatedUser.uid;
+  const level = req.userData?.permissions?.level || 0;
+  let isManager = level >= 8;
+
+  if (!isManager && level >= 5) {
+    const assigneeSnapshot = await db.ref(`users/${assignment.assignedTo}`).once('value');
+    const assigneeDepartment = getUserQuotaDepartment(assigneeSnapshot.val());
+    isManager = !!assigneeDepartment && assigneeDepartment === req.userData?.permissions?.department;
+  }
+
+  return {
+    isAssignee: assignment.assignedTo === userId,
+    isAssigner: assignment.assignedBy === userId,
+    isManager
+  };
+};
+
+// Loads an assignment visible to the current user (assignee, assigner or
+// manager of the assignee's department). Sends the error response and
+// returns null otherwise.
+const loadAccessibleAssignment = async (req, res) => {
+  const { assignmentId } = req.params;
+  const snapshot = await db.ref(`assignments/tasks/${assignmentId}`).once('value');
+
+  if (!snapshot.exists()) {
+    res.status(404).json({
+      success: false,
+      error: "Assignment not found"
+    });
+    return null;
+  }
+
+  const assignment = { id: assignmentId, ...snapshot.val() };
+  const roles = await getAssignmentRoles(req, assignment);
+
+  if (!roles.isAssignee && !roles.isAssigner && !roles.isManager) {
+    res.status(403).json({
+      success: false,
+      error: "Not authorized to access this assignment"
+    });
+    return null;
+  }
+
+  return { assignment, roles };
+};
+
+const sortByOrder = (items = {}) => Object.values(items).sort((a, b) => a.order - b.order);
+
+// Nests replies under their parent comment, oldest first at every level
+const buildCommentThreads = (comments) => {
+  const byId = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]));
+  const roots = [];
+
+  [...byId.values()]
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .forEach(comment => {
+      const parent = comment.parentId && byId.get(comment.parentId);
+      (parent ? parent.replies : roots).push(comment);
+    });
+
+  return roots;
+};
+
+const validateQuotaDefinition = (definition, partial = false) => {
+  const { title, metric, target, period, levels } = definition;
+
+  if (!partial || title !== undefined) {
+    if (!title || typeof title !== 'string') return "title is required";
+  }
+  if (!partial || metric !== undefined) {
+    if (!Object.values(QUOTA_METRICS).includes(metric)) {
+      return `metric must be one of: ${Object.values(QUOTA_METRICS).join(', ')}`;
+    }
+  }
+  if (!partial || target !== undefined) {
+    if (!Number.isInteger(target) || target < 1) return "target must be a positive integer";
+  }
+  if (!partial || period !== undefined) {
+    if (!QUOTA_PERIODS.includes(period)) return `period must be one of: ${QUOTA_PERIODS.join(', ')}`;
+  }
+  if (levels !== undefined) {
+    const min = levels?.min ?? 0;
+    const max = levels?.max ?? 10;
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max > 10 || min > max) {
+      return "levels must be { min, max } with 0 <= min <= max <= 10";
+    }
+  }
+  return null;
+};
+
+// Department heads manage their own department's quotas; level 8+ manage all
+const canManageDepartmentQuotas = (req, department) =>
+  (req.userData?.permissions?.level || 0) >= 8 || req.userData?.permissions?.department === department;
 
 /**
  * @swagger
@@ -51,6 +225,178 @@ function getWeekStart() {
  *           type: string
  *           enum: [sessions_attended, shifts_completed, sessions_hosted, tasks_completed]
  *           description: Type of quota
+ *         period:
+ *           type: string
+ *           enum: [weekly, biweekly, monthly]
+ *         periodStart:
+ *           type: integer
+ *           description: Start of the current period (ms)
+ *         periodEnd:
+ *           type: integer
+ *           description: End of the current period (ms, exclusive)
+ *         exempt:
+ *           type: boolean
+ *           description: True while the user is on an approved leave of absence
+ *
+ *     QuotaDefinition:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         department:
+ *           type: string
+ *         title:
+ *           type: string
+ *         metric:
+ *           type: string
+ *           enum: [sessions_attended, shifts_completed, sessions_hosted, tasks_completed]
+ *         target:
+ *           type: integer
+ *         period:
+ *           type: string
+ *           enum: [weekly, biweekly, monthly]
+ *         levels:
+ *           type: object
+ *           description: Permission levels the quota applies to (inclusive)
+ *           properties:
+ *             min:
+ *               type: integer
+ *             max:
+ *               type: integer
+ *         active:
+ *           type: boolean
+ *
+ *     AssignmentComment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         parentId:
+ *           type: string
+ *           nullable: true
+ *         authorId:
+ *           type: string
+ *         body:
+ *           type: string
+ *           nullable: true
+ *           description: Null once the comment is deleted
+ *         deleted:
+ *           type: boolean
+ *         createdAt:
+ *           type: integer
+ *           description: Unix timestamp when posted
+ *         replies:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/AssignmentComment'
+ *
+ *     AssignmentTemplate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *         priority:
+ *           type: string
+ *           enum: [low, medium, high]
+ *         dueOffset:
+ *           type: string
+ *           example: +3 days
+ *           description: Due date relative to when the template is used
+ *         subtasks:
+ *           type: array
+ *           items:
+ *             type: string
+ *         department:
+ *           type: string
+ *
+ *     RecurringAssignment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *         priority:
+ *           type: string
+ *           enum: [low, medium, high]
+ *         subtasks:
+ *           type: array
+ *           items:
+ *             type: string
+ *         templateId:
+ *           type: string
+ *           description: Template to take content and dueOffset from when creating
+ *         dueOffset:
+ *           type: string
+ *           example: +3 days
+ *         target:
+ *           type: object
+ *           description: Same shape as the bulk assignment target
+ *         recurrence:
+ *           type: object
+ *           description: Recurrence rule (frequency, interval, byWeekday, timezone and optional count or until)
+ *         startTime:
+ *           type: string
+ *           description: First occurrence (ISO date or ms, defaults to now)
+ *         skipIfOpen:
+ *           type: boolean
+ *           default: true
+ *           description: Skip users whose assignment from the previous occurrence is still pending or in progress
+ *         status:
+ *           type: string
+ *           enum: [active, paused, ended]
+ *         nextOccurrenceAt:
+ *           type: integer
+ *         lastOccurrenceAt:
+ *           type: integer
+ *         generatedCount:
+ *           type: integer
+ *         skippedCount:
+ *           type: integer
+ *           description: Missed occurrences that were not generated
+ *
+ *     QuotaSnapshot:
+ *       type: object
+ *       description: A user's quota results for one closed period
+ *       properties:
+ *         userId:
+ *           type: string
+ *         department:
+ *           type: string
+ *         period:
+ *           type: string
+ *           enum: [weekly, biweekly, monthly]
+ *         periodKey:
+ *           type: string
+ *           example: weekly_2024-03-10
+ *         periodStart:
+ *           type: integer
+ *         periodEnd:
+ *           type: integer
+ *         quotas:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/WeeklyQuota'
+ *         passed:
+ *           type: boolean
+ *           description: Whether every quota in the period was met
+ *         exempt:
+ *           type: boolean
+ *           description: Whether the user was on an approved leave of absence during the period
+ *         loaId:
+ *           type: string
+ *           nullable: true
+ *         closedAt:
+ *           type: integer
  *     
  *     Assignment:
  *       type: object
@@ -77,6 +423,15 @@ function getWeekStart() {
  *           type: string
  *           enum: [pending, in_progress, under_review, completed]
  *           description: Current assignment status
+ *         overdue:
+ *           type: boolean
+ *           description: Past its due date while still pending or in progress
+ *         overdueAt:
+ *           type: integer
+ *           description: Unix timestamp when first marked overdue for the current due date
+ *         escalatedAt:
+ *           type: integer
+ *           description: Unix timestamp when the overdue item was escalated to the assigner and department head
  *         priority:
  *           type: string
  *           enum: [low, medium, high]
@@ -87,6 +442,36 @@ function getWeekStart() {
  *         updatedAt:
  *           type: integer
  *           description: Unix timestamp when last updated
+ *         subtasks:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               completed:
+ *                 type: boolean
+ *               completedBy:
+ *                 type: string
+ *               completedAt:
+ *                 type: integer
+ *         attachments:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               addedBy:
+ *                 type: string
+ *               addedAt:
+ *                 type: integer
  *       required:
  *         - title
  *         - description
@@ -100,8 +485,8 @@ function getWeekStart() {
  * @swagger
  * /api/assignments/quotas:
  *   get:
- *     summary: Get user's weekly quotas with auto-calculation
- *     description: Calculates weekly quotas based on actual user activity data from Firebase
+ *     summary: Get user's quotas with auto-calculation
+ *     description: Calculates the quotas defined for the user's department and level from actual activity data. Departments without definitions use the default weekly quotas. Users on an approved leave of absence are marked exempt.
  *     tags: [Assignments]
  *     security:
  *       - BearerAuth: []
@@ -119,124 +504,33 @@ function getWeekStart() {
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/WeeklyQuota'
+ *                     meta:
+ *                       type: object
+ *                       properties:
+ *                         exempt:
+ *                           type: boolean
+ *                         loa:
+ *                           type: object
+ *                           nullable: true
+ *                           description: The approved leave currently covering the user
  *       401:
  *         description: Authentication required
  *       500:
  *         description: Server error
  */
+// Not cached: a cache hit only replays `data`, which would drop the leave
+// details in `meta`, and exemption has to follow LOA approvals immediately.
 router.get("/quotas", 
   authenticateFirebaseToken,
-  cacheMiddleware(CACHE_DURATIONS.SHORT),
   asyncHandler(async (req, res) => {
     const userId = req.authenticatedUser.uid;
     
-    // Calculate quotas based on actual data
-    const quotas = [];
-    const weekStart = getWeekStart();
+    let quotas = [];
+    const activeLeave = await loaService.getActiveLeave(userId);
     
     try {
-      // 1. Sessions Attended - count from sessions attendance
-      const sessionsSnapshot = await db.ref('sessions/sessions').once('value');
-      let sessionsAttended = 0;
-      
-      if (sessionsSnapshot.exists()) {
-        sessionsSnapshot.forEach(child => {
-          const session = child.val();
-          if (session.attendance && session.attendance[userId]) {
-            // Check if session was this week
-            const sessionDate = new Date(session.schedule?.startTime * 1000);
-            if (sessionDate >= weekStart) {
-              sessionsAttended++;
-            }
-          }
-        });
-      }
-      
-      quotas.push({
-        id: 'sessions_attended',
-        title: 'Sessions Attended',
-        current: sessionsAttended,
-        required: 5,
-        completed: sessionsAttended >= 5,
-        type: 'sessions_attended'
-      });
-      
-      // 2. Shifts Completed - count from sessions where user was host
-      const shiftsSnapshot = await db.ref('sessions/sessions').once('value');
-      let shiftsCompleted = 0;
-      
-      if (shiftsSnapshot.exists()) {
-        shiftsSnapshot.forEach(child => {
-          const session = child.val();
-          if (session.host?.primary === userId && session.status === 'completed') {
-            const sessionDate = new Date(session.schedule?.startTime * 1000);
-            if (sessionDate >= weekStart) {
-              shiftsCompleted++;
-            }
-          }
-        });
-      }
-      
-      quotas.push({
-        id: 'shifts_completed',
-        title: 'Shifts Completed',
-        current: shiftsCompleted,
-        required: 6,
-        completed: shiftsCompleted >= 6,
-        type: 'shifts_completed'
-      });
-      
-      // 3. Tasks Completed - count from assignments
-      const assignmentsSnapshot = await db.ref('assignments/tasks')
-        .orderByChild('assignedTo')
-        .equalTo(userId)
-        .once('value');
-      
-      let tasksCompleted = 0;
-      if (assignmentsSnapshot.exists()) {
-        assignmentsSnapshot.forEach(child => {
-          const assignment = child.val();
-          if (assignment.status === 'completed' && assignment.updatedAt) {
-            const completedDate = new Date(assignment.updatedAt * 1000);
-            if (completedDate >= weekStart) {
-              tasksCompleted++;
-            }
-          }
-        });
-      }
-      
-      quotas.push({
-        id: 'tasks_completed',
-        title: 'Tasks Completed',
-        current: tasksCompleted,
-        required: 4,
-        completed: tasksCompleted >= 4,
-        type: 'tasks_completed'
-      });
-      
-      // 4. Sessions Hosted - count sessions where user was primary host
-      let sessionsHosted = 0;
-      if (shiftsSnapshot.exists()) {
-        shiftsSnapshot.forEach(child => {
-          const session = child.val();
-          if (session.host?.primary === userId) {
-            const sessionDate = new Date(session.schedule?.startTime * 1000);
-            if (sessionDate >= weekStart) {
-              sessionsHosted++;
-            }
-          }
-        });
-      }
-      
-      quotas.push({
-        id: 'sessions_hosted',
-        title: 'Sessions Hosted',
-        current: sessionsHosted,
-        required: 2,
-        completed: sessionsHosted >= 2,
-        type: 'sessions_hosted'
-      });
-      
+      quotas = (await quotaService.evaluateUser(userId, req.userData))
+        .map(quota => ({ ...quota, exempt: !!activeLeave }));
     } catch (error) {
       console.error('Error calculating quotas:', error);
       // Return empty quotas on error
@@ -245,6 +539,10 @@ router.get("/quotas",
     res.json({
       success: true,
       data: quotas,
+      meta: {
+        exempt: !!activeLeave,
+        loa: activeLeave
+      },
       timestamp: new Date().toISOString()
     });
   })
@@ -255,7 +553,7 @@ router.get("/quotas",
  * /api/assignments/leaderboard:
  *   get:
  *     summary: Get department-specific assignments leaderboard
- *     description: Retrieves leaderboard filtered by user's department with real-time quota and assignment calculations
+ *     description: Retrieves leaderboard filtered by user's department with real-time quota and assignment calculations. Users on an approved leave of absence are left out of the ranking.
  *     tags: [Assignments]
  *     security:
  *       - BearerAuth: []
@@ -334,7 +632,10 @@ router.get("/leaderboard",
     
     // Get all users and filter by primary department
     const usersSnapshot = await db.ref('users').once('value');
+    const activity = await quotaService.loadActivity();
+    const usersOnLeave = await loaService.getUsersOnLeave();
     const leaderboard = [];
+    let onLeave = 0;
     
     if (usersSnapshot.exists()) {
       const users = usersSnapshot.val();
@@ -348,6 +649,11 @@ router.get("/leaderboard",
           continue;
         }
         
+        if (usersOnLeave.has(userId)) {
+          onLeave++;
+          continue;
+        }
+        
         try {
           // Get user's assignments
           const assignmentsSnapshot = await db.ref('assignments/tasks')
@@ -368,55 +674,16 @@ router.get("/leaderboard",
             });
           }
           
-          // Calculate quota percentage (simplified calculation)
-          const weekStart = getWeekStart();
-          
-          // Count sessions attended
-          const sessionsSnapshot = await db.ref('sessions/sessions').once('value');
-          let sessionsAttended = 0;
-          let sessionsHosted = 0;
-          
-          if (sessionsSnapshot.exists()) {
-            sessionsSnapshot.forEach(child => {
-              const session = child.val();
-              const sessionDate = new Date(session.schedule?.startTime * 1000);
-              
-              if (sessionDate >= weekStart) {
-                if (session.attendance && session.attendance[userId]) {
-                  sessionsAttended++;
-                }
-                if (session.host?.primary === userId) {
-                  sessionsHosted++;
-                }
-              }
-            });
-          }
-          
-          // Count completed tasks this week
-          let tasksCompletedThisWeek = 0;
-          if (assignmentsSnapshot.exists()) {
-            assignmentsSnapshot.forEach(child => {
-              const assignment = child.val();
-              if (assignment.status === 'completed' && assignment.updatedAt) {
-                const completedDate = new Date(assignment.updatedAt * 1000);
-                if (completedDate >= weekStart) {
-                  tasksCompletedThisWeek++;
-                }
-              }
-            });
-          }
-          
-          // Calculate overall quota percentage
-          const quotaScores = [
-            Math.min((sessionsAttended / 5) * 100, 100), // Sessions attended
-            Math.min((sessionsHosted / 2) * 100, 100),   // Sessions hosted
-            Math.min((tasksCompletedThisWeek / 4) * 100, 100) // Tasks completed
-          ];
-          
-          const averageQuotaPercentage = Math.round(
-            quotaScores.reduce((sum, score) => sum + score, 0) / quotaScores.length
+          // Average progress across the quotas that apply to this user
+          const quotas = await quotaService.evaluateUser(userId, userData, { activity });
+          const quotaScores = quotas.map(quota =>
+            quota.required > 0 ? Math.min((quota.current / quota.required) * 100, 100) : 100
           );
           
+          const averageQuotaPercentage = quotaScores.length > 0
+            ? Math.round(quotaScores.reduce((sum, score) => sum + score, 0) / quotaScores.length)
+            : 100;
+          
           leaderboard.push({
             userUuid: userId,
             quotaPercentage: averageQuotaPercentage,
@@ -453,7 +720,8 @@ router.get("/leaderboard",
       meta: {
         department: targetDepartment,
         totalUsers: leaderboard.length,
-        returned: limitedLeaderboard.length
+        returned: limitedLeaderboard.length,
+        onLeave
       },
       timestamp: new Date().toISOString()
     });
@@ -463,95 +731,1783 @@ router.get("/leaderboard",
 
 /**
  * @swagger
- * /api/assignments/user:
+ * /api/assignments/quotas/definitions:
  *   get:
- *     summary: Get user's assignments
- *     description: Retrieve all assignments assigned to the current user, sorted by due date
+ *     summary: List quota definitions for a department
  *     tags: [Assignments]
  *     security:
  *       - BearerAuth: []
  *     parameters:
  *       - in: query
- *         name: status
+ *         name: department
  *         schema:
  *           type: string
- *           enum: [pending, in_progress, under_review, completed]
- *         description: Filter assignments by status
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 50
- *         description: Maximum number of assignments to return
+ *         description: Department ID (defaults to the user's department)
  *     responses:
  *       200:
- *         description: User assignments retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/SuccessResponse'
- *                 - type: object
- *                   properties:
- *                     data:
- *                       type: array
- *                       items:
- *                         $ref: '#/components/schemas/Assignment'
- *       401:
- *         description: Authentication required
+ *         description: Quota definitions retrieved; defaults are returned when none are configured
+ *   post:
+ *     summary: Create a quota definition (requires level 7+ permission)
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/QuotaDefinition'
+ *             required:
+ *               - department
+ *               - title
+ *               - metric
+ *               - target
+ *               - period
+ *     responses:
+ *       201:
+ *         description: Quota definition created
+ *       400:
+ *         description: Invalid definition
+ *       403:
+ *         description: Can only manage quotas for your own department
  */
-router.get("/user", 
+router.get("/quotas/definitions",
   authenticateFirebaseToken,
-  cacheMiddleware(CACHE_DURATIONS.SHORT),
   asyncHandler(async (req, res) => {
-    const userId = req.authenticatedUser.uid;
-    const { status, limit = 50 } = req.query;
-    
-    const snapshot = await db.ref('assignments/tasks')
-      .orderByChild('assignedTo')
-      .equalTo(userId)
-      .once('value');
-    
-    const assignments = [];
-    if (snapshot.exists()) {
-      snapshot.forEach(child => {
-        const assignment = {
-          id: child.key,
-          ...child.val()
-        };
-        
-        // Filter by status if specified
-        if (!status || assignment.status === status) {
-          assignments.push(assignment);
-        }
+    const department = req.query.department || getUserQuotaDepartment(req.userData);
+
+    if (!department) {
+      return res.status(400).json({
+        success: false,
+        error: "department is required"
       });
     }
-    
-    // Sort by due date (earliest first)
-    assignments.sort((a, b) => a.dueDate - b.dueDate);
-    
-    // Limit results
-    const limitedAssignments = assignments.slice(0, parseInt(limit));
-    
+
+    const definitions = await quotaService.getDefinitions(department);
+
     res.json({
       success: true,
-      data: limitedAssignments,
+      data: definitions.length > 0 ? definitions : DEFAULT_QUOTA_DEFINITIONS,
       meta: {
-        total: assignments.length,
-        returned: limitedAssignments.length,
-        filtered: status ? `status: ${status}` : 'none'
+        department,
+        usingDefaults: definitions.length === 0
       },
       timestamp: new Date().toISOString()
     });
   })
 );
 
-/**
- * @swagger
- * /api/assignments/{assignmentId}/status:
- *   patch:
- *     summary: Update assignment status with proper workflow validation
- *     description: Updates assignment status following proper workflow (pending → in_progress → under_review → completed)
+router.post("/quotas/definitions",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const { department, title, metric, target, period, levels, active = true } = req.body;
+
+    if (!department) {
+      return res.status(400).json({
+        success: false,
+        error: "department is required"
+      });
+    }
+
+    const validationError = validateQuotaDefinition(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    if (!canManageDepartmentQuotas(req, department)) {
+      return res.status(403).json({
+        success: false,
+        error: "You can only manage quotas for your department"
+      });
+    }
+
+    const definition = await quotaService.createDefinition(department, {
+      title,
+      metric,
+      target,
+      period,
+      levels: { min: levels?.min ?? 0, max: levels?.max ?? 10 },
+      active: active !== false
+    }, req.authenticatedUser.uid);
+
+    req.audit({
+      action: "quota.definition.create",
+      target: { type: "quota_definition", id: definition.id },
+      before: null,
+      after: definition
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Quota definition created successfully",
+      data: definition,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/assignments/quotas/definitions/{department}/{quotaId}:
+ *   put:
+ *     summary: Update a quota definition (requires level 7+ permission)
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: department
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: quotaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuotaDefinition'
+ *     responses:
+ *       200:
+ *         description: Quota definition updated
+ *       404:
+ *         description: Quota definition not found
+ *   delete:
+ *     summary: Delete a quota definition (requires level 7+ permission)
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: department
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: quotaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quota definition deleted
+ *       404:
+ *         description: Quota definition not found
+ */
+router.put("/quotas/definitions/:department/:quotaId",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const { department, quotaId } = req.params;
+
+    if (!canManageDepartmentQuotas(req, department)) {
+      return res.status(403).json({
+        success: false,
+        error: "You can only manage quotas for your department"
+      });
+    }
+
+    const existing = await quotaService.getDefinition(department, quotaId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Quota definition not found"
+      });
+    }
+
+    const validationError = validateQuotaDefinition(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const changes = {};
+    ['title', 'metric', 'target', 'period'].forEach(field => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+    if (req.body.levels !== undefined) {
+      changes.levels = { min: req.body.levels.min ?? 0, max: req.body.levels.max ?? 10 };
+    }
+    if (req.body.active !== undefined) {
+      changes.active = req.body.active !== false;
+    }
+
+    const definition = await quotaService.updateDefinition(department, quotaId, changes, req.authenticatedUser.uid);
+
+    req.audit({
+      action: "quota.definition.update",
+      target: { type: "quota_definition", id: quotaId },
+      before: existing,
+      after: definition
+    });
+
+    res.json({
+      success: true,
+      message: "Quota definition updated successfully",
+      data: definition,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+router.delete("/quotas/definitions/:department/:quotaId",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const { department, quotaId } = req.params;
+
+    if (!canManageDepartmentQuotas(req, department)) {
+      return res.status(403).json({
+        success: false,
+        error: "You can only manage quotas for your department"
+      });
+    }
+
+    const existing = await quotaService.getDefinition(department, quotaId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Quota definition not found"
+      });
+    }
+
+    await quotaService.deleteDefinition(department, quotaId);
+
+    req.audit({
+      action: "quota.definition.delete",
+      target: { type: "quota_definition", id: quotaId },
+      before: existing,
+      after: null
+    });
+
+    res.json({
+      success: true,
+      message: "Quota definition deleted successfully",
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/assignments/quotas/history:
+ *   get:
+ *     summary: Get closed quota periods for a user
+ *     description: Returns the snapshot stored when each quota period closed, newest first. Viewing another user's history requires level 7+ in their department or level 8+.
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: User to view (defaults to the current user)
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [weekly, biweekly, monthly]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Quota history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/QuotaSnapshot'
+ *       403:
+ *         description: Insufficient permissions to view this user's history
+ */
+router.get("/quotas/history",
+  authenticateFirebaseToken,
+  cacheMiddleware(CACHE_DURATIONS.SHORT),
+  asyncHandler(async (req, res) => {
+    const userId = req.query.userId || req.authenticatedUser.uid;
+    const { period, limit = 20 } = req.query;
+
+    if (period && !QUOTA_PERIODS.includes(period)) {
+      return res.status(400).json({
+        success: false,
+        error: `period must be one of: ${QUOTA_PERIODS.join(', ')}`
+      });
+    }
+
+    if (userId !== req.authenticatedUser.uid) {
+      const userSnapshot = await db.ref(`users/${userId}`).once('value');
+      const canView = (req.userData?.permissions?.level || 0) >= 7 &&
+        canManageDepartmentQuotas(req, getUserQuotaDepartment(userSnapshot.val()));
+
+      if (!canView) {
+        return res.status(403).json({
+          success: false,
+          error: "Insufficient permissions to view this user's quota history"
+        });
+      }
+    }
+
+    const history = await quotaService.getUserHistory(userId, {
+      period,
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+
+    res.json({
+      success: true,
+      data: history,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/assignments/quotas/history/department/{department}:
+ *   get:
+ *     summary: Department quota report across closed periods (requires level 7+ permission)
+ *     description: Per-period snapshots for every member plus pass/fail/exempt totals per user. Exempt periods are excluded from the pass rate.
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: department
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [weekly, biweekly, monthly]
+ *           default: weekly
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Earliest period start (ISO date or ms, defaults to 90 days ago)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Latest period start (ISO date or ms, defaults to now)
+ *     responses:
+ *       200:
+ *         description: Department report retrieved successfully
+ *       403:
+ *         description: Can only view reports for your own department
+ */
+router.get("/quotas/history/department/:department",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const { department } = req.params;
+    const { period = 'weekly' } = req.query;
+
+    if (!canManageDepartmentQuotas(req, department)) {
+      return res.status(403).json({
+        success: false,
+        error: "You can only view reports for your department"
+      });
+    }
+
+    if (!QUOTA_PERIODS.includes(period)) {
+      return res.status(400).json({
+        success: false,
+        error: `period must be one of: ${QUOTA_PERIODS.join(', ')}`
+      });
+    }
+
+    const parseTime = (value, fallback) => {
+      if (value === undefined) return fallback;
+      return /^\d+$/.test(value) ? parseInt(value) : new Date(value).getTime();
+    };
+    const to = parseTime(req.query.to, Date.now());
+    const from = parseTime(req.query.from, to - 90 * 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({
+        success: false,
+        error: "from and to must be ISO dates or timestamps"
+      });
+    }
+
+    const report = await quotaService.getDepartmentReport(department, { period, from, to });
+
+    res.json({
+      success: true,
+      data: report,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/assignments/user:
+ *   get:
+ *     summary: Get user's assignments
+ *     description: Retrieve all assignments assigned to the current user, sorted by due date
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, in_progress, under_review, completed]
+ *         description: Filter assignments by status
+ *       - in: query
+ *         name: overdue
+ *         schema:
+ *           type: boolean
+ *         description: Only overdue (true) or only on-time (false) assignments
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Maximum number of assignments to return
+ *     responses:
+ *       200:
+ *         description: User assignments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Assignment'
+ *       401:
+ *         description: Authentication required
+ */
+// Not cached: a cache hit only replays `data`, so the counts in `meta`
+// (overdue, total) would be lost.
+router.get("/user", 
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const userId = req.authenticatedUser.uid;
+    const { status, overdue, limit = 50 } = req.query;
+    
+    const snapshot = await db.ref('assignments/tasks')
+      .orderByChild('assignedTo')
+      .equalTo(userId)
+      .once('value');
+    
+    const assignments = [];
+    let overdueCount = 0;
+    if (snapshot.exists()) {
+      snapshot.forEach(child => {
+        const assignment = {
+          id: child.key,
+          ...child.val()
+        };
+        // Computed here as well so items due since the last job run are included
+        assignment.overdue = isAssignmentOverdue(assignment);
+        if (assignment.overdue) {
+          overdueCount++;
+        }
+        
+        // Filter by status if specified
+        if (status && assignment.status !== status) {
+          return;
+        }
+        if (overdue !== undefined && assignment.overdue !== (overdue === 'true')) {
+          return;
+        }
+        assignments.push(assignment);
+      });
+    }
+    
+    // Sort by due date (earliest first)
+    assignments.sort((a, b) => a.dueDate - b.dueDate);
+    
+    // Limit results
+    const limitedAssignments = assignments.slice(0, parseInt(limit));
+    
+    res.json({
+      success: true,
+      data: limitedAssignments,
+      meta: {
+        total: assignments.length,
+        returned: limitedAssignments.length,
+        overdue: overdueCount,
+        filtered: [status && `status: ${status}`, overdue !== undefined && `overdue: ${overdue}`].filter(Boolean).join(', ') || 'none'
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/assignments/{assignmentId}/status:
+ *   patch:
+ *     summary: Update assignment status with proper workflow validation
+ *     description: Updates assignment status following proper workflow (pending → in_progress → under_review → completed)
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assignment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, in_progress, under_review, completed]
+ *                 description: New status for the assignment
+ *             required:
+ *               - status
+ *     responses:
+ *       200:
+ *         description: Assignment status updated successfully
+ *       400:
+ *         description: Invalid status transition
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Not authorized to update this assignment
+ *       404:
+ *         description: Assignment not found
+ */
+router.patch("/:assignmentId/status", 
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const { assignmentId } = req.params;
+    const { status } = req.body;
+    const userId = req.authenticatedUser.uid;
+    const userPermissionLevel = req.userData?.permissions?.level || 0;
+    
+    // Verify assignment exists
+    const assignmentSnapshot = await db.ref(`assignments/tasks/${assignmentId}`).once('value');
+    
+    if (!assignmentSnapshot.exists()) {
+      return res.status(404).json({
+        success: false,
+        error: "Assignment not found"
+      });
+    }
+    
+    const assignment = assignmentSnapshot.val();
+    
+    // Check authorization
+    const isAssignedUser = assignment.assignedTo === userId;
+    const isManager = userPermissionLevel >= 5; // Managers can update any assignment
+    
+    if (!isAssignedUser && !isManager) {
+      return res.status(403).json({
+        success: false,
+        error: "Not authorized to update this assignment"
+      });
+    }
+    
+    // Define valid status transitions
+    const validTransitions = {
+      'pending': ['in_progress'],
+      'in_progress': ['under_review', 'pending'], // Can go back to pending
+      'under_review': ['completed', 'in_progress'], // Managers can approve or send back
+      'completed': [] // Cannot change completed status
+    };
+    
+    // Additional restrictions for regular users vs managers
+    if (!isManager && isAssignedUser) {
+      // Regular users can only progress forward or go back one step
+      if (assignment.status === 'under_review' && status !== 'in_progress') {
+        return res.status(403).json({
+          success: false,
+          error: "Only managers can approve assignments"
+        });
+      }
+    }
+    
+    // Validate status transition
+    if (!validTransitions[assignment.status]?.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status transition from ${assignment.status} to ${status}`
+      });
+    }
+    
+    // Update assignment status
+    const updateData = {
+      status: status,
+      updatedAt: Math.floor(Date.now() / 1000)
+    };
+    
+    // Work handed in is no longer overdue; overdueAt keeps the record
+    if (status === 'under_review' || status === 'completed') {
+      updateData.overdue = false;
+    }
+    
+    // Add completion timestamp if marking as completed
+    if (status === 'completed') {
+      updateData.completedAt = Math.floor(Date.now() / 1000);
+      updateData.completedBy = userId;
+    }
+    
+    await db.ref(`assignments/tasks/${assignmentId}`).update(updateData);
+    
+    res.json({
+      success: true,
+      message: "Assignment status updated successfully",
+      data: {
+        assignmentId,
+        oldStatus: assignment.status,
+        newStatus: status,
+        updatedBy: userId
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/assignments/templates:
+ *   get:
+ *     summary: List assignment templates
+ *     description: Returns the templates of the user's department; level 8+ can pass any department or omit it to list all.
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Templates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AssignmentTemplate'
+ *   post:
+ *     summary: Create an assignment template (requires level 4+ permission)
+ *     description: Templates belong to the creator's department.
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AssignmentTemplate'
+ *     responses:
+ *       201:
+ *         description: Template created
+ *       400:
+ *         description: Invalid template
+ */
+router.get("/templates",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const level = req.userData?.permissions?.level || 0;
+    const department = level >= 8 ? (req.query.department || null) : req.userData?.permissions?.department;
+
+    if (level < 8 && !department) {
+      return res.json({
+        success: true,
+        data: [],
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const templates = await assignmentService.getTemplates(department);
+
+    res.json({
+      success: true,
+      data: templates,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+router.post("/templates",
+  authenticateFirebaseToken,
+  requirePermission(4),
+  asyncHandler(async (req, res) => {
+    const { name, title, description, priority = 'medium', dueOffset, subtasks = [] } = req.body;
+    const department = req.userData?.permissions?.department;
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+      return res.status(400).json({
+        success: false,
+        error: "name is required and must be at most 100 characters"
+      });
+    }
+
+    const validationError = validateAssignmentContent({ title, description, priority, subtasks });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const dueOffsetSeconds = parseDueOffset(dueOffset);
+    if (!dueOffsetSeconds) {
+      return res.status(400).json({
+        success: false,
+        error: 'dueOffset must look like "+3 days" (minutes, hours, days or weeks)'
+      });
+    }
+
+    const template = await assignmentService.createTemplate({
+      name: name.trim(),
+      title: title.trim(),
+      description: description.trim(),
+      priority,
+      dueOffset,
+      dueOffsetSeconds,
+      subtasks: subtasks.map(subtask => subtask.trim())
+    }, department || null, req.authenticatedUser.uid);
+
+    res.status(201).json({
+      success: true,
+      message: "Assignment template created successfully",
+      data: template,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/assignments/templates/{templateId}:
+ *   put:
+ *     summary: Update an assignment template
+ *     description: Allowed for the template's author, department heads of its department and level 8+.
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AssignmentTemplate'
+ *     responses:
+ *       200:
+ *         description: Template updated
+ *       404:
+ *         description: Template not found
+ *   delete:
+ *     summary: Delete an assignment template
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template deleted
+ *       404:
+ *         description: Template not found
+ */
+router.put("/templates/:templateId",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const { templateId } = req.params;
+    const existing = await assignmentService.getTemplate(templateId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Template not found"
+      });
+    }
+
+    if (!canManageDepartmentItem(req, existing)) {
+      return res.status(403).json({
+        success: false,
+        error: "Not authorized to edit this template"
+      });
+    }
+
+    const validationError = validateAssignmentContent(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const changes = {};
+    ['title', 'description'].forEach(field => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field].trim();
+    });
+    if (req.body.priority !== undefined) {
+      changes.priority = req.body.priority;
+    }
+    if (req.body.subtasks !== undefined) {
+      changes.subtasks = req.body.subtasks.map(subtask => subtask.trim());
+    }
+    if (req.body.name !== undefined) {
+      if (typeof req.body.name !== 'string' || req.body.name.trim().length === 0 || req.body.name.length > 100) {
+        return res.status(400).json({
+          success: false,
+          error: "name must be at most 100 characters"
+        });
+      }
+      changes.name = req.body.name.trim();
+    }
+    if (req.body.dueOffset !== undefined) {
+      const dueOffsetSeconds = parseDueOffset(req.body.dueOffset);
+      if (!dueOffsetSeconds) {
+        return res.status(400).json({
+          success: false,
+          error: 'dueOffset must look like "+3 days" (minutes, hours, days or weeks)'
+        });
+      }
+      changes.dueOffset = req.body.dueOffset;
+      changes.dueOffsetSeconds = dueOffsetSeconds;
+    }
+
+    const template = await assignmentService.updateTemplate(templateId, changes, req.authenticatedUser.uid);
+
+    res.json({
+      success: true,
+      message: "Assignment template updated successfully",
+      data: template,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+router.delete("/templates/:templateId",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const { templateId } = req.params;
+    const existing = await assignmentService.getTemplate(templateId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Template not found"
+      });
+    }
+
+    if (!canManageDepartmentItem(req, existing)) {
+      return res.status(403).json({
+        success: false,
+        error: "Not authorized to delete this template"
+      });
+    }
+
+    await assignmentService.deleteTemplate(templateId);
+
+    res.json({
+      success: true,
+      message: "Assignment template deleted successfully",
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/assignments/bulk:
+ *   post:
+ *     summary: Assign a task to many users at once (requires level 7+ permission)
+ *     description: |
+ *       Creates one assignment per user matched by the target, linked by a shared batch ID.
+ *       Department heads (level 7) only reach members of their own department; level 8+ can target anyone.
+ *       Content and due date can come from a template, with explicit fields taking precedence.
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               target:
+ *                 type: object
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [users, department, role, segment]
+ *                   value:
+ *                     type: string
+ *                     description: Department ID, role or UVM segment name
+ *                   userIds:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: Users to assign when type is "users"
+ *               templateId:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               dueDate:
+ *                 type: integer
+ *                 description: Unix timestamp of due date
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high]
+ *               subtasks:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *             required:
+ *               - target
+ *     responses:
+ *       201:
+ *         description: Assignments created
+ *       400:
+ *         description: Invalid request or the target matched no users
+ *       403:
+ *         description: Target outside the user's department
+ */
+router.post("/bulk",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const { target, templateId } = req.body;
+    const level = req.userData?.permissions?.level || 0;
+    const ownDepartment = req.userData?.permissions?.department;
+
+    if (!target || !BULK_TARGET_TYPES.includes(target.type)) {
+      return res.status(400).json({
+        success: false,
+        error: `target.type must be one of: ${BULK_TARGET_TYPES.join(', ')}`
+      });
+    }
+
+    if (target.type === 'users' ? !Array.isArray(target.userIds) : !target.value) {
+      return res.status(400).json({
+        success: false,
+        error: target.type === 'users' ? "target.userIds must be an array" : "target.value is required"
+      });
+    }
+
+    if (level < 8 && target.type === 'department' && target.value !== ownDepartment) {
+      return res.status(403).json({
+        success: false,
+        error: "You can only assign to your own department"
+      });
+    }
+
+    let content = req.body;
+    if (templateId) {
+      const template = await loadUsableTemplate(req, res, templateId);
+      if (!template) return;
+      content = assignmentService.applyTemplate(template, req.body);
+    }
+
+    const { title, description, dueDate, priority = 'medium', subtasks = [] } = content;
+
+    const validationError = validateAssignmentContent({ title, description, priority, subtasks });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    if (!Number.isInteger(dueDate) || dueDate <= Math.floor(Date.now() / 1000)) {
+      return res.status(400).json({
+        success: false,
+        error: "Due date must be in the future"
+      });
+    }
+
+    try {
+      const userIds = await assignmentService.resolveTargets(target, {
+        department: level >= 8 ? null : ownDepartment
+      });
+
+      const batch = await assignmentService.createBatch({
+        title: title.trim(),
+        description: description.trim(),
+        priority,
+        dueDate,
+        subtasks: subtasks.map(subtask => subtask.trim()),
+        templateId: templateId || null
+      }, target, userIds, req.authenticatedUser.uid);
+
+      req.audit({
+        action: "assignment.bulk_create",
+        target: { type: "assignment_batch", id: batch.id },
+        before: null,
+        after: batch
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `${batch.assignmentCount} assignments created successfully`,
+        data: {
+          batchId: batch.id,
+          assignmentCount: batch.assignmentCount,
+          assignmentIds: batch.assignmentIds
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/assignments/batches/{batchId}:
+ *   get:
+ *     summary: Get a bulk assignment batch with its progress
+ *     description: Available to the batch creator and level 7+.
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Batch and progress rollup (counts by status, overdue count, completion rate)
+ *       404:
+ *         description: Batch not found
+ */
+router.get("/batches/:batchId",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const { batchId } = req.params;
+    const batch = await assignmentService.getBatch(batchId);
+
+    if (!batch || (batch.createdBy !== req.authenticatedUser.uid && (req.userData?.permissions?.level || 0) < 7)) {
+      return res.status(404).json({
+        success: false,
+        error: "Batch not found"
+      });
+    }
+
+    const progress = await assignmentService.getBatchProgress(batchId);
+
+    res.json({
+      success: true,
+      data: {
+        ...batch,
+        progress
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/assignments/recurring:
+ *   get:
+ *     summary: List recurring assignments
+ *     description: Returns the recurring assignments the user created or can manage (department heads see their department's, level 8+ see all).
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Recurring assignments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/RecurringAssignment'
+ *   post:
+ *     summary: Create a recurring assignment (requires level 4+ permission)
+ *     description: |
+ *       Generates a new assignment for the target on every occurrence of the recurrence rule. The due date of each
+ *       generated assignment is the occurrence time plus `dueOffset`. Level 4-6 can only target individual users;
+ *       department heads (level 7) can target groups within their department; level 8+ can target anyone.
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecurringAssignment'
+ *     responses:
+ *       201:
+ *         description: Recurring assignment created
+ *       400:
+ *         description: Invalid content, target or recurrence rule
+ *       403:
+ *         description: Target not allowed at this permission level
+ */
+router.get("/recurring",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const definitions = await assignmentService.getAllRecurring();
+
+    res.json({
+      success: true,
+      data: definitions.filter(definition => canManageDepartmentItem(req, definition)),
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+router.post("/recurring",
+  authenticateFirebaseToken,
+  requirePermission(4),
+  asyncHandler(async (req, res) => {
+    const { target, templateId, recurrence, startTime, skipIfOpen = true } = req.body;
+    const level = req.userData?.permissions?.level || 0;
+    const ownDepartment = req.userData?.permissions?.department || null;
+
+    if (!target || !BULK_TARGET_TYPES.includes(target.type)) {
+      return res.status(400).json({
+        success: false,
+        error: `target.type must be one of: ${BULK_TARGET_TYPES.join(', ')}`
+      });
+    }
+
+    if (target.type === 'users' ? !Array.isArray(target.userIds) || target.userIds.length === 0 : !target.value) {
+      return res.status(400).json({
+        success: false,
+        error: target.type === 'users' ? "target.userIds must be a non-empty array" : "target.value is required"
+      });
+    }
+
+    if (level < 7 && target.type !== 'users') {
+      return res.status(403).json({
+        success: false,
+        error: "Only department heads can create recurring assignments for groups"
+      });
+    }
+
+    if (level < 8 && target.type === 'department' && target.value !== ownDepartment) {
+      return res.status(403).json({
+        success: false,
+        error: "You can only assign to your own department"
+      });
+    }
+
+    let content = req.body;
+    let dueOffset = req.body.dueOffset;
+    if (templateId) {
+      const template = await loadUsableTemplate(req, res, templateId);
+      if (!template) return;
+      content = assignmentService.applyTemplate(template, req.body);
+      dueOffset = dueOffset ?? template.dueOffset;
+    }
+
+    const { title, description, priority = 'medium', subtasks = [] } = content;
+
+    const anchor = startTime === undefined ? Date.now() : new Date(startTime).getTime();
+    if (Number.isNaN(anchor)) {
+      return res.status(400).json({
+        success: false,
+        error: "startTime must be a valid date"
+      });
+    }
+
+    const validationError = validateAssignmentContent({ title, description, priority, subtasks }) ||
+      validateRecurrence(recurrence, { requireEnd: false, anchorStart: anchor });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const dueOffsetSeconds = parseDueOffset(dueOffset);
+    if (!dueOffsetSeconds) {
+      return res.status(400).json({
+        success: false,
+        error: 'dueOffset must look like "+3 days" (minutes, hours, days or weeks)'
+      });
+    }
+
+    try {
+      const definition = await assignmentService.createRecurring({
+        title: title.trim(),
+        description: description.trim(),
+        priority,
+        subtasks: subtasks.map(subtask => subtask.trim()),
+        templateId: templateId || null,
+        dueOffset,
+        dueOffsetSeconds,
+        target,
+        recurrence,
+        anchor,
+        skipIfOpen: skipIfOpen !== false,
+        department: ownDepartment,
+        // Below level 8 targets stay within the department, as with bulk assignments
+        restrictToDepartment: level >= 8 ? null : ownDepartment
+      }, req.authenticatedUser.uid);
+
+      res.status(201).json({
+        success: true,
+        message: "Recurring assignment created successfully",
+        data: definition,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/assignments/recurring/{recurringId}:
+ *   get:
+ *     summary: Get a recurring assignment
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: recurringId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recurring assignment with the progress of its latest occurrence
+ *       404:
+ *         description: Recurring assignment not found
+ */
+router.get("/recurring/:recurringId",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const definition = await assignmentService.getRecurring(req.params.recurringId);
+
+    if (!definition || !canManageDepartmentItem(req, definition)) {
+      return res.status(404).json({
+        success: false,
+        error: "Recurring assignment not found"
+      });
+    }
+
+    const latestProgress = definition.lastBatchId
+      ? await assignmentService.getBatchProgress(definition.lastBatchId)
+      : null;
+
+    res.json({
+      success: true,
+      data: {
+        ...definition,
+        latestProgress
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/assignments/recurring/{recurringId}/status:
+ *   patch:
+ *     summary: Pause, resume or end a recurring assignment
+ *     description: Resuming continues from the next occurrence after now; occurrences missed while paused are not generated. Ending is permanent.
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: recurringId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [active, paused, ended]
+ *             required:
+ *               - status
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *       400:
+ *         description: Invalid status or the recurrence has already ended
+ *       404:
+ *         description: Recurring assignment not found
+ */
+router.patch("/recurring/:recurringId/status",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const { status } = req.body;
+    const existing = await assignmentService.getRecurring(req.params.recurringId);
+
+    if (!existing || !canManageDepartmentItem(req, existing)) {
+      return res.status(404).json({
+        success: false,
+        error: "Recurring assignment not found"
+      });
+    }
+
+    if (!['active', 'paused', 'ended'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: "status must be one of: active, paused, ended"
+      });
+    }
+
+    try {
+      const definition = await assignmentService.setRecurringStatus(existing, status, req.authenticatedUser.uid);
+
+      req.audit({
+        action: "assignment.recurring.status",
+        target: { type: "recurring_assignment", id: existing.id },
+        before: { status: existing.status },
+        after: { status: definition.status }
+      });
+
+      res.json({
+        success: true,
+        message: "Recurring assignment status updated successfully",
+        data: definition,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/assignments/{assignmentId}:
+ *   get:
+ *     summary: Get an assignment with its subtasks and attachments
+ *     description: Available to the assignee, the assigner and managers (level 5+) of the assignee's department
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Assignment retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Assignment'
+ *       403:
+ *         description: Not authorized to view this assignment
+ *       404:
+ *         description: Assignment not found
+ */
+router.get("/:assignmentId",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const loaded = await loadAccessibleAssignment(req, res);
+    if (!loaded) return;
+
+    const { assignment } = loaded;
+    const commentsSnapshot = await db.ref(`assignments/comments/${assignment.id}`).once('value');
+    const subtasks = sortByOrder(assignment.subtasks);
+
+    res.json({
+      success: true,
+      data: {
+        ...assignment,
+        overdue: isAssignmentOverdue(assignment),
+        subtasks,
+        attachments: sortByOrder(assignment.attachments),
+        subtaskProgress: {
+          completed: subtasks.filter(subtask => subtask.completed).length,
+          total: subtasks.length
+        },
+        commentCount: commentsSnapshot.numChildren()
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/assignments/{assignmentId}/comments:
+ *   get:
+ *     summary: Get the comment threads on an assignment
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Top-level comments, oldest first, with nested replies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AssignmentComment'
+ *   post:
+ *     summary: Comment on an assignment
+ *     description: The assignee and assigner are notified of every new comment they did not write.
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 2000
+ *               parentId:
+ *                 type: string
+ *                 description: Comment being replied to
+ *             required:
+ *               - body
+ *     responses:
+ *       201:
+ *         description: Comment added
+ *       400:
+ *         description: Invalid comment or parent
+ */
+router.get("/:assignmentId/comments",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const loaded = await loadAccessibleAssignment(req, res);
+    if (!loaded) return;
+
+    const snapshot = await db.ref(`assignments/comments/${loaded.assignment.id}`).once('value');
+
+    res.json({
+      success: true,
+      data: buildCommentThreads(Object.values(snapshot.val() || {})),
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+router.post("/:assignmentId/comments",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const loaded = await loadAccessibleAssignment(req, res);
+    if (!loaded) return;
+
+    const { assignment } = loaded;
+    const { body, parentId = null } = req.body;
+    const userId = req.authenticatedUser.uid;
+
+    if (!body || typeof body !== 'string' || body.trim().length === 0 || body.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Comment body is required and must be at most ${MAX_COMMENT_LENGTH} characters`
+      });
+    }
+
+    if (parentId) {
+      const parentSnapshot = await db.ref(`assignments/comments/${assignment.id}/${parentId}`).once('value');
+      if (!parentSnapshot.exists()) {
+        return res.status(400).json({
+          success: false,
+          error: "Parent comment not found on this assignment"
+        });
+      }
+    }
+
+    const commentRef = db.ref(`assignments/comments/${assignment.id}`).push();
+    const comment = {
+      id: commentRef.key,
+      assignmentId: assignment.id,
+      parentId,
+      authorId: userId,
+      body: body.trim(),
+      deleted: false,
+      createdAt: Math.floor(Date.now() / 1000)
+    };
+
+    await commentRef.set(comment);
+
+    const recipients = new Set([assignment.assignedTo, assignment.assignedBy].filter(Boolean));
+    recipients.delete(userId);
+
+    for (const recipient of recipients) {
+      await firebaseService.sendNotification(recipient, {
+        title: `New comment on "${assignment.title}"`,
+        description: comment.body.length > 140 ? `${comment.body.slice(0, 137)}...` : comment.body,
+        type: 'assignment',
+        fromUserUuid: userId,
+        assignmentId: assignment.id,
+        commentId: comment.id
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Comment added successfully",
+      data: comment,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/assignments/{assignmentId}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment
+ *     description: The author or a manager (level 5+) of the assignee's department can delete a comment. Its text is removed but replies are kept.
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment deleted
+ *       403:
+ *         description: Not the author
+ *       404:
+ *         description: Comment not found
+ */
+router.delete("/:assignmentId/comments/:commentId",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const loaded = await loadAccessibleAssignment(req, res);
+    if (!loaded) return;
+
+    const { commentId } = req.params;
+    const commentRef = db.ref(`assignments/comments/${loaded.assignment.id}/${commentId}`);
+    const comment = (await commentRef.once('value')).val();
+
+    if (!comment || comment.deleted) {
+      return res.status(404).json({
+        success: false,
+        error: "Comment not found"
+      });
+    }
+
+    if (comment.authorId !== req.authenticatedUser.uid && !loaded.roles.isManager) {
+      return res.status(403).json({
+        success: false,
+        error: "You can only delete your own comments"
+      });
+    }
+
+    await commentRef.update({
+      body: null,
+      deleted: true,
+      deletedBy: req.authenticatedUser.uid,
+      deletedAt: Math.floor(Date.now() / 1000)
+    });
+
+    res.json({
+      success: true,
+      message: "Comment deleted successfully",
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/assignments/{assignmentId}/subtasks:
+ *   post:
+ *     summary: Add a checklist subtask
+ *     description: Subtasks are managed by the assigner and managers (level 5+) of the assignee's department
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 200
+ *             required:
+ *               - title
+ *     responses:
+ *       201:
+ *         description: Subtask added
+ *       403:
+ *         description: Not authorized to manage subtasks
+ */
+router.post("/:assignmentId/subtasks",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const loaded = await loadAccessibleAssignment(req, res);
+    if (!loaded) return;
+
+    const { assignment, roles } = loaded;
+    const { title } = req.body;
+
+    if (!roles.isAssigner && !roles.isManager) {
+      return res.status(403).json({
+        success: false,
+        error: "Only the assigner or a manager can add subtasks"
+      });
+    }
+
+    if (!title || typeof title !== 'string' || title.trim().length === 0 || title.length > 200) {
+      return res.status(400).json({
+        success: false,
+        error: "Subtask title is required and must be at most 200 characters"
+      });
+    }
+
+    const existing = sortByOrder(assignment.subtasks);
+    if (existing.length >= MAX_SUBTASKS) {
+      return res.status(400).json({
+        success: false,
+        error: `An assignment can have at most ${MAX_SUBTASKS} subtasks`
+      });
+    }
+
+    const subtaskRef = db.ref(`assignments/tasks/${assignment.id}/subtasks`).push();
+    const subtask = {
+      id: subtaskRef.key,
+      title: title.trim(),
+      completed: false,
+      order: existing.length > 0 ? existing[existing.length - 1].order + 1 : 0,
+      createdBy: req.authenticatedUser.uid,
+      createdAt: Math.floor(Date.now() / 1000)
+    };
+
+    await subtaskRef.set(subtask);
+    await db.ref(`assignments/tasks/${assignment.id}`).update({ updatedAt: Math.floor(Date.now() / 1000) });
+
+    res.status(201).json({
+      success: true,
+      message: "Subtask added successfully",
+      data: subtask,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/assignments/{assignmentId}/subtasks/{subtaskId}:
+ *   patch:
+ *     summary: Update a subtask
+ *     description: The assignee can tick subtasks off; the assigner and managers can also rename them.
  *     tags: [Assignments]
  *     security:
  *       - BearerAuth: []
@@ -561,7 +2517,11 @@ router.get("/user",
  *         required: true
  *         schema:
  *           type: string
- *         description: Assignment ID
+ *       - in: path
+ *         name: subtaskId
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
@@ -569,105 +2529,288 @@ router.get("/user",
  *           schema:
  *             type: object
  *             properties:
- *               status:
+ *               completed:
+ *                 type: boolean
+ *               title:
  *                 type: string
- *                 enum: [pending, in_progress, under_review, completed]
- *                 description: New status for the assignment
- *             required:
- *               - status
  *     responses:
  *       200:
- *         description: Assignment status updated successfully
- *       400:
- *         description: Invalid status transition
- *       401:
- *         description: Authentication required
- *       403:
- *         description: Not authorized to update this assignment
+ *         description: Subtask updated
  *       404:
- *         description: Assignment not found
+ *         description: Subtask not found
+ *   delete:
+ *     summary: Remove a subtask
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: subtaskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subtask removed
+ *       404:
+ *         description: Subtask not found
  */
-router.patch("/:assignmentId/status", 
+router.patch("/:assignmentId/subtasks/:subtaskId",
   authenticateFirebaseToken,
   asyncHandler(async (req, res) => {
-    const { assignmentId } = req.params;
-    const { status } = req.body;
-    const userId = req.authenticatedUser.uid;
-    const userPermissionLevel = req.userData?.permissions?.level || 0;
-    
-    // Verify assignment exists
-    const assignmentSnapshot = await db.ref(`assignments/tasks/${assignmentId}`).once('value');
-    
-    if (!assignmentSnapshot.exists()) {
+    const loaded = await loadAccessibleAssignment(req, res);
+    if (!loaded) return;
+
+    const { assignment, roles } = loaded;
+    const { subtaskId } = req.params;
+    const { completed, title } = req.body;
+    const subtask = assignment.subtasks?.[subtaskId];
+
+    if (!subtask) {
       return res.status(404).json({
         success: false,
-        error: "Assignment not found"
+        error: "Subtask not found"
       });
     }
-    
-    const assignment = assignmentSnapshot.val();
-    
-    // Check authorization
-    const isAssignedUser = assignment.assignedTo === userId;
-    const isManager = userPermissionLevel >= 5; // Managers can update any assignment
-    
-    if (!isAssignedUser && !isManager) {
-      return res.status(403).json({
+
+    if (completed === undefined && title === undefined) {
+      return res.status(400).json({
         success: false,
-        error: "Not authorized to update this assignment"
+        error: "completed or title is required"
       });
     }
-    
-    // Define valid status transitions
-    const validTransitions = {
-      'pending': ['in_progress'],
-      'in_progress': ['under_review', 'pending'], // Can go back to pending
-      'under_review': ['completed', 'in_progress'], // Managers can approve or send back
-      'completed': [] // Cannot change completed status
-    };
-    
-    // Additional restrictions for regular users vs managers
-    if (!isManager && isAssignedUser) {
-      // Regular users can only progress forward or go back one step
-      if (assignment.status === 'under_review' && status !== 'in_progress') {
+
+    if (assignment.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        error: "Cannot change subtasks of a completed assignment"
+      });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const updates = {};
+
+    if (completed !== undefined) {
+      if (typeof completed !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: "completed must be a boolean"
+        });
+      }
+      updates.completed = completed;
+      updates.completedBy = completed ? req.authenticatedUser.uid : null;
+      updates.completedAt = completed ? now : null;
+    }
+
+    if (title !== undefined) {
+      if (!roles.isAssigner && !roles.isManager) {
         return res.status(403).json({
           success: false,
-          error: "Only managers can approve assignments"
+          error: "Only the assigner or a manager can rename subtasks"
         });
       }
+      if (typeof title !== 'string' || title.trim().length === 0 || title.length > 200) {
+        return res.status(400).json({
+          success: false,
+          error: "Subtask title must be at most 200 characters"
+        });
+      }
+      updates.title = title.trim();
     }
-    
-    // Validate status transition
-    if (!validTransitions[assignment.status]?.includes(status)) {
+
+    await db.ref(`assignments/tasks/${assignment.id}/subtasks/${subtaskId}`).update(updates);
+    await db.ref(`assignments/tasks/${assignment.id}`).update({ updatedAt: now });
+
+    res.json({
+      success: true,
+      message: "Subtask updated successfully",
+      data: { ...subtask, ...updates },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+router.delete("/:assignmentId/subtasks/:subtaskId",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const loaded = await loadAccessibleAssignment(req, res);
+    if (!loaded) return;
+
+    const { assignment, roles } = loaded;
+    const { subtaskId } = req.params;
+
+    if (!roles.isAssigner && !roles.isManager) {
+      return res.status(403).json({
+        success: false,
+        error: "Only the assigner or a manager can remove subtasks"
+      });
+    }
+
+    if (!assignment.subtasks?.[subtaskId]) {
+      return res.status(404).json({
+        success: false,
+        error: "Subtask not found"
+      });
+    }
+
+    await db.ref(`assignments/tasks/${assignment.id}/subtasks/${subtaskId}`).remove();
+    await db.ref(`assignments/tasks/${assignment.id}`).update({ updatedAt: Math.floor(Date.now() / 1000) });
+
+    res.json({
+      success: true,
+      message: "Subtask removed successfully",
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/assignments/{assignmentId}/attachments:
+ *   post:
+ *     summary: Attach a link to an assignment
+ *     description: Attachments are https links to an allowed image or file host (Discord CDN, Imgur, GitHub, Google Drive/Docs, Dropbox, OneDrive).
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *                 maxLength: 200
+ *             required:
+ *               - url
+ *     responses:
+ *       201:
+ *         description: Attachment added
+ *       400:
+ *         description: URL is not on an allowed domain
+ */
+router.post("/:assignmentId/attachments",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const loaded = await loadAccessibleAssignment(req, res);
+    if (!loaded) return;
+
+    const { assignment } = loaded;
+    const { url, name } = req.body;
+
+    if (!url || typeof url !== 'string' || !isAllowedAttachmentUrl(url)) {
       return res.status(400).json({
         success: false,
-        error: `Invalid status transition from ${assignment.status} to ${status}`
+        error: "Attachment must be an https link to an allowed domain"
       });
     }
-    
-    // Update assignment status
-    const updateData = {
-      status: status,
-      updatedAt: Math.floor(Date.now() / 1000)
+
+    if (name !== undefined && (typeof name !== 'string' || name.length > 200)) {
+      return res.status(400).json({
+        success: false,
+        error: "Attachment name must be at most 200 characters"
+      });
+    }
+
+    const existing = sortByOrder(assignment.attachments);
+    if (existing.length >= MAX_ATTACHMENTS) {
+      return res.status(400).json({
+        success: false,
+        error: `An assignment can have at most ${MAX_ATTACHMENTS} attachments`
+      });
+    }
+
+    const attachmentRef = db.ref(`assignments/tasks/${assignment.id}/attachments`).push();
+    const attachment = {
+      id: attachmentRef.key,
+      url,
+      name: name?.trim() || new URL(url).pathname.split('/').pop() || url,
+      order: existing.length > 0 ? existing[existing.length - 1].order + 1 : 0,
+      addedBy: req.authenticatedUser.uid,
+      addedAt: Math.floor(Date.now() / 1000)
     };
-    
-    // Add completion timestamp if marking as completed
-    if (status === 'completed') {
-      updateData.completedAt = Math.floor(Date.now() / 1000);
-      updateData.completedBy = userId;
+
+    await attachmentRef.set(attachment);
+
+    res.status(201).json({
+      success: true,
+      message: "Attachment added successfully",
+      data: attachment,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/assignments/{assignmentId}/attachments/{attachmentId}:
+ *   delete:
+ *     summary: Remove an attachment
+ *     description: The user who added it, the assigner or a manager (level 5+) of the assignee's department can remove an attachment.
+ *     tags: [Assignments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attachment removed
+ *       404:
+ *         description: Attachment not found
+ */
+router.delete("/:assignmentId/attachments/:attachmentId",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const loaded = await loadAccessibleAssignment(req, res);
+    if (!loaded) return;
+
+    const { assignment, roles } = loaded;
+    const { attachmentId } = req.params;
+    const attachment = assignment.attachments?.[attachmentId];
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: "Attachment not found"
+      });
     }
-    
-    await db.ref(`assignments/tasks/${assignmentId}`).update(updateData);
-    
+
+    if (attachment.addedBy !== req.authenticatedUser.uid && !roles.isAssigner && !roles.isManager) {
+      return res.status(403).json({
+        success: false,
+        error: "Not authorized to remove this attachment"
+      });
+    }
+
+    await db.ref(`assignments/tasks/${assignment.id}/attachments/${attachmentId}`).remove();
+
     res.json({
       success: true,
-      message: "Assignment status updated successfully",
-      data: {
-        assignmentId,
-        oldStatus: assignment.status,
-        newStatus: status,
-        updatedBy: userId
-      },
+      message: "Attachment removed successfully",
       timestamp: new Date().toISOString()
     });
   })
@@ -710,6 +2853,9 @@ router.patch("/:assignmentId/status",
  *                 enum: [low, medium, high]
  *                 default: medium
  *                 description: Assignment priority level
+ *               templateId:
+ *                 type: string
+ *                 description: Template from the caller's department to fill title, description, priority, subtasks and due date from
  *             required:
  *               - title
  *               - description
@@ -736,15 +2882,24 @@ router.patch("/:assignmentId/status",
  *       401:
  *         description: Authentication required
  *       403:
- *         description: Insufficient permissions
+ *         description: Insufficient permissions or template from another department
  */
 router.post("/", 
   authenticateFirebaseToken,
   requirePermission(4),
   asyncHandler(async (req, res) => {
-    const { title, description, assignedTo, dueDate, priority = 'medium' } = req.body;
+    const { assignedTo, templateId } = req.body;
     const assignedBy = req.authenticatedUser.uid;
     
+    let content = req.body;
+    if (templateId) {
+      const template = await loadUsableTemplate(req, res, templateId);
+      if (!template) return;
+      content = assignmentService.applyTemplate(template, req.body);
+    }
+    
+    const { title, description, dueDate, priority = 'medium', subtasks = [] } = content;
+    
     // Validate required fields
     if (!title || !description || !assignedTo || !dueDate) {
       return res.status(400).json({
@@ -753,6 +2908,19 @@ router.post("/",
       });
     }
     
+    // Template content gets the same checks as bulk creation. Without a
+    // template only the subtasks are checked, so single assignments keep
+    // accepting the titles, descriptions and priorities they always have.
+    const validationError = templateId
+      ? validateAssignmentContent({ title, description, priority, subtasks })
+      : validateAssignmentContent({ subtasks }, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+    
     // Validate due date is in the future
     const now = Math.floor(Date.now() / 1000);
     if (dueDate <= now) {
@@ -779,6 +2947,8 @@ router.post("/",
       dueDate,
       priority,
       status: 'pending',
+      templateId: templateId || null,
+      subtasks: assignmentService.buildSubtasks(subtasks.map(subtask => subtask.trim()), assignedBy, now),
       createdAt: now,
       updatedAt: now
     };
@@ -849,7 +3019,19 @@ router.delete("/:assignmentId",
       });
     }
     
-    await db.ref(`assignments/tasks/${assignmentId}`).remove();
+    // Subtasks and attachments are stored under the task node; comments are
+    // kept separately and removed in the same update
+    await db.ref().update({
+      [`assignments/tasks/${assignmentId}`]: null,
+      [`assignments/comments/${assignmentId}`]: null
+    });
+    
+    req.audit({
+      action: "assignment.delete",
+      target: { type: "assignment", id: assignmentId },
+      before: assignment,
+      after: null
+    });
     
     res.json({
       success: true,
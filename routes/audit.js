@@ -0,0 +1,129 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Audit trail of privileged and mutating actions
+ */
+
+import { Router } from "express";
+import { authenticateFirebaseToken, requirePermission } from "../middleware/auth.js";
+import { AuditService } from "../services/auditService.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+
+const router = Router();
+const auditService = new AuditService();
+
+const parseTime = (value) => {
+  if (value === undefined || value === "") return null;
+  const numeric = Number(value);
+  const time = Number.isNaN(numeric) ? Date.parse(value) : numeric;
+  return Number.isNaN(time) ? undefined : time;
+};
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Query the audit log (requires level 8+ permission)
+ *     tags: [Audit]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: UID of the user who performed the action
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *         description: Type of the affected resource (e.g. user, assignment)
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *         description: ID of the affected resource
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Action type (e.g. user.permissions.update)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Start of time range (ISO date or epoch milliseconds)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: End of time range (ISO date or epoch milliseconds)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 1000
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Audit entries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid time range
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get("/",
+  authenticateFirebaseToken,
+  requirePermission(8),
+  asyncHandler(async (req, res) => {
+    const { actor, targetType, targetId, type, format = "json" } = req.query;
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: "from and to must be ISO dates or epoch milliseconds"
+      });
+    }
+
+    if (from && to && from > to) {
+      return res.status(400).json({
+        success: false,
+        error: "from must be before to"
+      });
+    }
+
+    const entries = await auditService.query({ actor, targetType, targetId, type, from, to, limit });
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="audit-${Date.now()}.csv"`);
+      return res.send(auditService.toCsv(entries));
+    }
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+export default router;
@@ -9,6 +9,7 @@ import { Router } from "express";
 import passport from "../config/passport.js";
 import rateLimit from "express-rate-limit";
 import admin from "../config/firebase.js";
+import storage from "../services/storage/index.js";
 import { FirebaseService } from "../services/firebaseService.js";
 import { asyncHandler } from "../middleware/errorHandler.js";
 import { sessions } from "../server.js";
@@ -120,9 +121,9 @@ router.get(
     const { id: discordId, username, avatar } = req.user.discord;
 
     // Update the existing user
-    await admin.database().ref(`users/${firebaseUid}/profile/discordId`).set(discordId);
-    await admin.database().ref(`users/${firebaseUid}/profile/discordUsername`).set(username);
-    await admin.database().ref(`users/${firebaseUid}/profile/discordAvatar`).set(avatar);
+    await storage.ref(`users/${firebaseUid}/profile/discordId`).set(discordId);
+    await storage.ref(`users/${firebaseUid}/profile/discordUsername`).set(username);
+    await storage.ref(`users/${firebaseUid}/profile/discordAvatar`).set(avatar);
 
     // Notify frontend via websocket/sessionId
     if (sessionId) {
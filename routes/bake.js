@@ -6,20 +6,107 @@
  */
 
 import { Router } from "express";
-import { authenticateFirebaseToken, requirePermission } from "../middleware/auth.js";
-import { cacheMiddleware } from "../middleware/cache.js";
+import { authenticateFirebaseToken, optionalAuthentication, requirePermission } from "../middleware/auth.js";
+import { cacheMiddleware, invalidateCache } from "../middleware/cache.js";
 import { FirebaseService } from "../services/firebaseService.js";
+import { bakeSearchIndex } from "../services/bakeSearchService.js";
+import { BakeService } from "../services/bakeService.js";
 import { asyncHandler } from "../middleware/errorHandler.js";
+import { changedProperties, diffRevisions, pickRevisionContent } from "../utils/bakeRevisions.js";
+import { REVIEW_DECISIONS, validateReviewInterval, validateReviewRequest } from "../utils/bakeWorkflow.js";
+import { canViewDocument, canSeeInListings, normalizeDocumentAccess, validateDocumentAccess } from "../utils/bakeAccess.js";
+import { listMessages } from "../utils/maiaContext.js";
 
 const router = Router();
 const firebaseService = new FirebaseService();
+const bakeService = new BakeService();
+
+// Session IDs are database keys, so they can't contain . # $ [ ] or /
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+const SESSION_TOKEN_PATTERN = /^[0-9a-f]{48}$/;
+
+// Loads a document the requester may edit: its author, or level 8+.
+// Sends the error response and returns null otherwise.
+const loadEditableDocument = async (req, res, action = "edit") => {
+  const document = await bakeService.getDocument(req.params.documentId);
+  if (!document) {
+    res.status(404).json({
+      success: false,
+      error: "Document not found"
+    });
+    return null;
+  }
+
+  if (document.author !== req.authenticatedUser.uid && req.userData.permissions.level < 8) {
+    res.status(403).json({
+      success: false,
+      error: `Insufficient permissions to ${action} this document`
+    });
+    return null;
+  }
+
+  return document;
+};
+
+// Loads a document the requester may open under its access rules. Sends
+// the error response and returns null otherwise.
+const loadViewableDocument = async (req, res) => {
+  const document = await bakeService.getDocument(req.params.documentId);
+  if (!document) {
+    res.status(404).json({
+      success: false,
+      error: "Document not found"
+    });
+    return null;
+  }
+
+  if (!canViewDocument(document, req.userData || null)) {
+    res.status(req.userData ? 403 : 401).json({
+      success: false,
+      error: req.userData ? "You do not have access to this document" : "Authentication required to view this document"
+    });
+    return null;
+  }
+
+  return document;
+};
+
+const validateDocumentUpdate = ({ title, content, category, subcategory, tags, isPublic, summary }) => {
+  if ((title !== undefined && (!title || typeof title !== 'string')) ||
+      (content !== undefined && (!content || typeof content !== 'string')) ||
+      (category !== undefined && (!category || typeof category !== 'string'))) {
+    return "Title, content, and category cannot be empty";
+  }
+
+  if (subcategory !== undefined && subcategory !== null && typeof subcategory !== 'string') {
+    return "Subcategory must be a string";
+  }
+
+  if (tags !== undefined && (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string'))) {
+    return "Tags must be an array of strings";
+  }
+
+  if (isPublic !== undefined && typeof isPublic !== 'boolean') {
+    return "isPublic must be a boolean";
+  }
+
+  if (summary !== undefined && (typeof summary !== 'string' || summary.length > 500)) {
+    return "Summary must be at most 500 characters";
+  }
+
+  return null;
+};
 
 /**
  * @swagger
  * /api/bake/documents:
  *   get:
  *     summary: Get all documents
+ *     description: Open to anonymous users. Documents the requester cannot open under their access rules are left out, and unpublished documents are only listed for their author, reviewers and level 8+.
  *     tags: [BAKE]
+ *     security:
+ *       - {}
+ *       - BearerAuth: []
  *     parameters:
  *       - in: query
  *         name: category
@@ -30,7 +117,7 @@ const firebaseService = new FirebaseService();
  *         name: search
  *         schema:
  *           type: string
- *         description: Search in title, content, and tags
+ *         description: Full-text search in title, content, and tags; results are ranked by relevance
  *       - in: query
  *         name: public_only
  *         schema:
@@ -71,6 +158,12 @@ const firebaseService = new FirebaseService();
  *               isPublic:
  *                 type: boolean
  *                 default: true
+ *               reviewIntervalDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Days a published document stays current before it needs another review; defaults to the server setting
+ *               access:
+ *                 $ref: '#/components/schemas/BakeDocumentAccess'
  *     responses:
  *       201:
  *         description: Document created successfully
@@ -78,11 +171,12 @@ const firebaseService = new FirebaseService();
 
 
 router.get("/documents", 
+  optionalAuthentication,
   cacheMiddleware(300),
   asyncHandler(async (req, res) => {
     const { category, search, public_only = "true" } = req.query;
     const publicOnly = public_only === "true";
-    const documents = await firebaseService.getBakeDocuments(category, search, publicOnly);
+    const documents = await firebaseService.getBakeDocuments(category, search, publicOnly, req.userData || null);
     
     res.json({
       success: true,
@@ -93,12 +187,96 @@ router.get("/documents",
   })
 );
 
+/**
+ * @swagger
+ * /api/bake/search:
+ *   get:
+ *     summary: Full-text search over public documents (archived documents are excluded)
+ *     description: |
+ *       Results are ranked by relevance (BM25) with title matches weighted
+ *       highest, then tags, then content. Words are matched on their stem, so
+ *       "training" also finds "trained". Put a phrase in double quotes to
+ *       require it verbatim, and end a word with * to match any word starting
+ *       with it. Snippets are HTML-escaped with matches wrapped in <mark>.
+ *       Only documents the requester can open are returned. Drafts and
+ *       documents in review only appear for their author, reviewers and
+ *       level 8+.
+ *     tags: [BAKE]
+ *     security:
+ *       - {}
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 500
+ *         description: Search query
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Only return documents in this category
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Ranked results with id, title, score, coverage and snippet
+ *       400:
+ *         description: Missing or invalid query
+ */
+
+router.get("/search",
+  optionalAuthentication,
+  cacheMiddleware(60),
+  asyncHandler(async (req, res) => {
+    const { q, category } = req.query;
+
+    if (!q || typeof q !== 'string' || q.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Query parameter q is required"
+      });
+    }
+
+    if (q.length > 500) {
+      return res.status(400).json({
+        success: false,
+        error: "Query is too long (max 500 characters)"
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const results = await bakeSearchIndex.search(q, {
+      filter: doc => doc.isPublic && doc.status !== "archived" && (!category || doc.category === category) &&
+        canSeeInListings(doc, req.userData || null),
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: results,
+      count: results.length,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
 /**
  * @swagger
  * /api/bake/documents/{documentId}:
  *   get:
  *     summary: Get specific document
+ *     description: Restricted documents require signing in as a user who meets their access rules.
  *     tags: [BAKE]
+ *     security:
+ *       - {}
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: documentId
@@ -109,6 +287,10 @@ router.get("/documents",
  *     responses:
  *       200:
  *         description: Document retrieved successfully
+ *       401:
+ *         description: Restricted document requested without signing in
+ *       403:
+ *         description: Requester does not meet the document's access rules
  *       404:
  *         description: Document not found
  *   put:
@@ -144,24 +326,25 @@ router.get("/documents",
  *                   type: string
  *               isPublic:
  *                 type: boolean
+ *               summary:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Change summary for the revision; generated from the changes if omitted
  *     responses:
  *       200:
- *         description: Document updated successfully
+ *         description: Document updated successfully; the previous content is kept as a revision
+ *       400:
+ *         description: Invalid update or no changes
  */
 
 
 router.get("/documents/:documentId", 
+  optionalAuthentication,
   cacheMiddleware(600),
   asyncHandler(async (req, res) => {
     const { documentId } = req.params;
-    const document = await firebaseService.getBakeDocument(documentId);
-    
-    if (!document) {
-      return res.status(404).json({
-        success: false,
-        error: "Document not found"
-      });
-    }
+    const document = await loadViewableDocument(req, res);
+    if (!document) return;
     
     await firebaseService.incrementDocumentViews(documentId);
     
@@ -179,7 +362,7 @@ router.post("/documents",
   authenticateFirebaseToken,
   requirePermission(7),
   asyncHandler(async (req, res) => {
-    const { title, content, category, subcategory, tags, isPublic } = req.body;
+    const { title, content, category, subcategory, tags, isPublic, reviewIntervalDays, access } = req.body;
     
     if (!title || !content || !category) {
       return res.status(400).json({
@@ -188,6 +371,22 @@ router.post("/documents",
       });
     }
     
+    const intervalError = reviewIntervalDays !== undefined ? validateReviewInterval(reviewIntervalDays) : null;
+    if (intervalError) {
+      return res.status(400).json({
+        success: false,
+        error: intervalError
+      });
+    }
+    
+    const accessError = access !== undefined ? validateDocumentAccess(access) : null;
+    if (accessError) {
+      return res.status(400).json({
+        success: false,
+        error: accessError
+      });
+    }
+    
     const author = req.authenticatedUser.uid;
     const department = req.userData.permissions.department;
     
@@ -200,10 +399,13 @@ router.post("/documents",
       isPublic: isPublic !== false,
       author,
       department,
-      status: "draft"
+      status: "draft",
+      reviewIntervalDays: reviewIntervalDays || null,
+      access: normalizeDocumentAccess(access)
     };
     
     const documentId = await firebaseService.createBakeDocument(documentData);
+    await bakeService.recordInitialRevision({ ...documentData, id: documentId }, author);
     
     res.status(201).json({
       success: true,
@@ -219,37 +421,57 @@ router.put("/documents/:documentId",
   requirePermission(7),
   asyncHandler(async (req, res) => {
     const { documentId } = req.params;
-    const updates = req.body;
-    const userId = req.authenticatedUser.uid;
+    const { summary, ...updates } = req.body;
     
-    const document = await firebaseService.getBakeDocument(documentId);
-    if (!document) {
-      return res.status(404).json({
+    const validationError = validateDocumentUpdate(req.body);
+    if (validationError) {
+      return res.status(400).json({
         success: false,
-        error: "Document not found"
+        error: validationError
       });
     }
     
-    if (document.author !== userId && req.userData.permissions.level < 8) {
-      return res.status(403).json({
+    const document = await loadEditableDocument(req, res);
+    if (!document) return;
+    
+    const current = pickRevisionContent(document);
+    const content = pickRevisionContent({ ...current, ...updates });
+    const changed = changedProperties(current, content);
+    if (changed.length === 0) {
+      return res.status(400).json({
         success: false,
-        error: "Insufficient permissions to edit this document"
+        error: "No changes to save"
       });
     }
     
-    const updateData = {
-      ...updates,
-      "metadata/updatedAt": Date.now(),
-      "metadata/lastEditedBy": userId
-    };
-    
-    await firebaseService.db.ref(`/bake/documents/${documentId}`).update(updateData);
-    
-    res.json({
-      success: true,
-      message: "Document updated successfully",
-      timestamp: new Date().toISOString()
-    });
+    try {
+      const revision = await bakeService.saveRevision(document, content, req.authenticatedUser.uid, {
+        summary: summary?.trim() || null
+      });
+      await bakeSearchIndex.refreshDocument(documentId);
+      // A published document is back in draft, so cached listings must drop it
+      invalidateCache(req.baseUrl);
+      
+      req.audit({
+        action: "bake.document.update",
+        target: { type: "bakeDocument", id: documentId },
+        before: { revision: document.revision || 1 },
+        after: { revision: revision.revision },
+        metadata: { summary: revision.summary, changed }
+      });
+      
+      res.json({
+        success: true,
+        data: { revision: revision.revision, summary: revision.summary },
+        message: "Document updated successfully",
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: error.message
+      });
+    }
   })
 );
 
@@ -257,7 +479,8 @@ router.put("/documents/:documentId",
  * @swagger
  * /api/bake/documents/{documentId}/publish:
  *   post:
- *     summary: Publish document (requires level 7+ permission)
+ *     summary: Publish a document without review (requires level 8+ permission)
+ *     description: Editorial override of the review workflow. Other editors submit documents for review instead.
  *     tags: [BAKE]
  *     security:
  *       - BearerAuth: []
@@ -268,82 +491,164 @@ router.put("/documents/:documentId",
  *         schema:
  *           type: string
  *         description: Document ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Document published successfully
+ *       409:
+ *         description: Document is already published or archived
  */
 
 
 router.post("/documents/:documentId/publish", 
   authenticateFirebaseToken,
-  requirePermission(7),
+  requirePermission(8),
   asyncHandler(async (req, res) => {
-    const { documentId } = req.params;
-    const userId = req.authenticatedUser.uid;
+    const document = await loadEditableDocument(req, res, "publish");
+    if (!document) return;
     
-    const document = await firebaseService.getBakeDocument(documentId);
-    if (!document) {
-      return res.status(404).json({
-        success: false,
-        error: "Document not found"
+    try {
+      await bakeService.publishDocument(document, req.authenticatedUser.uid, {
+        comment: typeof req.body?.comment === 'string' ? req.body.comment.slice(0, 500) : null
       });
-    }
-    
-    if (document.author !== userId && req.userData.permissions.level < 8) {
-      return res.status(403).json({
+      invalidateCache(req.baseUrl);
+      
+      req.audit({
+        action: "bake.document.publish",
+        target: { type: "bakeDocument", id: document.id },
+        before: { status: document.status || "draft" },
+        after: { status: "published" }
+      });
+      
+      res.json({
+        success: true,
+        message: "Document published successfully",
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
         success: false,
-        error: "Insufficient permissions to publish this document"
+        error: error.message
       });
     }
-    
-    const updateData = {
-      status: "published",
-      "metadata/publishedAt": Date.now(),
-      "metadata/publishedBy": userId
-    };
-    
-    await firebaseService.db.ref(`/bake/documents/${documentId}`).update(updateData);
-    
-    res.json({
-      success: true,
-      message: "Document published successfully",
-      timestamp: new Date().toISOString()
-    });
   })
 );
 
 /**
  * @swagger
- * /api/bake/categories:
- *   get:
- *     summary: Get all document categories
+ * /api/bake/documents/{documentId}/submit-review:
+ *   post:
+ *     summary: Submit a document for review (requires level 7+ permission)
+ *     description: |
+ *       Moves a draft, or a published document flagged as needing review, to
+ *       in_review and notifies the reviewers. It is published once
+ *       requiredApprovals reviewers approve it.
  *     tags: [BAKE]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reviewers
+ *             properties:
+ *               reviewers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: User IDs of level 7+ reviewers, not including the author
+ *               requiredApprovals:
+ *                 type: integer
+ *                 default: 1
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
  *     responses:
  *       200:
- *         description: Categories retrieved successfully
+ *         description: Document submitted for review
+ *       409:
+ *         description: Document cannot be submitted from its current status
  */
 
-
-router.get("/categories", 
-  cacheMiddleware(3600),
+router.post("/documents/:documentId/submit-review",
+  authenticateFirebaseToken,
+  requirePermission(7),
   asyncHandler(async (req, res) => {
-    const snapshot = await firebaseService.db.ref('/bake/categories').once('value');
-    const categories = snapshot.val() || {};
+    const { reviewers, requiredApprovals, note } = req.body;
     
-    res.json({
-      success: true,
-      data: categories,
-      timestamp: new Date().toISOString()
-    });
+    const validationError = validateReviewRequest({ reviewers, requiredApprovals, note });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+    
+    const document = await loadEditableDocument(req, res, "submit");
+    if (!document) return;
+    
+    try {
+      await bakeService.submitForReview(document, req.authenticatedUser.uid, {
+        reviewers,
+        requiredApprovals: requiredApprovals || 1,
+        note: note?.trim() || null
+      });
+      invalidateCache(req.baseUrl);
+      
+      req.audit({
+        action: "bake.document.submit_review",
+        target: { type: "bakeDocument", id: document.id },
+        before: { status: document.status || "draft" },
+        after: { status: "in_review" },
+        metadata: { reviewers, requiredApprovals: requiredApprovals || 1 }
+      });
+      
+      res.json({
+        success: true,
+        data: { status: "in_review", reviewers, requiredApprovals: requiredApprovals || 1 },
+        message: "Document submitted for review",
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: error.message
+      });
+    }
   })
 );
 
 /**
  * @swagger
- * /api/bake/maia/chat:
+ * /api/bake/documents/{documentId}/review:
  *   post:
- *     summary: Chat with MAIA AI Assistant
+ *     summary: Approve or request changes to a document in review (requires level 7+ permission)
+ *     description: Open to the document's assigned reviewers and to level 8+. Requesting changes returns the document to draft.
  *     tags: [BAKE]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
@@ -351,88 +656,896 @@ router.get("/categories",
  *           schema:
  *             type: object
  *             required:
- *               - message
+ *               - decision
  *             properties:
- *               message:
+ *               decision:
  *                 type: string
- *                 maxLength: 500
- *               sessionId:
+ *                 enum: [approve, request_changes]
+ *               comment:
  *                 type: string
+ *                 maxLength: 1000
  *     responses:
  *       200:
- *         description: MAIA response generated successfully
- *       400:
- *         description: Invalid message format
+ *         description: Decision recorded, with the document's resulting status
+ *       403:
+ *         description: Not a reviewer for this document
+ *       409:
+ *         description: Document is not awaiting review
  */
 
-router.post("/maia/chat", 
+router.post("/documents/:documentId/review",
+  authenticateFirebaseToken,
+  requirePermission(7),
   asyncHandler(async (req, res) => {
-    const { message, sessionId } = req.body;
-    const userId = req.authenticatedUser?.uid || "anonymous";
+    const { decision, comment } = req.body;
     
-    if (!message || typeof message !== 'string' || message.trim().length === 0) {
+    if (!REVIEW_DECISIONS.includes(decision)) {
       return res.status(400).json({
         success: false,
-        error: "Message is required and cannot be empty"
+        error: `Decision must be one of: ${REVIEW_DECISIONS.join(", ")}`
       });
     }
     
-    if (message.length > 500) {
+    if (comment !== undefined && (typeof comment !== 'string' || comment.length > 1000)) {
       return res.status(400).json({
         success: false,
-        error: "Message is too long (max 500 characters)"
+        error: "Comment must be at most 1000 characters"
+      });
+    }
+    
+    if (decision === "request_changes" && !comment?.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "A comment is required when requesting changes"
       });
     }
     
-    const response = await firebaseService.processMAIAQuery(message.trim(), userId, sessionId);
+    const document = await bakeService.getDocument(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: "Document not found"
+      });
+    }
     
-    res.json({
-      success: true,
-      data: response,
-      timestamp: new Date().toISOString()
-    });
+    try {
+      const result = await bakeService.reviewDocument(document, req.authenticatedUser.uid, req.userData.permissions.level, {
+        decision,
+        comment: comment?.trim() || null
+      });
+      invalidateCache(req.baseUrl);
+      
+      req.audit({
+        action: "bake.document.review",
+        target: { type: "bakeDocument", id: document.id },
+        before: { status: document.status },
+        after: { status: result.status },
+        metadata: { decision }
+      });
+      
+      res.json({
+        success: true,
+        data: result,
+        message: result.status === "published" ? "Document approved and published" : "Review recorded",
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: error.message
+      });
+    }
   })
 );
 
-
 /**
  * @swagger
- * /api/bake/maia/conversations/{sessionId}:
- *   get:
- *     summary: Get MAIA conversation history
+ * /api/bake/documents/{documentId}/archive:
+ *   post:
+ *     summary: Archive a document (requires level 7+ permission)
+ *     description: Archived documents are left out of search and MAIA answers. Only the author or level 8+ can archive.
  *     tags: [BAKE]
  *     security:
  *       - BearerAuth: []
  *     parameters:
  *       - in: path
- *         name: sessionId
+ *         name: documentId
  *         required: true
  *         schema:
  *           type: string
- *         description: Conversation session ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Conversation retrieved successfully
- *       404:
- *         description: Conversation not found
+ *         description: Document archived
+ *       409:
+ *         description: Document is already archived
  */
 
-router.get("/maia/conversations/:sessionId", 
+router.post("/documents/:documentId/archive",
   authenticateFirebaseToken,
+  requirePermission(7),
   asyncHandler(async (req, res) => {
-    const { sessionId } = req.params;
-    const userId = req.authenticatedUser.uid;
+    const document = await loadEditableDocument(req, res, "archive");
+    if (!document) return;
     
-    const snapshot = await firebaseService.db.ref(`/bake/maia/conversations/${sessionId}`).once('value');
-    const conversation = snapshot.val();
-    
-    if (!conversation) {
-      return res.status(404).json({
+    try {
+      await bakeService.transition(document, "archived", req.authenticatedUser.uid, {
+        comment: typeof req.body?.reason === 'string' ? req.body.reason.slice(0, 500) : null,
+        updates: { review: null }
+      });
+      invalidateCache(req.baseUrl);
+      
+      req.audit({
+        action: "bake.document.archive",
+        target: { type: "bakeDocument", id: document.id },
+        before: { status: document.status || "draft" },
+        after: { status: "archived" }
+      });
+      
+      res.json({
+        success: true,
+        message: "Document archived",
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
         success: false,
-        error: "Conversation not found"
+        error: error.message
       });
     }
-    
+  })
+);
+
+/**
+ * @swagger
+ * /api/bake/documents/{documentId}/unarchive:
+ *   post:
+ *     summary: Return an archived document to draft (requires level 7+ permission)
+ *     tags: [BAKE]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Document moved back to draft
+ *       409:
+ *         description: Document is not archived
+ */
+
+router.post("/documents/:documentId/unarchive",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const document = await loadEditableDocument(req, res, "unarchive");
+    if (!document) return;
+    
+    try {
+      await bakeService.transition(document, "draft", req.authenticatedUser.uid);
+      invalidateCache(req.baseUrl);
+      
+      req.audit({
+        action: "bake.document.unarchive",
+        target: { type: "bakeDocument", id: document.id },
+        before: { status: document.status },
+        after: { status: "draft" }
+      });
+      
+      res.json({
+        success: true,
+        message: "Document moved back to draft",
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BakeDocumentAccess:
+ *       type: object
+ *       nullable: true
+ *       description: |
+ *         Restricts who can open a document. Viewers must be in one of the
+ *         departments or hold one of the roles (when either is set) and meet
+ *         minLevel (when set). The author and level 8+ can always open it.
+ *       properties:
+ *         departments:
+ *           type: array
+ *           items:
+ *             type: string
+ *         roles:
+ *           type: array
+ *           items:
+ *             type: string
+ *         minLevel:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10
+ *
+ * /api/bake/documents/{documentId}/access:
+ *   put:
+ *     summary: Set who can open a document (requires level 7+ permission)
+ *     description: Only the author or level 8+ can change access. Send access null to remove restrictions.
+ *     tags: [BAKE]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - access
+ *             properties:
+ *               access:
+ *                 $ref: '#/components/schemas/BakeDocumentAccess'
+ *     responses:
+ *       200:
+ *         description: Access rules updated
+ *       400:
+ *         description: Invalid access rules
+ */
+
+router.put("/documents/:documentId/access",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const { access } = req.body;
+    
+    const accessError = access === undefined ? "access is required" : validateDocumentAccess(access);
+    if (accessError) {
+      return res.status(400).json({
+        success: false,
+        error: accessError
+      });
+    }
+    
+    const document = await loadEditableDocument(req, res);
+    if (!document) return;
+    
+    const normalized = await bakeService.setAccess(document, normalizeDocumentAccess(access));
+    // Cached listings and documents may include it for users who just lost access
+    invalidateCache(req.baseUrl);
+    
+    req.audit({
+      action: "bake.document.access",
+      target: { type: "bakeDocument", id: document.id },
+      before: { access: document.access || null },
+      after: { access: normalized }
+    });
+    
+    res.json({
+      success: true,
+      data: { access: normalized },
+      message: normalized ? "Document access restricted" : "Document access restrictions removed",
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/bake/documents/{documentId}/review-interval:
+ *   put:
+ *     summary: Set how often a document must be reviewed (requires level 7+ permission)
+ *     tags: [BAKE]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reviewIntervalDays
+ *             properties:
+ *               reviewIntervalDays:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: Review interval updated, with the next review date for published documents
+ */
+
+router.put("/documents/:documentId/review-interval",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const { reviewIntervalDays } = req.body;
+    
+    const intervalError = validateReviewInterval(reviewIntervalDays);
+    if (intervalError) {
+      return res.status(400).json({
+        success: false,
+        error: intervalError
+      });
+    }
+    
+    const document = await loadEditableDocument(req, res);
+    if (!document) return;
+    
+    const nextReviewAt = await bakeService.setReviewInterval(document, reviewIntervalDays);
+    
+    req.audit({
+      action: "bake.document.review_interval",
+      target: { type: "bakeDocument", id: document.id },
+      before: { reviewIntervalDays: document.reviewIntervalDays || null },
+      after: { reviewIntervalDays }
+    });
+    
+    res.json({
+      success: true,
+      data: { reviewIntervalDays, nextReviewAt },
+      message: "Review interval updated",
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/bake/documents/{documentId}/workflow:
+ *   get:
+ *     summary: Get a document's review status and workflow history (requires level 7+ permission)
+ *     tags: [BAKE]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Current status, review round and status changes, oldest first
+ *       404:
+ *         description: Document not found
+ */
+
+router.get("/documents/:documentId/workflow",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const document = await loadViewableDocument(req, res);
+    if (!document) return;
+    
+    const workflow = await bakeService.getWorkflow(document);
+    
+    res.json({
+      success: true,
+      data: workflow,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/bake/review-queue:
+ *   get:
+ *     summary: Documents waiting on the current user (requires level 7+ permission)
+ *     description: |
+ *       awaitingReview lists in-review documents assigned to the user (every
+ *       one for level 8+) that they haven't decided on yet; needsReview lists
+ *       the user's own documents flagged as past their review date.
+ *     tags: [BAKE]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Review queue retrieved successfully
+ */
+
+router.get("/review-queue",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const queue = await bakeService.getReviewQueue(req.authenticatedUser.uid, req.userData.permissions.level);
+    
+    res.json({
+      success: true,
+      data: queue,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/bake/documents/{documentId}/revisions:
+ *   get:
+ *     summary: List a document's revisions (requires level 7+ permission)
+ *     tags: [BAKE]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully, oldest first
+ *       404:
+ *         description: Document not found
+ */
+
+router.get("/documents/:documentId/revisions",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const document = await loadViewableDocument(req, res);
+    if (!document) return;
+    
+    const revisions = await bakeService.getRevisions(document.id);
+    
+    res.json({
+      success: true,
+      data: revisions.map(revision => ({
+        revision: revision.revision,
+        title: revision.title,
+        summary: revision.summary,
+        restoredFrom: revision.restoredFrom || null,
+        author: revision.author,
+        createdAt: revision.createdAt
+      })),
+      meta: { currentRevision: document.revision || 1 },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/bake/documents/{documentId}/revisions/diff:
+ *   get:
+ *     summary: Compare two revisions of a document (requires level 7+ permission)
+ *     description: |
+ *       Defaults to comparing the current revision with the one before it.
+ *       Content changes are returned as a line diff in hunks, each line marked
+ *       equal, added or removed.
+ *     tags: [BAKE]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Changed properties and a line diff of the content
+ *       404:
+ *         description: Revision not found
+ */
+
+router.get("/documents/:documentId/revisions/diff",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const document = await loadViewableDocument(req, res);
+    if (!document) return;
+    
+    const to = parseInt(req.query.to) || document.revision || 1;
+    const from = parseInt(req.query.from) || Math.max(1, to - 1);
+    
+    const [fromRevision, toRevision] = await Promise.all([
+      bakeService.getRevision(document.id, from),
+      bakeService.getRevision(document.id, to)
+    ]);
+    
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        error: `Revision ${!fromRevision ? from : to} not found`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: diffRevisions(fromRevision, toRevision),
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/bake/documents/{documentId}/revisions/{revision}:
+ *   get:
+ *     summary: Get a specific revision of a document (requires level 7+ permission)
+ *     tags: [BAKE]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Revision retrieved successfully
+ *       404:
+ *         description: Revision not found
+ */
+
+router.get("/documents/:documentId/revisions/:revision",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const document = await loadViewableDocument(req, res);
+    if (!document) return;
+    
+    const revision = await bakeService.getRevision(document.id, parseInt(req.params.revision));
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: "Revision not found"
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: revision,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/bake/documents/{documentId}/revisions/{revision}/restore:
+ *   post:
+ *     summary: Restore an earlier revision of a document (requires level 7+ permission)
+ *     description: Saves the chosen revision's content as a new revision; no history is removed.
+ *     tags: [BAKE]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Revision restored
+ *       403:
+ *         description: Only the author or level 8+ can restore
+ *       404:
+ *         description: Revision not found
+ */
+
+router.post("/documents/:documentId/revisions/:revision/restore",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const document = await loadEditableDocument(req, res);
+    if (!document) return;
+    
+    const targetRevision = parseInt(req.params.revision);
+    
+    try {
+      const revision = await bakeService.restoreRevision(document, targetRevision, req.authenticatedUser.uid);
+      await bakeSearchIndex.refreshDocument(document.id);
+      invalidateCache(req.baseUrl);
+      
+      req.audit({
+        action: "bake.document.restore",
+        target: { type: "bakeDocument", id: document.id },
+        before: { revision: document.revision || 1 },
+        after: { revision: revision.revision, restoredFrom: targetRevision }
+      });
+      
+      res.json({
+        success: true,
+        data: { revision: revision.revision, restoredFrom: targetRevision },
+        message: `Document restored to revision ${targetRevision}`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/bake/categories:
+ *   get:
+ *     summary: Get all document categories
+ *     tags: [BAKE]
+ *     responses:
+ *       200:
+ *         description: Categories retrieved successfully
+ */
+
+
+router.get("/categories", 
+  cacheMiddleware(3600),
+  asyncHandler(async (req, res) => {
+    const snapshot = await firebaseService.db.ref('/bake/categories').once('value');
+    const categories = snapshot.val() || {};
+    
+    res.json({
+      success: true,
+      data: categories,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/bake/maia/chat:
+ *   post:
+ *     summary: Chat with MAIA AI Assistant
+ *     description: |
+ *       Answers only draw on documents the requester can open. Pass the
+ *       sessionId from an earlier reply to continue that conversation; follow-up
+ *       questions are understood in the context of the previous question.
+ *       Anonymous conversations also need the sessionToken returned with
+ *       their first reply.
+ *     tags: [BAKE]
+ *     security:
+ *       - {}
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 maxLength: 500
+ *               sessionId:
+ *                 type: string
+ *                 description: Conversation to continue; a new one is started when omitted
+ *               sessionToken:
+ *                 type: string
+ *                 description: Required to continue an anonymous conversation; issued with its first reply
+ *     responses:
+ *       200:
+ *         description: MAIA response generated successfully
+ *       400:
+ *         description: Invalid message format, or the conversation is full
+ *       403:
+ *         description: The session belongs to another user, or the session token is missing or wrong
+ */
+
+router.post("/maia/chat", 
+  optionalAuthentication,
+  asyncHandler(async (req, res) => {
+    const { message, sessionId, sessionToken } = req.body;
+    const userId = req.authenticatedUser?.uid || "anonymous";
+    
+    if (!message || typeof message !== 'string' || message.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Message is required and cannot be empty"
+      });
+    }
+    
+    if (message.length > 500) {
+      return res.status(400).json({
+        success: false,
+        error: "Message is too long (max 500 characters)"
+      });
+    }
+    
+    if (sessionId !== undefined && (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId))) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid session ID"
+      });
+    }
+    
+    if (sessionToken !== undefined && (typeof sessionToken !== 'string' || !SESSION_TOKEN_PATTERN.test(sessionToken))) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid session token"
+      });
+    }
+    
+    try {
+      const response = await firebaseService.processMAIAQuery(
+        message.trim(),
+        userId,
+        sessionId,
+        req.userData || null,
+        sessionToken || null
+      );
+      
+      res.json({
+        success: true,
+        data: response,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/bake/maia/conversations:
+ *   get:
+ *     summary: List the current user's MAIA conversations
+ *     description: Most recently active first. Conversations are deleted after a period of inactivity.
+ *     tags: [BAKE]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Conversations retrieved successfully
+ */
+
+router.get("/maia/conversations",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const conversations = await firebaseService.getUserMAIAConversations(req.authenticatedUser.uid);
+    
+    res.json({
+      success: true,
+      data: conversations,
+      count: conversations.length,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/bake/maia/conversations/{sessionId}:
+ *   get:
+ *     summary: Get MAIA conversation history
+ *     tags: [BAKE]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Conversation session ID
+ *     responses:
+ *       200:
+ *         description: Conversation retrieved successfully, messages oldest first
+ *       404:
+ *         description: Conversation not found
+ *   put:
+ *     summary: Rename a MAIA conversation
+ *     tags: [BAKE]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 100
+ *     responses:
+ *       200:
+ *         description: Conversation renamed
+ *       403:
+ *         description: Only the owner can rename a conversation
+ *       404:
+ *         description: Conversation not found
+ *   delete:
+ *     summary: Delete a MAIA conversation
+ *     description: Owners can delete their conversations; level 8+ can delete any.
+ *     tags: [BAKE]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conversation deleted
+ *       403:
+ *         description: Access denied to this conversation
+ *       404:
+ *         description: Conversation not found
+ */
+
+router.get("/maia/conversations/:sessionId", 
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    const userId = req.authenticatedUser.uid;
+    
+    const conversation = await firebaseService.getMAIAConversation(sessionId);
+    
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: "Conversation not found"
+      });
+    }
+    
     if (conversation.userId !== userId && req.userData.permissions.level < 5) {
       return res.status(403).json({
         success: false,
@@ -442,7 +1555,84 @@ router.get("/maia/conversations/:sessionId",
     
     res.json({
       success: true,
-      data: conversation,
+      data: { ...conversation, messages: listMessages(conversation) },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+router.put("/maia/conversations/:sessionId",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    const { title } = req.body;
+    
+    if (!title || typeof title !== 'string' || title.trim().length === 0 || title.length > 100) {
+      return res.status(400).json({
+        success: false,
+        error: "Title is required (max 100 characters)"
+      });
+    }
+    
+    const conversation = await firebaseService.getMAIAConversation(sessionId);
+    
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: "Conversation not found"
+      });
+    }
+    
+    if (conversation.userId !== req.authenticatedUser.uid) {
+      return res.status(403).json({
+        success: false,
+        error: "Only the owner can rename this conversation"
+      });
+    }
+    
+    await firebaseService.renameMAIAConversation(sessionId, title.trim());
+    
+    res.json({
+      success: true,
+      data: { sessionId, title: title.trim() },
+      message: "Conversation renamed",
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+router.delete("/maia/conversations/:sessionId",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    
+    const conversation = await firebaseService.getMAIAConversation(sessionId);
+    
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: "Conversation not found"
+      });
+    }
+    
+    if (conversation.userId !== req.authenticatedUser.uid && req.userData.permissions.level < 8) {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied to this conversation"
+      });
+    }
+    
+    await firebaseService.deleteMAIAConversation(sessionId);
+    
+    req.audit({
+      action: "maia.conversation.delete",
+      target: { type: "maiaConversation", id: sessionId },
+      metadata: { owner: conversation.userId }
+    });
+    
+    res.json({
+      success: true,
+      message: "Conversation deleted",
       timestamp: new Date().toISOString()
     });
   })
@@ -10,10 +10,10 @@ import { authenticateFirebaseToken, requirePermission } from "../middleware/auth
 import { cacheMiddleware } from "../middleware/cache.js";
 import { asyncHandler } from "../middleware/errorHandler.js";
 import { CACHE_DURATIONS } from "../utils/constants.js";
-import admin from 'firebase-admin';
+import db from "../services/storage/index.js";
+import { realtimeService, TOPICS } from "../services/realtimeService.js";
 
 const router = Router();
-const db = admin.database();
 
 /**
  * @swagger
@@ -303,6 +303,11 @@ router.post("/announcements",
     };
     
     const announcementRef = await db.ref('community/announcements').push(announcementData);
+
+    realtimeService.publish(TOPICS.communityAnnouncements(), "ANNOUNCEMENT_CREATED", {
+      announcementId: announcementRef.key,
+      ...announcementData
+    });
     
     res.status(201).json({
       success: true,
@@ -854,6 +859,15 @@ router.delete("/announcements/:announcementId",
     
     await db.ref(`community/announcements/${announcementId}`).remove();
     
+    req.audit({
+      action: "announcement.delete",
+      target: { type: "announcement", id: announcementId },
+      before: announcement,
+      after: null
+    });
+
+    realtimeService.publish(TOPICS.communityAnnouncements(), "ANNOUNCEMENT_DELETED", { announcementId });
+    
     res.json({
       success: true,
       message: "Announcement deleted successfully",
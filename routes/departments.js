@@ -162,6 +162,13 @@ router.post("/",
     
     await firebaseService.db.ref(`/departments/${departmentId}`).set(departmentData);
     
+    req.audit({
+      action: "department.create",
+      target: { type: "department", id: departmentId },
+      before: null,
+      after: departmentData
+    });
+    
     res.status(201).json({
       success: true,
       message: "Department created successfully",
@@ -8,10 +8,299 @@
 import { Router } from "express";
 import { authenticateFirebaseToken, requirePermission } from "../middleware/auth.js";
 import { FirebaseService } from "../services/firebaseService.js";
+import { FormService } from "../services/formService.js";
 import { asyncHandler } from "../middleware/errorHandler.js";
+import {
+  validateReviewPipeline,
+  normalizeReviewPipeline,
+  getCurrentStage,
+  canReviewStage,
+  summarizeReviewStage
+} from "../utils/formPipeline.js";
+import { assignFieldIds, validateFormFields, validateFormResponses } from "../utils/formFields.js";
+import { pickVersionContent, diffFormVersions } from "../utils/formVersions.js";
+import { validateRubric, normalizeRubric, scoreRubric } from "../utils/formRubric.js";
 
 const router = Router();
 const firebaseService = new FirebaseService();
+const formService = new FormService();
+
+// Loads a form the requester may manage (own department, or level 8+),
+// responding with 404/403 and returning null otherwise
+const loadManagedForm = async (req, res) => {
+  const form = await firebaseService.getForm(req.params.formId);
+  if (!form) {
+    res.status(404).json({
+      success: false,
+      error: "Form not found"
+    });
+    return null;
+  }
+  
+  if (form.department !== req.userData.permissions.department && req.userData.permissions.level < 8) {
+    res.status(403).json({
+      success: false,
+      error: "You can only update forms for your department"
+    });
+    return null;
+  }
+  
+  return form;
+};
+
+const POSITIVE_INTEGER_REQUIREMENTS = ['minLevel', 'minDaysActive', 'reapplyCooldownDays', 'maxAttempts', 'maxSubmissions'];
+
+const validateFormRequirements = (requirements) => {
+  if (typeof requirements !== 'object' || requirements === null || Array.isArray(requirements)) {
+    return "Requirements must be an object";
+  }
+  
+  for (const key of POSITIVE_INTEGER_REQUIREMENTS) {
+    if (requirements[key] !== undefined && requirements[key] !== null &&
+        (!Number.isInteger(requirements[key]) || requirements[key] < 0)) {
+      return `requirements.${key} must be a non-negative integer`;
+    }
+  }
+  
+  for (const key of ['opensAt', 'closesAt']) {
+    if (requirements[key] !== undefined && requirements[key] !== null && !Number.isInteger(requirements[key])) {
+      return `requirements.${key} must be a timestamp in milliseconds`;
+    }
+  }
+  
+  if (requirements.opensAt && requirements.closesAt && requirements.opensAt >= requirements.closesAt) {
+    return "requirements.closesAt must be after opensAt";
+  }
+  
+  return null;
+};
+
+// Accepts ISO dates or epoch milliseconds; undefined means unparseable
+const parseTime = (value) => {
+  if (value === undefined || value === "") return null;
+  const numeric = Number(value);
+  const time = Number.isNaN(numeric) ? Date.parse(value) : numeric;
+  return Number.isNaN(time) ? undefined : time;
+};
+
+// Drafts are stored as-is, so cap their size (characters of JSON)
+const MAX_DRAFT_SIZE = 100000;
+
+// Eligibility and response checks shared by fresh submissions and submitted
+// drafts. Responds with the error and returns null if the submission is refused.
+const submitResponses = async (req, res, form, responses) => {
+  const userId = req.authenticatedUser.uid;
+  
+  const eligibility = await firebaseService.checkFormEligibility(form.id, userId);
+  if (!eligibility.eligible) {
+    res.status(403).json({
+      success: false,
+      error: eligibility.reason,
+      nextEligibleAt: eligibility.nextEligibleAt || null
+    });
+    return null;
+  }
+  
+  const validation = validateFormResponses(form.fields, responses);
+  const fieldErrors = {
+    ...validation.errors,
+    ...(await formService.verifyRobloxUsernames(form.fields, validation.responses))
+  };
+  
+  if (Object.keys(fieldErrors).length > 0) {
+    res.status(400).json({
+      success: false,
+      error: "Some responses are invalid",
+      fieldErrors
+    });
+    return null;
+  }
+  
+  // The submission cap is enforced again here, atomically, for submissions
+  // that raced past the eligibility check
+  try {
+    return await firebaseService.submitForm(form.id, userId, validation.responses);
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      nextEligibleAt: null
+    });
+    return null;
+  }
+};
+
+const sendSubmissionResult = (res, submission) => {
+  res.status(201).json({
+    success: true,
+    data: {
+      submissionId: submission.id,
+      status: submission.status,
+      score: submission.evaluation?.automated?.overallScore,
+      feedback: submission.status === 'approved' ? 'Congratulations! Your application has been approved.' :
+               submission.status === 'rejected' ? 'Your application was not successful this time. Please try again later.' :
+               'Your application is under review. You will be notified of the decision soon.'
+    },
+    message: "Form submitted successfully",
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FormRubric:
+ *       type: object
+ *       description: Criteria reviewers score submissions on. The weighted total is normalised to 0-100.
+ *       properties:
+ *         criteria:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               weight:
+ *                 type: number
+ *                 default: 1
+ *               min:
+ *                 type: integer
+ *                 default: 0
+ *               max:
+ *                 type: integer
+ *                 default: 10
+ *         disagreementThreshold:
+ *           type: number
+ *           default: 20
+ *           description: Reviewers are flagged as disagreeing when their totals, or any criterion, differ by more than this many points out of 100
+ *     FormRequirements:
+ *       type: object
+ *       properties:
+ *         minLevel:
+ *           type: integer
+ *         minDaysActive:
+ *           type: integer
+ *         requiredDepartments:
+ *           type: array
+ *           items:
+ *             type: string
+ *         blacklistedRoles:
+ *           type: array
+ *           items:
+ *             type: string
+ *         reapplyCooldownDays:
+ *           type: integer
+ *           description: Days a user must wait after a rejection before applying again
+ *         maxAttempts:
+ *           type: integer
+ *           description: Maximum submissions per user, whatever their outcome
+ *         opensAt:
+ *           type: integer
+ *           description: Unix timestamp (ms) before which submissions are refused
+ *         closesAt:
+ *           type: integer
+ *           description: Unix timestamp (ms) from which submissions are refused
+ *         maxSubmissions:
+ *           type: integer
+ *           description: Total submissions the form accepts across all users
+ *     FormFieldCondition:
+ *       type: object
+ *       description: Compares the answer to an earlier field. A list of conditions matches when all of them do.
+ *       required:
+ *         - field
+ *         - operator
+ *       properties:
+ *         field:
+ *           type: string
+ *           description: ID of an earlier field (field_1, field_2, ... by position)
+ *           example: field_1
+ *         operator:
+ *           type: string
+ *           enum: [equals, not_equals, in, includes, gt, gte, lt, lte, answered, not_answered]
+ *         value:
+ *           description: Value to compare with; an array for `in`, a number for gt/gte/lt/lte
+ *     FormField:
+ *       type: object
+ *       required:
+ *         - type
+ *         - label
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [text, quiz, select, multiselect, number, date, roblox_username, rating, file_link]
+ *         label:
+ *           type: string
+ *         required:
+ *           type: boolean
+ *         options:
+ *           type: array
+ *           description: Choices for select and multiselect fields
+ *           items:
+ *             type: string
+ *         scale:
+ *           type: object
+ *           description: Range for rating fields (default 1-5)
+ *           properties:
+ *             min:
+ *               type: integer
+ *             max:
+ *               type: integer
+ *         validation:
+ *           type: object
+ *           description: |
+ *             text: minLength, maxLength, grammarCheck. number: min, max, integer.
+ *             date: minDate, maxDate (YYYY-MM-DD). multiselect: minSelections, maxSelections.
+ *         questions:
+ *           type: array
+ *           description: Questions for quiz fields
+ *           items:
+ *             type: object
+ *         showIf:
+ *           description: Only show (and accept an answer for) the field when this matches
+ *           oneOf:
+ *             - $ref: '#/components/schemas/FormFieldCondition'
+ *             - type: array
+ *               items:
+ *                 $ref: '#/components/schemas/FormFieldCondition'
+ *         requiredIf:
+ *           description: Make the field required when this matches
+ *           oneOf:
+ *             - $ref: '#/components/schemas/FormFieldCondition'
+ *             - type: array
+ *               items:
+ *                 $ref: '#/components/schemas/FormFieldCondition'
+ *     ReviewPipeline:
+ *       type: object
+ *       properties:
+ *         stages:
+ *           type: array
+ *           description: Ordered review stages; a submission must be approved at each one
+ *           items:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Interview
+ *               reviewers:
+ *                 type: array
+ *                 description: Assigned reviewer user IDs. When empty, any department member at minLevel can review.
+ *                 items:
+ *                   type: string
+ *               requiredApprovals:
+ *                 type: integer
+ *                 default: 1
+ *               minLevel:
+ *                 type: integer
+ *                 default: 3
+ */
 
 /**
  * @swagger
@@ -42,11 +331,61 @@ router.get("/",
   })
 );
 
+/**
+ * @swagger
+ * /api/forms/drafts:
+ *   get:
+ *     summary: Get the current user's open form drafts
+ *     description: Drafts expire after a period without changes. `outdated` means the form was edited since the draft was started.
+ *     tags: [Forms]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Drafts retrieved successfully, most recently saved first
+ */
+
+router.get("/drafts",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const drafts = await formService.getUserDrafts(req.authenticatedUser.uid);
+    
+    const data = [];
+    for (const draft of drafts) {
+      const form = await firebaseService.getForm(draft.formId);
+      if (!form) continue;
+      
+      data.push({
+        formId: draft.formId,
+        formTitle: form.title,
+        formStatus: form.status,
+        formVersion: draft.formVersion,
+        outdated: draft.formVersion !== (form.version || 1),
+        answered: Object.keys(draft.responses || {}).length,
+        totalFields: form.fields?.length || 0,
+        createdAt: draft.createdAt,
+        updatedAt: draft.updatedAt,
+        expiresAt: draft.expiresAt
+      });
+    }
+    
+    res.json({
+      success: true,
+      data,
+      count: data.length,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
 /**
  * @swagger
  * /api/forms/{formId}:
  *   get:
  *     summary: Get specific form
+ *     description: |
+ *       Includes whether the user may apply. When they can't yet, `nextEligibleAt` is when they can
+ *       (null if they never will, e.g. attempts used up or the form closed).
  *     tags: [Forms]
  *     security:
  *       - BearerAuth: []
@@ -86,15 +425,26 @@ router.get("/:formId",
       title: form.title,
       description: form.description,
       department: form.department,
+      version: form.version || 1,
       fields: form.fields.map(field => ({
         id: field.id,
         type: field.type,
         label: field.label,
         required: field.required,
         options: field.options,
+        scale: field.scale,
+        showIf: field.showIf,
+        requiredIf: field.requiredIf,
         validation: field.validation ? {
           minLength: field.validation.minLength,
-          maxLength: field.validation.maxLength
+          maxLength: field.validation.maxLength,
+          min: field.validation.min,
+          max: field.validation.max,
+          integer: field.validation.integer,
+          minDate: field.validation.minDate,
+          maxDate: field.validation.maxDate,
+          minSelections: field.validation.minSelections,
+          maxSelections: field.validation.maxSelections
         } : undefined,
         questions: field.questions ? field.questions.map(q => ({
           question: q.question,
@@ -109,7 +459,13 @@ router.get("/:formId",
       data: {
         form: sanitizedForm,
         eligible: eligibility.eligible,
-        reason: eligibility.reason
+        reason: eligibility.reason,
+        nextEligibleAt: eligibility.nextEligibleAt || null,
+        attemptsRemaining: eligibility.attemptsRemaining ?? null,
+        window: {
+          opensAt: form.requirements?.opensAt || null,
+          closesAt: form.requirements?.closesAt || null
+        }
       },
       timestamp: new Date().toISOString()
     });
@@ -121,6 +477,7 @@ router.get("/:formId",
  * /api/forms/{formId}/submit:
  *   post:
  *     summary: Submit form application
+ *     description: Discards the user's draft for the form, if any, once the submission is accepted.
  *     tags: [Forms]
  *     security:
  *       - BearerAuth: []
@@ -141,9 +498,14 @@ router.get("/:formId",
  *             properties:
  *               responses:
  *                 type: object
+ *                 description: Answers keyed by field ID. Answers to fields hidden by their conditions are discarded.
  *     responses:
  *       201:
  *         description: Form submitted successfully
+ *       400:
+ *         description: Invalid responses; `fieldErrors` maps each failing field ID to its error
+ *       403:
+ *         description: Not eligible; `nextEligibleAt` is when the user can next apply, if ever
  */
 
 
@@ -152,7 +514,6 @@ router.post("/:formId/submit",
   asyncHandler(async (req, res) => {
     const { formId } = req.params;
     const { responses } = req.body;
-    const userId = req.authenticatedUser.uid;
     
     if (!responses || typeof responses !== 'object') {
       return res.status(400).json({
@@ -169,82 +530,239 @@ router.post("/:formId/submit",
       });
     }
     
-    const eligibility = await firebaseService.checkFormEligibility(formId, userId);
-    if (!eligibility.eligible) {
-      return res.status(403).json({
+    const submission = await submitResponses(req, res, form, responses);
+    if (!submission) return;
+    
+    await formService.deleteDraft(req.authenticatedUser.uid, formId);
+    
+    sendSubmissionResult(res, submission);
+  })
+);
+
+/**
+ * @swagger
+ * /api/forms/{formId}/draft:
+ *   get:
+ *     summary: Resume the current user's draft for a form
+ *     tags: [Forms]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: formId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Draft retrieved successfully
+ *       404:
+ *         description: No open draft for this form
+ *   put:
+ *     summary: Save (autosave) a draft of the current user's responses
+ *     description: Partial responses are accepted and not validated until the draft is submitted. Each save pushes the expiry back.
+ *     tags: [Forms]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: formId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - responses
+ *             properties:
+ *               responses:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Draft saved
+ *   delete:
+ *     summary: Discard the current user's draft for a form
+ *     tags: [Forms]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: formId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Draft discarded
+ */
+
+router.get("/:formId/draft",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const { formId } = req.params;
+    
+    const draft = await formService.getDraft(req.authenticatedUser.uid, formId);
+    if (!draft) {
+      return res.status(404).json({
         success: false,
-        error: eligibility.reason
+        error: "No draft found for this form"
       });
     }
     
-    const requiredFields = form.fields.filter(field => field.required);
-    const missingFields = requiredFields.filter(field => !responses[field.id]);
+    const form = await firebaseService.getForm(formId);
+    
+    res.json({
+      success: true,
+      data: {
+        ...draft,
+        responses: draft.responses || {},
+        outdated: Boolean(form) && draft.formVersion !== (form.version || 1)
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+router.put("/:formId/draft",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const { formId } = req.params;
+    const { responses } = req.body;
     
-    if (missingFields.length > 0) {
+    if (!responses || typeof responses !== 'object' || Array.isArray(responses)) {
       return res.status(400).json({
         success: false,
-        error: `Missing required fields: ${missingFields.map(f => f.label).join(', ')}`
+        error: "Responses object is required"
       });
     }
     
-    for (const field of form.fields) {
-      const response = responses[field.id];
-      if (!response) continue;
-      
-      if (field.type === 'text' && field.validation) {
-        if (field.validation.minLength && response.length < field.validation.minLength) {
-          return res.status(400).json({
-            success: false,
-            error: `${field.label} must be at least ${field.validation.minLength} characters long`
-          });
-        }
-        if (field.validation.maxLength && response.length > field.validation.maxLength) {
-          return res.status(400).json({
-            success: false,
-            error: `${field.label} must be no more than ${field.validation.maxLength} characters long`
-          });
-        }
-      }
-      
-      if (field.type === 'quiz' && field.questions) {
-        if (!response.answers || !Array.isArray(response.answers)) {
-          return res.status(400).json({
-            success: false,
-            error: `${field.label} requires quiz answers`
-          });
-        }
-        if (response.answers.length !== field.questions.length) {
-          return res.status(400).json({
-            success: false,
-            error: `${field.label} requires answers to all questions`
-          });
-        }
-      }
+    if (JSON.stringify(responses).length > MAX_DRAFT_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: "Draft is too large"
+      });
+    }
+    
+    const form = await firebaseService.getForm(formId);
+    if (!form || form.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        error: "Form not found or not accepting submissions"
+      });
     }
     
-    const submission = await firebaseService.submitForm(formId, userId, responses);
+    // Only keep answers to fields that exist on the form
+    const fieldIds = new Set(form.fields.map(field => field.id));
+    const draftResponses = Object.fromEntries(
+      Object.entries(responses).filter(([fieldId]) => fieldIds.has(fieldId))
+    );
     
-    res.status(201).json({
+    const draft = await formService.saveDraft(req.authenticatedUser.uid, form, draftResponses);
+    
+    res.json({
       success: true,
       data: {
-        submissionId: submission.id,
-        status: submission.status,
-        score: submission.evaluation?.automated?.overallScore,
-        feedback: submission.status === 'approved' ? 'Congratulations! Your application has been approved.' :
-                 submission.status === 'rejected' ? 'Your application was not successful this time. Please try again later.' :
-                 'Your application is under review. You will be notified of the decision soon.'
+        formId,
+        formVersion: draft.formVersion,
+        updatedAt: draft.updatedAt,
+        expiresAt: draft.expiresAt
       },
-      message: "Form submitted successfully",
+      message: "Draft saved",
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+router.delete("/:formId/draft",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const { formId } = req.params;
+    
+    const draft = await formService.getDraft(req.authenticatedUser.uid, formId);
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        error: "No draft found for this form"
+      });
+    }
+    
+    await formService.deleteDraft(req.authenticatedUser.uid, formId);
+    
+    res.json({
+      success: true,
+      message: "Draft discarded",
       timestamp: new Date().toISOString()
     });
   })
 );
 
+/**
+ * @swagger
+ * /api/forms/{formId}/draft/submit:
+ *   post:
+ *     summary: Submit the current user's draft
+ *     description: Runs the same eligibility and validation checks as a direct submission, against the current form version. The draft is kept if the checks fail.
+ *     tags: [Forms]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: formId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Form submitted successfully
+ *       400:
+ *         description: Invalid responses; `fieldErrors` maps each failing field ID to its error
+ *       403:
+ *         description: Not eligible; `nextEligibleAt` is when the user can next apply, if ever
+ *       404:
+ *         description: No open draft for this form
+ */
+
+router.post("/:formId/draft/submit",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const { formId } = req.params;
+    const userId = req.authenticatedUser.uid;
+    
+    const draft = await formService.getDraft(userId, formId);
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        error: "No draft found for this form"
+      });
+    }
+    
+    const form = await firebaseService.getForm(formId);
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        error: "Form not found"
+      });
+    }
+    
+    const submission = await submitResponses(req, res, form, draft.responses || {});
+    if (!submission) return;
+    
+    await formService.deleteDraft(userId, formId);
+    
+    sendSubmissionResult(res, submission);
+  })
+);
+
 /**
  * @swagger
  * /api/forms/submissions/my:
  *   get:
  *     summary: Get user's form submissions
+ *     description: Submissions to forms with a review pipeline include `stage`, the stage they are currently at.
  *     tags: [Forms]
  *     security:
  *       - BearerAuth: []
@@ -297,6 +815,7 @@ router.get("/submissions/my",
         formDepartment: submission.formDepartment,
         status: submission.status,
         score: submission.evaluation?.automated?.overallScore,
+        stage: summarizeReviewStage(submission),
         submittedAt: submission.submittedAt
       }));
     
@@ -313,6 +832,38 @@ router.get("/submissions/my",
   })
 );
 
+/**
+ * @swagger
+ * /api/forms/submissions/queue:
+ *   get:
+ *     summary: Get submissions awaiting the current user's review (requires level 3+ permission)
+ *     description: Pending submissions whose current review stage the user can act on and has not reviewed yet, oldest first.
+ *     tags: [Forms]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Review queue retrieved successfully
+ */
+
+router.get("/submissions/queue",
+  authenticateFirebaseToken,
+  requirePermission(3),
+  asyncHandler(async (req, res) => {
+    const queue = await formService.getReviewQueue({
+      uid: req.authenticatedUser.uid,
+      permissions: req.userData.permissions
+    });
+
+    res.json({
+      success: true,
+      data: queue,
+      count: queue.length,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
 /**
  * @swagger
  * /api/forms/department/{departmentId}:
@@ -392,9 +943,13 @@ router.get("/department/:departmentId",
  *               fields:
  *                 type: array
  *                 items:
- *                   type: object
+ *                   $ref: '#/components/schemas/FormField'
  *               requirements:
- *                 type: object
+ *                 $ref: '#/components/schemas/FormRequirements'
+ *               reviewPipeline:
+ *                 $ref: '#/components/schemas/ReviewPipeline'
+ *               rubric:
+ *                 $ref: '#/components/schemas/FormRubric'
  *     responses:
  *       201:
  *         description: Form created successfully
@@ -405,7 +960,7 @@ router.post("/create",
   authenticateFirebaseToken,
   requirePermission(7),
   asyncHandler(async (req, res) => {
-    const { title, description, fields, requirements } = req.body;
+    const { title, description, fields, requirements, reviewPipeline, rubric } = req.body;
     const createdBy = req.authenticatedUser.uid;
     const department = req.userData.permissions.department;
     
@@ -416,6 +971,39 @@ router.post("/create",
       });
     }
     
+    const requirementsError = requirements ? validateFormRequirements(requirements) : null;
+    if (requirementsError) {
+      return res.status(400).json({
+        success: false,
+        error: requirementsError
+      });
+    }
+    
+    const numberedFields = assignFieldIds(fields);
+    const fieldsError = validateFormFields(numberedFields);
+    if (fieldsError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldsError
+      });
+    }
+    
+    const pipelineError = reviewPipeline ? validateReviewPipeline(reviewPipeline) : null;
+    if (pipelineError) {
+      return res.status(400).json({
+        success: false,
+        error: pipelineError
+      });
+    }
+    
+    const rubricError = rubric ? validateRubric(rubric) : null;
+    if (rubricError) {
+      return res.status(400).json({
+        success: false,
+        error: rubricError
+      });
+    }
+    
     const formRef = firebaseService.db.ref('/forms/templates').push();
     
     const formData = {
@@ -429,10 +1017,11 @@ router.post("/create",
         minLevel: 1,
         minDaysActive: 0
       },
-      fields: fields.map((field, index) => ({
-        ...field,
-        id: `field_${index + 1}`
-      })),
+      fields: numberedFields,
+      version: 1,
+      lastFieldNumber: numberedFields.length,
+      reviewPipeline: reviewPipeline ? normalizeReviewPipeline(reviewPipeline) : null,
+      rubric: rubric ? normalizeRubric(rubric) : null,
       autoEvaluation: {
         enabled: true,
         criteria: {
@@ -458,6 +1047,7 @@ router.post("/create",
     };
     
     await formRef.set(formData);
+    await formService.recordInitialVersion(formData);
     
     res.status(201).json({
       success: true,
@@ -543,6 +1133,599 @@ router.put("/:formId/status",
   })
 );
 
+/**
+ * @swagger
+ * /api/forms/{formId}:
+ *   put:
+ *     summary: Edit a form template (requires level 7+ permission)
+ *     description: |
+ *       Saves the edited content as a new version. Submissions keep the version they answered. Fields kept from the
+ *       current version must send their existing `id`; fields without a known ID are added as new questions.
+ *     tags: [Forms]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: formId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               fields:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/FormField'
+ *               requirements:
+ *                 $ref: '#/components/schemas/FormRequirements'
+ *               rubric:
+ *                 nullable: true
+ *                 description: Set to null to remove the rubric
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/FormRubric'
+ *               changeNote:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: New version created
+ *       400:
+ *         description: Invalid fields or nothing changed
+ */
+
+router.put("/:formId",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const { formId } = req.params;
+    const { title, description, fields, requirements, rubric, changeNote } = req.body;
+    
+    const form = await loadManagedForm(req, res);
+    if (!form) return;
+    
+    if ((title !== undefined && (!title || typeof title !== 'string')) ||
+        (description !== undefined && (!description || typeof description !== 'string'))) {
+      return res.status(400).json({
+        success: false,
+        error: "Title and description cannot be empty"
+      });
+    }
+    
+    if (fields !== undefined && (!Array.isArray(fields) || fields.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: "At least one field is required"
+      });
+    }
+    
+    const requirementsError = requirements !== undefined ? validateFormRequirements(requirements) : null;
+    if (requirementsError) {
+      return res.status(400).json({
+        success: false,
+        error: requirementsError
+      });
+    }
+    
+    const rubricError = rubric ? validateRubric(rubric) : null;
+    if (rubricError) {
+      return res.status(400).json({
+        success: false,
+        error: rubricError
+      });
+    }
+    
+    if (changeNote !== undefined && (typeof changeNote !== 'string' || changeNote.length > 500)) {
+      return res.status(400).json({
+        success: false,
+        error: "Change note must be at most 500 characters"
+      });
+    }
+    
+    const current = { version: form.version || 1, ...pickVersionContent(form) };
+    const content = {
+      ...current,
+      ...(title !== undefined && { title }),
+      ...(description !== undefined && { description }),
+      ...(requirements !== undefined && { requirements }),
+      ...(rubric !== undefined && { rubric: rubric ? normalizeRubric(rubric) : null }),
+      ...(fields !== undefined && { fields: assignFieldIds(fields, form.fields, form.lastFieldNumber) })
+    };
+    
+    const fieldsError = validateFormFields(content.fields);
+    if (fieldsError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldsError
+      });
+    }
+    
+    const diff = diffFormVersions(current, { ...content, version: current.version + 1 });
+    const fieldDiff = diff.fields;
+    if (Object.keys(diff.changes).length === 0 && !fieldDiff.reordered &&
+        fieldDiff.added.length + fieldDiff.removed.length + fieldDiff.changed.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No changes to save"
+      });
+    }
+    
+    try {
+      const version = await formService.createVersion(form, content, req.authenticatedUser.uid, {
+        changeNote: changeNote?.trim() || null
+      });
+      
+      req.audit({
+        action: "form.update",
+        target: { type: "form", id: formId },
+        before: { version: current.version },
+        after: { version: version.version },
+        metadata: { changeNote: version.changeNote }
+      });
+      
+      res.json({
+        success: true,
+        data: { version: version.version, diff: { ...diff, to: version.version } },
+        message: `Form updated to version ${version.version}`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/forms/{formId}/export:
+ *   get:
+ *     summary: Export a form's submissions (requires level 7+ permission)
+ *     description: One row per submission and one column per field, including fields removed in later versions of the form.
+ *     tags: [Forms]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: formId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Only submissions made at or after this time (ISO date or epoch milliseconds)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Only submissions made at or before this time (ISO date or epoch milliseconds)
+ *     responses:
+ *       200:
+ *         description: Submissions exported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid time range
+ */
+
+router.get("/:formId/export",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const { status, format = "json" } = req.query;
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: "from and to must be ISO dates or epoch milliseconds"
+      });
+    }
+    
+    const form = await loadManagedForm(req, res);
+    if (!form) return;
+    
+    const submissions = await formService.getFormSubmissions(form.id, { status, from, to });
+    const exported = await formService.buildExport(form, submissions);
+    
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="form-${form.id}-${Date.now()}.csv"`);
+      return res.send(formService.exportToCsv(exported));
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        form: { id: form.id, title: form.title, version: form.version || 1 },
+        ...exported
+      },
+      count: exported.rows.length,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/forms/{formId}/analytics:
+ *   get:
+ *     summary: Get submission analytics for a form (requires level 7+ permission)
+ *     description: |
+ *       Daily submission counts (UTC), approval rate, average automated versus manual score, median time from
+ *       submission to manual review, per-question quiz accuracy and rubric results.
+ *     tags: [Forms]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: formId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Analytics retrieved successfully
+ *       400:
+ *         description: Invalid time range
+ */
+
+router.get("/:formId/analytics",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: "from and to must be ISO dates or epoch milliseconds"
+      });
+    }
+    
+    const form = await loadManagedForm(req, res);
+    if (!form) return;
+    
+    const submissions = await formService.getFormSubmissions(form.id, { from, to });
+    const analytics = await formService.getAnalytics(form, submissions);
+    
+    res.json({
+      success: true,
+      data: analytics,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/forms/{formId}/versions:
+ *   get:
+ *     summary: List a form's versions (requires level 7+ permission)
+ *     tags: [Forms]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: formId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Versions retrieved successfully, oldest first
+ */
+
+router.get("/:formId/versions",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const form = await loadManagedForm(req, res);
+    if (!form) return;
+    
+    const versions = await formService.getVersions(form.id);
+    
+    res.json({
+      success: true,
+      data: versions.map(version => ({
+        version: version.version,
+        title: version.title,
+        fieldCount: version.fields?.length || 0,
+        changeNote: version.changeNote || null,
+        restoredFrom: version.restoredFrom || null,
+        createdBy: version.createdBy,
+        createdAt: version.createdAt
+      })),
+      meta: { currentVersion: form.version || 1 },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/forms/{formId}/versions/diff:
+ *   get:
+ *     summary: Compare two versions of a form (requires level 7+ permission)
+ *     description: Defaults to comparing the current version with the one before it.
+ *     tags: [Forms]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: formId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Changed settings, and fields that were added, removed or changed
+ *       404:
+ *         description: Version not found
+ */
+
+router.get("/:formId/versions/diff",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const form = await loadManagedForm(req, res);
+    if (!form) return;
+    
+    const currentVersion = form.version || 1;
+    const to = parseInt(req.query.to) || currentVersion;
+    const from = parseInt(req.query.from) || Math.max(1, to - 1);
+    
+    const [fromVersion, toVersion] = await Promise.all([
+      formService.getVersion(form.id, from),
+      formService.getVersion(form.id, to)
+    ]);
+    
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({
+        success: false,
+        error: `Version ${!fromVersion ? from : to} not found`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: diffFormVersions(fromVersion, toVersion),
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/forms/{formId}/versions/{version}:
+ *   get:
+ *     summary: Get a specific version of a form (requires level 7+ permission)
+ *     tags: [Forms]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: formId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Version retrieved successfully
+ *       404:
+ *         description: Version not found
+ */
+
+router.get("/:formId/versions/:version",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const form = await loadManagedForm(req, res);
+    if (!form) return;
+    
+    const version = await formService.getVersion(form.id, parseInt(req.params.version));
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: "Version not found"
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: version,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/forms/{formId}/versions/{version}/rollback:
+ *   post:
+ *     summary: Roll a form back to an earlier version (requires level 7+ permission)
+ *     description: Publishes the chosen version's content as a new version; no history is removed.
+ *     tags: [Forms]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: formId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Form rolled back
+ *       404:
+ *         description: Version not found
+ */
+
+router.post("/:formId/versions/:version/rollback",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const form = await loadManagedForm(req, res);
+    if (!form) return;
+    
+    const targetVersion = parseInt(req.params.version);
+    
+    try {
+      const version = await formService.rollbackToVersion(form, targetVersion, req.authenticatedUser.uid);
+      
+      req.audit({
+        action: "form.rollback",
+        target: { type: "form", id: form.id },
+        before: { version: form.version || 1 },
+        after: { version: version.version, restoredFrom: targetVersion }
+      });
+      
+      res.json({
+        success: true,
+        data: { version: version.version, restoredFrom: targetVersion },
+        message: `Form rolled back to version ${targetVersion}`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/forms/{formId}/pipeline:
+ *   put:
+ *     summary: Set or remove a form's review pipeline (requires level 7+ permission)
+ *     description: Only affects new submissions; submissions already in review keep the stages they started with.
+ *     tags: [Forms]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: formId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reviewPipeline:
+ *                 nullable: true
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/ReviewPipeline'
+ *     responses:
+ *       200:
+ *         description: Review pipeline updated
+ *       400:
+ *         description: Invalid pipeline
+ */
+
+router.put("/:formId/pipeline",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const { formId } = req.params;
+    const { reviewPipeline } = req.body;
+    
+    const form = await loadManagedForm(req, res);
+    if (!form) return;
+    
+    const pipelineError = reviewPipeline ? validateReviewPipeline(reviewPipeline) : null;
+    if (pipelineError) {
+      return res.status(400).json({
+        success: false,
+        error: pipelineError
+      });
+    }
+    
+    const pipeline = reviewPipeline ? normalizeReviewPipeline(reviewPipeline) : null;
+    
+    await firebaseService.db.ref(`/forms/templates/${formId}`).update({
+      reviewPipeline: pipeline,
+      updatedAt: Date.now(),
+      updatedBy: req.authenticatedUser.uid
+    });
+    
+    req.audit({
+      action: "form.pipeline.update",
+      target: { type: "form", id: formId },
+      before: form.reviewPipeline || null,
+      after: pipeline
+    });
+    
+    res.json({
+      success: true,
+      data: pipeline,
+      message: pipeline ? "Review pipeline updated" : "Review pipeline removed",
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
 /**
  * @swagger
  * /api/forms/submissions/{submissionId}:
@@ -559,7 +1742,7 @@ router.put("/:formId/status",
  *           type: string
  *     responses:
  *       200:
- *         description: Submission retrieved successfully
+ *         description: Submission retrieved successfully. For reviewers, `form` holds the template version the applicant answered.
  *       404:
  *         description: Submission not found
  */
@@ -591,6 +1774,22 @@ router.get("/submissions/:submissionId",
       });
     }
     
+    // Reviewer votes, stage notes and individual rubric scores are internal;
+    // applicants only see their stage
+    if (isOwner && submission.review) {
+      submission.review = summarizeReviewStage(submission);
+    }
+    
+    if (isOwner) {
+      delete submission.rubricReviews;
+      delete submission.rubricSummary;
+    }
+    
+    // Reviewers see the questions as they were when the applicant answered them
+    if (!isOwner) {
+      submission.form = await formService.getSubmissionForm(submission);
+    }
+    
     res.json({
       success: true,
       data: submission,
@@ -604,6 +1803,10 @@ router.get("/submissions/:submissionId",
  * /api/forms/submissions/{submissionId}/review:
  *   put:
  *     summary: Review form submission (requires level 3+ permission)
+ *     description: |
+ *       For forms with a review pipeline this records the reviewer's vote on the current stage. A rejection ends
+ *       the review; once the stage has its required approvals the submission moves to the next stage, and it is
+ *       approved after the last one. Stages with assigned reviewers can only be reviewed by them (or level 8+).
  *     tags: [Forms]
  *     security:
  *       - BearerAuth: []
@@ -630,9 +1833,15 @@ router.get("/submissions/:submissionId",
  *                 type: string
  *               score:
  *                 type: integer
+ *                 description: Ignored for forms with a rubric; the weighted rubric total is used instead
+ *               rubricScores:
+ *                 type: object
+ *                 description: Score for every rubric criterion, keyed by criterion ID. Required when the form has a rubric.
+ *                 additionalProperties:
+ *                   type: number
  *     responses:
  *       200:
- *         description: Submission reviewed successfully
+ *         description: Submission reviewed successfully. For rubric forms, includes the weighted total and the submission's rubric summary.
  */
 
 router.put("/submissions/:submissionId/review", 
@@ -640,7 +1849,7 @@ router.put("/submissions/:submissionId/review",
   requirePermission(3),
   asyncHandler(async (req, res) => {
     const { submissionId } = req.params;
-    const { decision, feedback, score } = req.body;
+    const { decision, feedback, score, rubricScores } = req.body;
     const reviewerId = req.authenticatedUser.uid;
     
     if (!['approved', 'rejected'].includes(decision)) {
@@ -684,6 +1893,93 @@ router.put("/submissions/:submissionId/review",
     const formSnapshot = await firebaseService.db.ref(`/forms/templates/${submission.formId}`).once('value');
     const form = formSnapshot.val();
     
+    const stage = getCurrentStage(submission);
+    
+    // Score against the rubric of the version the applicant answered
+    const rubric = (await formService.getSubmissionForm(submission))?.rubric;
+    let rubricResult = null;
+    
+    if (rubric) {
+      rubricResult = scoreRubric(rubric, rubricScores);
+      if (rubricResult.error) {
+        return res.status(400).json({
+          success: false,
+          error: rubricResult.error
+        });
+      }
+    } else if (rubricScores !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: "This form does not have a rubric"
+      });
+    }
+    
+    const reviewScore = rubricResult ? rubricResult.total : score;
+    const recordRubric = () => rubricResult && formService.recordRubricReview(submission, rubric, {
+      reviewerId,
+      stageId: stage?.id || null,
+      scores: rubricResult.scores,
+      total: rubricResult.total,
+      decision,
+      reviewedAt: Date.now()
+    });
+    
+    if (stage) {
+      if (submission.userId === reviewerId) {
+        return res.status(403).json({
+          success: false,
+          error: "You cannot review your own submission"
+        });
+      }
+      
+      if (!canReviewStage(stage, { uid: reviewerId, permissions: req.userData.permissions }, form?.department)) {
+        return res.status(403).json({
+          success: false,
+          error: `You are not a reviewer for the ${stage.name} stage`
+        });
+      }
+      
+      try {
+        const result = await formService.reviewStage(submissionId, stage.id, reviewerId, {
+          decision,
+          feedback: feedback.trim(),
+          score: reviewScore,
+          rubricScores: rubricResult?.scores || null
+        });
+        const rubricSummary = await recordRubric();
+        
+        req.audit({
+          action: "form.submission.stage_review",
+          target: { type: "form_submission", id: submissionId },
+          before: { status: submission.status, stage: stage.id },
+          after: { status: result.submission.status, stage: getCurrentStage(result.submission)?.id || null },
+          metadata: { formId: submission.formId, decision }
+        });
+        
+        return res.json({
+          success: true,
+          data: {
+            status: result.submission.status,
+            stage: summarizeReviewStage(result.submission),
+            approvals: result.approvals,
+            requiredApprovals: stage.requiredApprovals,
+            ...(rubricResult && { rubric: { total: rubricResult.total, summary: rubricSummary } })
+          },
+          message: result.finalStatus
+            ? `Submission ${result.finalStatus}`
+            : result.nextStage
+              ? `Submission moved to ${result.nextStage.name}`
+              : `Vote recorded for ${stage.name}`,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        return res.status(error.statusCode || 400).json({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+    
     if (form.department !== req.userData.permissions.department && req.userData.permissions.level < 7) {
       return res.status(403).json({
         success: false,
@@ -696,24 +1992,120 @@ router.put("/submissions/:submissionId/review",
       "evaluation/manual": {
         reviewedBy: reviewerId,
         reviewedAt: Date.now(),
-        score: score || submission.evaluation.automated.overallScore,
+        score: rubricResult ? rubricResult.total : (score || submission.evaluation.automated.overallScore),
         feedback: feedback.trim(),
+        rubricScores: rubricResult?.scores || null,
         decision: decision
       },
       updatedAt: Date.now()
     };
     
     await firebaseService.db.ref(`/forms/submissions/${submissionId}`).update(updates);
+    const rubricSummary = await recordRubric();
+    
+    req.audit({
+      action: "form.submission.review",
+      target: { type: "form_submission", id: submissionId },
+      before: { status: submission.status },
+      after: { status: decision, score: updates["evaluation/manual"].score },
+      metadata: { formId: submission.formId }
+    });
     
     await firebaseService.db.ref(`/forms/templates/${submission.formId}/analytics/${decision}`).transaction(count => (count || 0) + 1);
     await firebaseService.db.ref(`/forms/templates/${submission.formId}/analytics/pending`).transaction(count => Math.max(0, (count || 0) - 1));
     
     res.json({
       success: true,
+      ...(rubricResult && { data: { rubric: { total: rubricResult.total, summary: rubricSummary } } }),
       message: `Submission ${decision}`,
       timestamp: new Date().toISOString()
     });
   })
 );
 
+/**
+ * @swagger
+ * /api/forms/submissions/{submissionId}/notes:
+ *   post:
+ *     summary: Add a note to the submission's current review stage (requires level 3+ permission)
+ *     description: Notes are visible to reviewers only.
+ *     tags: [Forms]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: submissionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: Note added
+ *       400:
+ *         description: Submission has no active review stage
+ */
+
+router.post("/submissions/:submissionId/notes",
+  authenticateFirebaseToken,
+  requirePermission(3),
+  asyncHandler(async (req, res) => {
+    const { submissionId } = req.params;
+    const { note } = req.body;
+    const authorId = req.authenticatedUser.uid;
+    
+    if (!note || typeof note !== 'string' || note.trim().length === 0 || note.length > 2000) {
+      return res.status(400).json({
+        success: false,
+        error: "Note is required and must be at most 2000 characters"
+      });
+    }
+    
+    const submission = await formService.getSubmission(submissionId);
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        error: "Submission not found"
+      });
+    }
+    
+    const stage = getCurrentStage(submission);
+    if (!stage || submission.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: "Submission has no active review stage"
+      });
+    }
+    
+    const form = await firebaseService.getForm(submission.formId);
+    if (submission.userId === authorId ||
+        !canReviewStage(stage, { uid: authorId, permissions: req.userData.permissions }, form?.department)) {
+      return res.status(403).json({
+        success: false,
+        error: `You are not a reviewer for the ${stage.name} stage`
+      });
+    }
+    
+    const stageNote = await formService.addStageNote(submissionId, stage.id, authorId, note.trim());
+    
+    res.status(201).json({
+      success: true,
+      data: { ...stageNote, stageId: stage.id },
+      message: "Note added",
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
 export default router;
@@ -0,0 +1,444 @@
+/**
+ * @swagger
+ * tags:
+ *   name: LOA
+ *   description: Leave of absence requests and approvals
+ */
+
+import { Router } from "express";
+import { authenticateFirebaseToken, requirePermission } from "../middleware/auth.js";
+import { asyncHandler } from "../middleware/errorHandler.js";
+import { LoaService, LOA_STATUSES } from "../services/loaService.js";
+
+const router = Router();
+const loaService = new LoaService();
+
+const MAX_LOA_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Department heads review their own department's requests; level 8+ review all
+const canReviewDepartment = (req, department) =>
+  (req.userData?.permissions?.level || 0) >= 8 ||
+  ((req.userData?.permissions?.level || 0) >= 7 && req.userData?.permissions?.department === department);
+
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === "") return NaN;
+  return typeof value === "number" ? value : new Date(value).getTime();
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LeaveOfAbsence:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         userId:
+ *           type: string
+ *         department:
+ *           type: string
+ *         startDate:
+ *           type: integer
+ *           description: Start of the leave (ms)
+ *         endDate:
+ *           type: integer
+ *           description: End of the leave (ms, exclusive)
+ *         reason:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, denied, cancelled, expired]
+ *         reviewedBy:
+ *           type: string
+ *         reviewedAt:
+ *           type: integer
+ *         reviewNote:
+ *           type: string
+ *         createdAt:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /api/loa:
+ *   get:
+ *     summary: List the current user's leave of absence requests
+ *     tags: [LOA]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, denied, cancelled, expired]
+ *     responses:
+ *       200:
+ *         description: Requests retrieved successfully, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LeaveOfAbsence'
+ *   post:
+ *     summary: Request a leave of absence
+ *     description: The request is sent to the head of the user's department for approval.
+ *     tags: [LOA]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDate
+ *               - endDate
+ *               - reason
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 description: ISO date or ms timestamp
+ *               endDate:
+ *                 type: string
+ *                 description: ISO date or ms timestamp
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Request submitted
+ *       400:
+ *         description: Invalid dates or reason
+ *       409:
+ *         description: Overlaps an existing pending or approved leave
+ */
+router.get("/",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const { status } = req.query;
+    const requests = await loaService.getUserRequests(req.authenticatedUser.uid);
+
+    res.json({
+      success: true,
+      data: status ? requests.filter(request => request.status === status) : requests,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+router.post("/",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const { reason } = req.body;
+    const startDate = parseDate(req.body.startDate);
+    const endDate = parseDate(req.body.endDate);
+
+    if (Number.isNaN(startDate) || Number.isNaN(endDate)) {
+      return res.status(400).json({
+        success: false,
+        error: "startDate and endDate must be valid dates"
+      });
+    }
+
+    if (endDate <= startDate) {
+      return res.status(400).json({
+        success: false,
+        error: "endDate must be after startDate"
+      });
+    }
+
+    if (endDate <= Date.now()) {
+      return res.status(400).json({
+        success: false,
+        error: "endDate must be in the future"
+      });
+    }
+
+    if (endDate - startDate > MAX_LOA_DAYS * DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        error: `A leave of absence cannot be longer than ${MAX_LOA_DAYS} days`
+      });
+    }
+
+    if (!reason || typeof reason !== "string" || reason.trim().length === 0 || reason.length > 500) {
+      return res.status(400).json({
+        success: false,
+        error: "reason is required and must be at most 500 characters"
+      });
+    }
+
+    try {
+      const request = await loaService.createRequest(req.authenticatedUser.uid, req.userData, {
+        startDate,
+        endDate,
+        reason: reason.trim()
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Leave of absence requested successfully",
+        data: request,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/loa/department/{department}:
+ *   get:
+ *     summary: List leave of absence requests for a department (requires level 7+ permission)
+ *     tags: [LOA]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: department
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, denied, cancelled, expired]
+ *     responses:
+ *       200:
+ *         description: Requests retrieved successfully, ordered by start date
+ *       403:
+ *         description: Can only view requests for your own department
+ */
+router.get("/department/:department",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const { department } = req.params;
+    const { status } = req.query;
+
+    if (!canReviewDepartment(req, department)) {
+      return res.status(403).json({
+        success: false,
+        error: "You can only view leave requests for your department"
+      });
+    }
+
+    if (status && !LOA_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${LOA_STATUSES.join(', ')}`
+      });
+    }
+
+    const requests = await loaService.getDepartmentRequests(department, status);
+
+    res.json({
+      success: true,
+      data: requests,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/loa/{loaId}:
+ *   get:
+ *     summary: Get a leave of absence request
+ *     description: Visible to the requester and to reviewers of their department.
+ *     tags: [LOA]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: loaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Request retrieved successfully
+ *       404:
+ *         description: Request not found
+ *   delete:
+ *     summary: Cancel a leave of absence
+ *     description: Withdraws a pending request, or ends an approved leave early. Only the requester can cancel.
+ *     tags: [LOA]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: loaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Leave cancelled
+ *       403:
+ *         description: Not the requester
+ */
+router.get("/:loaId",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const request = await loaService.getRequest(req.params.loaId);
+
+    if (!request || (request.userId !== req.authenticatedUser.uid && !canReviewDepartment(req, request.department))) {
+      return res.status(404).json({
+        success: false,
+        error: "Leave of absence not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: request,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+router.delete("/:loaId",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    try {
+      const request = await loaService.cancelRequest(req.params.loaId, req.authenticatedUser.uid);
+
+      res.json({
+        success: true,
+        message: request.status === 'expired' ? "Leave of absence ended early" : "Leave of absence cancelled",
+        data: request,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/loa/{loaId}/review:
+ *   put:
+ *     summary: Approve or deny a leave of absence (requires level 7+ permission)
+ *     description: Department heads can review requests from their own department; level 8+ can review any.
+ *     tags: [LOA]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: loaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approved, denied]
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Request reviewed; the requester is notified
+ *       400:
+ *         description: Invalid decision or request already reviewed
+ *       403:
+ *         description: Can only review requests for your own department
+ */
+router.put("/:loaId/review",
+  authenticateFirebaseToken,
+  requirePermission(7),
+  asyncHandler(async (req, res) => {
+    const { loaId } = req.params;
+    const { decision, note } = req.body;
+
+    if (!['approved', 'denied'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        error: "decision must be one of: approved, denied"
+      });
+    }
+
+    if (note !== undefined && note !== null && (typeof note !== "string" || note.length > 500)) {
+      return res.status(400).json({
+        success: false,
+        error: "note must be a string of at most 500 characters"
+      });
+    }
+
+    const existing = await loaService.getRequest(loaId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Leave of absence not found"
+      });
+    }
+
+    if (!canReviewDepartment(req, existing.department)) {
+      return res.status(403).json({
+        success: false,
+        error: "You can only review leave requests for your department"
+      });
+    }
+
+    if (existing.userId === req.authenticatedUser.uid) {
+      return res.status(403).json({
+        success: false,
+        error: "You cannot review your own leave request"
+      });
+    }
+
+    try {
+      const request = await loaService.reviewRequest(loaId, decision, req.authenticatedUser.uid, note?.trim() || null);
+
+      req.audit({
+        action: `loa.${decision === 'approved' ? 'approve' : 'deny'}`,
+        target: { type: "loa", id: loaId },
+        before: existing,
+        after: request
+      });
+
+      res.json({
+        success: true,
+        message: `Leave of absence ${decision}`,
+        data: request,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  })
+);
+
+export default router;
@@ -1,8 +1,10 @@
 import { Router } from "express";
 import admin from "../config/firebase.js";
+import db from "../services/storage/index.js";
 import { authenticateFirebaseToken } from "../middleware/auth.js";
 import { FirebaseService } from "../services/firebaseService.js";
 import { asyncHandler } from "../middleware/errorHandler.js";
+import { realtimeService, TOPICS } from "../services/realtimeService.js";
 
 const router = Router();
 const firebaseService = new FirebaseService();
@@ -15,7 +17,7 @@ router.get(
     const userId = req.authenticatedUser.uid;
     const { limit = 50, offset = 0 } = req.query;
 
-    const notificationsRef = admin.database().ref(`users/${userId}/notifications`);
+    const notificationsRef = db.ref(`users/${userId}/notifications`);
     const snapshot = await notificationsRef.orderByChild("timestamp").limitToLast(parseInt(limit)).once("value");
     
     const notifications = [];
@@ -69,7 +71,7 @@ router.post(
       });
     }
 
-    const notificationId = admin.database().ref().push().key;
+    const notificationId = db.ref().push().key;
     const notification = {
       title,
       description,
@@ -80,7 +82,12 @@ router.post(
       createdAt: Date.now()
     };
 
-    await admin.database().ref(`users/${toUserId}/notifications/${notificationId}`).set(notification);
+    await db.ref(`users/${toUserId}/notifications/${notificationId}`).set(notification);
+
+    realtimeService.publish(TOPICS.notifications(toUserId), "NOTIFICATION_CREATED", {
+      notificationId,
+      ...notification
+    });
 
     res.json({
       success: true,
@@ -133,7 +140,7 @@ router.post(
       try {
         // Verify user exists
         await admin.auth().getUser(userId);
-        const notificationId = admin.database().ref().push().key;
+        const notificationId = db.ref().push().key;
         updates[`users/${userId}/notifications/${notificationId}`] = notification;
         results.push({ userId, notificationId, success: true });
       } catch (error) {
@@ -141,7 +148,14 @@ router.post(
       }
     }
 
-    await admin.database().ref().update(updates);
+    await db.ref().update(updates);
+
+    results.filter(r => r.success).forEach(({ userId, notificationId }) => {
+      realtimeService.publish(TOPICS.notifications(userId), "NOTIFICATION_CREATED", {
+        notificationId,
+        ...notification
+      });
+    });
 
     res.json({
       success: true,
@@ -172,7 +186,7 @@ router.post(
     }
 
     // Get department members
-    const deptSnapshot = await admin.database().ref(`departments/${departmentId}/members`).once("value");
+    const deptSnapshot = await db.ref(`departments/${departmentId}/members`).once("value");
     
     if (!deptSnapshot.exists()) {
       return res.status(404).json({
@@ -194,12 +208,21 @@ router.post(
     };
 
     const updates = {};
+    const deliveries = [];
     for (const memberId of members) {
-      const notificationId = admin.database().ref().push().key;
+      const notificationId = db.ref().push().key;
       updates[`users/${memberId}/notifications/${notificationId}`] = notification;
+      deliveries.push({ memberId, notificationId });
     }
 
-    await admin.database().ref().update(updates);
+    await db.ref().update(updates);
+
+    deliveries.forEach(({ memberId, notificationId }) => {
+      realtimeService.publish(TOPICS.notifications(memberId), "NOTIFICATION_CREATED", {
+        notificationId,
+        ...notification
+      });
+    });
 
     res.json({
       success: true,
@@ -222,7 +245,7 @@ router.patch(
     const userId = req.authenticatedUser.uid;
     const { notificationId } = req.params;
 
-    const notificationRef = admin.database().ref(`users/${userId}/notifications/${notificationId}`);
+    const notificationRef = db.ref(`users/${userId}/notifications/${notificationId}`);
     const snapshot = await notificationRef.once("value");
 
     if (!snapshot.exists()) {
@@ -232,9 +255,15 @@ router.patch(
       });
     }
 
+    const readAt = Date.now();
     await notificationRef.update({
       read: true,
-      readAt: Date.now()
+      readAt
+    });
+
+    realtimeService.publish(TOPICS.notifications(userId), "NOTIFICATION_READ", {
+      notificationId,
+      readAt
     });
 
     res.json({
@@ -252,7 +281,7 @@ router.patch(
   asyncHandler(async (req, res) => {
     const userId = req.authenticatedUser.uid;
 
-    const notificationsRef = admin.database().ref(`users/${userId}/notifications`);
+    const notificationsRef = db.ref(`users/${userId}/notifications`);
     const snapshot = await notificationsRef.once("value");
 
     if (!snapshot.exists()) {
@@ -276,7 +305,8 @@ router.patch(
     });
 
     if (updatedCount > 0) {
-      await admin.database().ref().update(updates);
+      await db.ref().update(updates);
+      realtimeService.publish(TOPICS.notifications(userId), "NOTIFICATIONS_READ_ALL", { updatedCount });
     }
 
     res.json({
@@ -296,7 +326,7 @@ router.delete(
     const userId = req.authenticatedUser.uid;
     const { notificationId } = req.params;
 
-    const notificationRef = admin.database().ref(`users/${userId}/notifications/${notificationId}`);
+    const notificationRef = db.ref(`users/${userId}/notifications/${notificationId}`);
     const snapshot = await notificationRef.once("value");
 
     if (!snapshot.exists()) {
@@ -308,6 +338,8 @@ router.delete(
 
     await notificationRef.remove();
 
+    realtimeService.publish(TOPICS.notifications(userId), "NOTIFICATION_DELETED", { notificationId });
+
     res.json({
       success: true,
       message: "Notification deleted successfully",
@@ -323,7 +355,7 @@ router.get(
   asyncHandler(async (req, res) => {
     const userId = req.authenticatedUser.uid;
 
-    const notificationsRef = admin.database().ref(`users/${userId}/notifications`);
+    const notificationsRef = db.ref(`users/${userId}/notifications`);
     const snapshot = await notificationsRef.once("value");
 
     let total = 0;
@@ -164,7 +164,7 @@ router.post(
       }
 
       // Check if the department exists and user is eligible
-      const deptSnap = await admin.database().ref(`/departments/${departmentId}`).once("value");
+      const deptSnap = await firebaseService.db.ref(`/departments/${departmentId}`).once("value");
       const department = deptSnap.val();
 
       if (!department || !department.isActive) {
@@ -596,11 +596,11 @@ router.get("/eligible", authenticateFirebaseToken, asyncHandler(async (req, res)
     const mainGroupRole = mainGroupInfo ? mainGroupInfo.name : null;
 
     // Update user's profile role in Firebase Realtime Database
-    await admin.database().ref(`/users/${uid}/profile/role`).set(mainGroupRole);
+    await firebaseService.db.ref(`/users/${uid}/profile/role`).set(mainGroupRole);
 
     const [deptSnap, partnerSnap] = await Promise.all([
-      admin.database().ref("/departments").once("value"),
-      admin.database().ref("/partners/organizations").once("value"),
+      firebaseService.db.ref("/departments").once("value"),
+      firebaseService.db.ref("/partners/organizations").once("value"),
     ]);
     const departments = deptSnap.val() || {};
     const partners = partnerSnap.val() || {};
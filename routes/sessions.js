@@ -6,14 +6,18 @@
  */
 
 import { Router } from "express";
-import { authenticateFirebaseToken, requirePermission } from "../middleware/auth.js";
-import { cacheMiddleware } from "../middleware/cache.js";
+import { authenticateFirebaseToken, requirePermission, requireApiKey } from "../middleware/auth.js";
+import { cacheMiddleware, invalidateCache } from "../middleware/cache.js";
 import { FirebaseService } from "../services/firebaseService.js";
 import { asyncHandler } from "../middleware/errorHandler.js";
 import rateLimit from "express-rate-limit";
+import { realtimeService, TOPICS } from "../services/realtimeService.js";
+import { SessionSeriesService } from "../services/sessionSeriesService.js";
+import { validateRecurrence } from "../utils/recurrence.js";
 
 const router = Router();
 const firebaseService = new FirebaseService();
+const sessionSeriesService = new SessionSeriesService();
 
 const playerCountLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
@@ -26,6 +30,58 @@ const playerCountLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+const checkInLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 10,
+  message: {
+    success: false,
+    error: "Too many check-in attempts. Please wait a minute.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const isSessionHost = (req, session) =>
+  session.host?.primary === req.authenticatedUser.uid ||
+  session.host?.backup === req.authenticatedUser.uid ||
+  (req.userData.permissions?.level || 0) >= 7;
+
+// Per-user attendance records are only shown to the session's hosts
+const toSessionView = (req, session) => {
+  if (!session || isSessionHost(req, session)) {
+    return session;
+  }
+  const { attendance, ...view } = session;
+  return view;
+};
+
+// Series hosts and department heads can edit or cancel occurrences
+const canManageSeries = (req, series) =>
+  series.createdBy === req.authenticatedUser.uid ||
+  series.template?.host?.primary === req.authenticatedUser.uid ||
+  (req.userData.permissions?.level || 0) >= 7;
+
+const isCapacityBound = (value) => value === undefined || (Number.isInteger(value) && value >= 0);
+
+// Type checks for occurrence edits; the service checks the resulting
+// capacity against the occurrence's current bounds.
+const validateOccurrenceChanges = (changes) => {
+  for (const field of ['startTime', 'endTime']) {
+    if (changes[field] !== undefined && !Number.isFinite(changes[field])) {
+      return `${field} must be a timestamp`;
+    }
+  }
+  if (changes.capacity !== undefined) {
+    const { min, max } = changes.capacity || {};
+    if (typeof changes.capacity !== 'object' || Array.isArray(changes.capacity) ||
+      !isCapacityBound(min) || !isCapacityBound(max) ||
+      (min !== undefined && max !== undefined && min > max)) {
+      return "capacity must be { min, max } with non-negative integers and min <= max";
+    }
+  }
+  return null;
+};
+
 /**
  * @swagger
  * /api/sessions/roblox/player-count/{universeId}:
@@ -344,7 +400,7 @@ router.get("/",
     
     res.json({
       success: true,
-      data: sessions,
+      data: Object.fromEntries(Object.entries(sessions).map(([id, session]) => [id, toSessionView(req, session)])),
       count: Object.keys(sessions).length,
       timestamp: new Date().toISOString()
     });
@@ -398,6 +454,14 @@ router.post("/",
     };
     
     const sessionId = await firebaseService.createSession(sessionData, createdBy);
+
+    realtimeService.publish(TOPICS.department(department), "SESSION_CREATED", {
+      sessionId,
+      type,
+      title,
+      department,
+      schedule
+    });
     
     // Update daily session count after creating a session
     try {
@@ -439,6 +503,402 @@ router.post("/",
   })
 );
 
+/**
+ * @swagger
+ * /api/sessions/series:
+ *   post:
+ *     summary: Create a recurring session series (requires level 3+ permission)
+ *     tags: [Sessions]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - title
+ *               - description
+ *               - department
+ *               - schedule
+ *               - recurrence
+ *             properties:
+ *               schedule:
+ *                 type: object
+ *                 description: Start and end time (ms) of the first occurrence
+ *                 properties:
+ *                   startTime:
+ *                     type: integer
+ *                   endTime:
+ *                     type: integer
+ *               recurrence:
+ *                 type: object
+ *                 required:
+ *                   - frequency
+ *                   - timezone
+ *                 properties:
+ *                   frequency:
+ *                     type: string
+ *                     enum: [daily, weekly, monthly]
+ *                   interval:
+ *                     type: integer
+ *                     default: 1
+ *                   byWeekday:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       enum: [SU, MO, TU, WE, TH, FR, SA]
+ *                   until:
+ *                     type: string
+ *                     description: Last possible start (ISO date or ms); either until or count is required
+ *                   count:
+ *                     type: integer
+ *                   timezone:
+ *                     type: string
+ *                     example: Europe/London
+ *     responses:
+ *       201:
+ *         description: Series created and upcoming occurrences materialized
+ *       400:
+ *         description: Invalid schedule or recurrence rule
+ */
+router.post("/series",
+  authenticateFirebaseToken,
+  requirePermission(3),
+  asyncHandler(async (req, res) => {
+    const { type, title, description, department, schedule, recurrence, capacity, requirements, rewards } = req.body;
+    const createdBy = req.authenticatedUser.uid;
+
+    if (!type || !title || !description || !department || !schedule) {
+      return res.status(400).json({
+        success: false,
+        error: "Type, title, description, department, and schedule are required"
+      });
+    }
+
+    if (!Number.isFinite(schedule.startTime) || !Number.isFinite(schedule.endTime) || schedule.endTime <= schedule.startTime) {
+      return res.status(400).json({
+        success: false,
+        error: "schedule.startTime and schedule.endTime must be timestamps with endTime after startTime"
+      });
+    }
+
+    const recurrenceError = validateRecurrence(recurrence, { anchorStart: schedule.startTime });
+    if (recurrenceError) {
+      return res.status(400).json({
+        success: false,
+        error: recurrenceError
+      });
+    }
+
+    const userDepartment = req.userData.permissions.department;
+    if (department !== userDepartment && req.userData.permissions.level < 7) {
+      return res.status(403).json({
+        success: false,
+        error: "You can only create sessions for your department"
+      });
+    }
+
+    const seriesId = await sessionSeriesService.createSeries({
+      type,
+      title,
+      description,
+      department,
+      host: {
+        primary: createdBy,
+        backup: null
+      },
+      schedule,
+      recurrence,
+      capacity: capacity || {
+        min: 3,
+        max: 15
+      },
+      requirements: requirements || {
+        minLevel: 1,
+        departments: []
+      },
+      rewards: rewards || {
+        hostXP: 50,
+        attendeeXP: 25
+      }
+    }, createdBy);
+
+    const series = await sessionSeriesService.getSeries(seriesId);
+
+    realtimeService.publish(TOPICS.department(department), "SESSION_SERIES_CREATED", {
+      seriesId,
+      type,
+      title,
+      department,
+      recurrence
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        seriesId,
+        sessionIds: Object.values(series.occurrences || {})
+      },
+      message: "Session series created successfully",
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/sessions/series/{seriesId}:
+ *   get:
+ *     summary: Get a session series with its occurrences
+ *     tags: [Sessions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         description: Only list occurrences starting at or after this timestamp (defaults to now)
+ *     responses:
+ *       200:
+ *         description: Series retrieved successfully
+ *       404:
+ *         description: Series not found
+ */
+router.get("/series/:seriesId",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const { seriesId } = req.params;
+    const from = parseInt(req.query.from) || Date.now();
+
+    const series = await sessionSeriesService.getSeries(seriesId);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        error: "Series not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...series,
+        upcoming: sessionSeriesService.describeOccurrences(series, { from }).slice(0, 100)
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/sessions/series/{seriesId}/occurrences/{occurrenceKey}:
+ *   patch:
+ *     summary: Edit one occurrence, or this and all following occurrences
+ *     tags: [Sessions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: occurrenceKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Local date of the occurrence (YYYY-MM-DD)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               scope:
+ *                 type: string
+ *                 enum: [this, following]
+ *                 default: this
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               capacity:
+ *                 type: object
+ *               requirements:
+ *                 type: object
+ *               rewards:
+ *                 type: object
+ *               startTime:
+ *                 type: integer
+ *               endTime:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Occurrence(s) updated
+ *       403:
+ *         description: Only the series host or level 7+ can edit
+ *       404:
+ *         description: Series or occurrence not found
+ *   delete:
+ *     summary: Cancel one occurrence, or this and all following occurrences
+ *     tags: [Sessions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: occurrenceKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [this, following]
+ *           default: this
+ *     responses:
+ *       200:
+ *         description: Occurrence(s) cancelled
+ *       403:
+ *         description: Only the series host or level 7+ can cancel
+ *       404:
+ *         description: Series or occurrence not found
+ */
+router.patch("/series/:seriesId/occurrences/:occurrenceKey",
+  authenticateFirebaseToken,
+  requirePermission(3),
+  asyncHandler(async (req, res) => {
+    const { seriesId, occurrenceKey } = req.params;
+    const { scope = 'this', ...changes } = req.body;
+
+    if (!['this', 'following'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: "scope must be either 'this' or 'following'"
+      });
+    }
+
+    const changesError = validateOccurrenceChanges(changes);
+    if (changesError) {
+      return res.status(400).json({
+        success: false,
+        error: changesError
+      });
+    }
+
+    const series = await sessionSeriesService.getSeries(seriesId);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        error: "Series not found"
+      });
+    }
+
+    if (!canManageSeries(req, series)) {
+      return res.status(403).json({
+        success: false,
+        error: "Only the series host can edit occurrences"
+      });
+    }
+
+    try {
+      const result = await sessionSeriesService.updateOccurrence(
+        seriesId,
+        occurrenceKey,
+        changes,
+        scope,
+        req.authenticatedUser.uid
+      );
+
+      result.sessionIds.forEach(sessionId => {
+        realtimeService.publish(TOPICS.session(sessionId), "SESSION_UPDATED", { sessionId, seriesId: result.seriesId });
+      });
+
+      res.json({
+        success: true,
+        data: result,
+        message: scope === 'following' ? "Occurrence and following occurrences updated" : "Occurrence updated",
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  })
+);
+
+router.delete("/series/:seriesId/occurrences/:occurrenceKey",
+  authenticateFirebaseToken,
+  requirePermission(3),
+  asyncHandler(async (req, res) => {
+    const { seriesId, occurrenceKey } = req.params;
+    const { scope = 'this' } = req.query;
+
+    if (!['this', 'following'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: "scope must be either 'this' or 'following'"
+      });
+    }
+
+    const series = await sessionSeriesService.getSeries(seriesId);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        error: "Series not found"
+      });
+    }
+
+    if (!canManageSeries(req, series)) {
+      return res.status(403).json({
+        success: false,
+        error: "Only the series host can cancel occurrences"
+      });
+    }
+
+    try {
+      const result = await sessionSeriesService.cancelOccurrence(seriesId, occurrenceKey, scope, req.authenticatedUser.uid);
+
+      result.sessionIds.forEach(sessionId => {
+        realtimeService.publish(TOPICS.session(sessionId), "SESSION_CANCELLED", { sessionId, seriesId });
+      });
+
+      res.json({
+        success: true,
+        data: result,
+        message: scope === 'following' ? "Occurrence and following occurrences cancelled" : "Occurrence cancelled",
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  })
+);
+
 /**
  * @swagger
  * /api/sessions/current:
@@ -524,8 +984,8 @@ router.get("/current",
     res.json({
       success: true,
       data: {
-        currentSession,
-        nextSession
+        currentSession: toSessionView(req, currentSession),
+        nextSession: toSessionView(req, nextSession)
       },
       timestamp: new Date().toISOString()
     });
@@ -590,7 +1050,7 @@ router.get("/next",
     
     res.json({
       success: true,
-      data: sessions[0],
+      data: toSessionView(req, sessions[0]),
       timestamp: new Date().toISOString()
     });
   })
@@ -715,7 +1175,24 @@ router.get("/assignments/monthly/:yearMonth",
  * @swagger
  * /api/sessions/{sessionId}/register:
  *   post:
- *     summary: Register for session
+ *     summary: Register for session, joining the waitlist if it is full
+ *     tags: [Sessions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Registered for the session or added to its waitlist
+ *       400:
+ *         description: Not eligible or already registered
+ *   delete:
+ *     summary: Withdraw from a session or its waitlist
+ *     description: Freed seats go to the first eligible user on the waitlist, who is notified.
  *     tags: [Sessions]
  *     security:
  *       - BearerAuth: []
@@ -727,9 +1204,9 @@ router.get("/assignments/monthly/:yearMonth",
  *           type: string
  *     responses:
  *       200:
- *         description: Successfully registered for session
+ *         description: Withdrawn from the session
  *       400:
- *         description: Session is full or not eligible
+ *         description: Not registered for this session
  */
 router.post("/:sessionId/register", 
   authenticateFirebaseToken,
@@ -738,11 +1215,53 @@ router.post("/:sessionId/register",
     const userId = req.authenticatedUser.uid;
     
     try {
-      await firebaseService.registerForSession(sessionId, userId);
+      const registration = await firebaseService.registerForSession(sessionId, userId);
+
+      realtimeService.publish(TOPICS.session(sessionId), "SESSION_REGISTRATION", { sessionId, userId, ...registration });
+      
+      res.json({
+        success: true,
+        data: registration,
+        message: registration.status === 'waitlisted'
+          ? `Session is full - added to waitlist at position ${registration.position}`
+          : "Successfully registered for session",
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  })
+);
+
+router.delete("/:sessionId/register", 
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    const userId = req.authenticatedUser.uid;
+    
+    try {
+      const result = await firebaseService.unregisterFromSession(sessionId, userId);
+
+      realtimeService.publish(TOPICS.session(sessionId), "SESSION_WITHDRAWAL", {
+        sessionId,
+        userId,
+        fromWaitlist: result.fromWaitlist
+      });
+
+      if (result.promotedUserId) {
+        realtimeService.publish(TOPICS.session(sessionId), "SESSION_WAITLIST_PROMOTED", {
+          sessionId,
+          userId: result.promotedUserId
+        });
+      }
       
       res.json({
         success: true,
-        message: "Successfully registered for session",
+        data: result,
+        message: result.fromWaitlist ? "Removed from session waitlist" : "Successfully withdrew from session",
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -754,11 +1273,356 @@ router.post("/:sessionId/register",
   })
 );
 
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/check-in/open:
+ *   post:
+ *     summary: Open a short-lived check-in code for a session (hosts or level 7+)
+ *     tags: [Sessions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ttlMinutes:
+ *                 type: integer
+ *                 default: 10
+ *                 maximum: 120
+ *     responses:
+ *       201:
+ *         description: Check-in code opened; replaces any existing code
+ *       403:
+ *         description: Only session hosts can open check-in
+ */
+router.post("/:sessionId/check-in/open",
+  authenticateFirebaseToken,
+  requirePermission(3),
+  asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    const ttlMinutes = Math.min(Math.max(parseInt(req.body.ttlMinutes) || 10, 1), 120);
+
+    const snapshot = await firebaseService.db.ref(`/sessions/sessions/${sessionId}`).once('value');
+    const session = snapshot.val();
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: "Session not found"
+      });
+    }
+
+    if (!isSessionHost(req, session)) {
+      return res.status(403).json({
+        success: false,
+        error: "Only session hosts can open check-in"
+      });
+    }
+
+    if (session.status === 'completed' || session.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        error: `Session is ${session.status}`
+      });
+    }
+
+    const checkIn = await firebaseService.openSessionCheckIn(sessionId, req.authenticatedUser.uid, ttlMinutes * 60 * 1000);
+    invalidateCache(req.baseUrl);
+
+    realtimeService.publish(TOPICS.session(sessionId), "SESSION_CHECK_IN_OPENED", {
+      sessionId,
+      expiresAt: checkIn.expiresAt
+    });
+
+    res.status(201).json({
+      success: true,
+      data: checkIn,
+      message: "Check-in opened",
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/check-in/close:
+ *   post:
+ *     summary: Close check-in for a session (hosts or level 7+)
+ *     tags: [Sessions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Check-in closed
+ */
+router.post("/:sessionId/check-in/close",
+  authenticateFirebaseToken,
+  requirePermission(3),
+  asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+
+    const snapshot = await firebaseService.db.ref(`/sessions/sessions/${sessionId}`).once('value');
+    const session = snapshot.val();
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: "Session not found"
+      });
+    }
+
+    if (!isSessionHost(req, session)) {
+      return res.status(403).json({
+        success: false,
+        error: "Only session hosts can close check-in"
+      });
+    }
+
+    await firebaseService.closeSessionCheckIn(sessionId);
+    invalidateCache(req.baseUrl);
+
+    realtimeService.publish(TOPICS.session(sessionId), "SESSION_CHECK_IN_CLOSED", { sessionId });
+
+    res.json({
+      success: true,
+      message: "Check-in closed",
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/check-in:
+ *   post:
+ *     summary: Check in to a session with the code shared by the host
+ *     tags: [Sessions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Checked in
+ *       400:
+ *         description: Check-in closed or invalid code
+ *       429:
+ *         description: Too many attempts
+ */
+router.post("/:sessionId/check-in",
+  authenticateFirebaseToken,
+  checkInLimiter,
+  asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    const { code } = req.body;
+    const userId = req.authenticatedUser.uid;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: "Check-in code is required"
+      });
+    }
+
+    try {
+      const attendance = await firebaseService.redeemCheckInCode(sessionId, userId, code);
+
+      realtimeService.publish(TOPICS.session(sessionId), "SESSION_CHECK_IN", { sessionId, userId });
+
+      res.json({
+        success: true,
+        data: attendance,
+        message: "Checked in successfully",
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/attendance/events:
+ *   post:
+ *     summary: Ingest join/leave events from game servers (game server API key)
+ *     tags: [Sessions]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - events
+ *             properties:
+ *               events:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - userId
+ *                     - type
+ *                     - timestamp
+ *                   properties:
+ *                     userId:
+ *                       type: string
+ *                       description: Roblox user ID (same as the platform UID)
+ *                     type:
+ *                       type: string
+ *                       enum: [join, leave]
+ *                     timestamp:
+ *                       type: integer
+ *                       description: Event time in milliseconds
+ *     responses:
+ *       200:
+ *         description: Events recorded
+ *       400:
+ *         description: Invalid events or session closed
+ *       403:
+ *         description: Not a game server API key
+ */
+router.post("/:sessionId/attendance/events",
+  authenticateFirebaseToken,
+  requireApiKey(['game_server']),
+  asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    const { events } = req.body;
+
+    if (!Array.isArray(events) || events.length === 0 || events.length > 500) {
+      return res.status(400).json({
+        success: false,
+        error: "events must be an array of 1 to 500 items"
+      });
+    }
+
+    const invalid = events.find(event =>
+      !event || !event.userId || !['join', 'leave'].includes(event.type) || !Number.isFinite(event.timestamp)
+    );
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: "Each event requires userId, type (join or leave) and a numeric timestamp"
+      });
+    }
+
+    try {
+      const recorded = await firebaseService.recordAttendanceEvents(sessionId, events);
+
+      res.json({
+        success: true,
+        data: { recorded },
+        message: `${recorded} attendance events recorded`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/attendance:
+ *   get:
+ *     summary: Get recorded attendance for a session (hosts or level 7+)
+ *     tags: [Sessions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attendance map keyed by user ID, with join times and duration in ms
+ */
+router.get("/:sessionId/attendance",
+  authenticateFirebaseToken,
+  asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+
+    const snapshot = await firebaseService.db.ref(`/sessions/sessions/${sessionId}`).once('value');
+    const session = snapshot.val();
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: "Session not found"
+      });
+    }
+
+    if (!isSessionHost(req, session)) {
+      return res.status(403).json({
+        success: false,
+        error: "Only session hosts can view attendance"
+      });
+    }
+
+    const attendance = session.attendance || {};
+
+    res.json({
+      success: true,
+      data: attendance,
+      count: Object.keys(attendance).length,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
 /**
  * @swagger
  * /api/sessions/{sessionId}/complete:
  *   post:
  *     summary: Mark session as completed (requires level 3+ permission)
+ *     description: Attendees are taken from recorded check-ins and game events unless actualAttendees is supplied.
  *     tags: [Sessions]
  *     security:
  *       - BearerAuth: []
@@ -804,17 +1668,30 @@ router.post("/:sessionId/complete",
       });
     }
     
+    const completedAt = Date.now();
+    const attendance = await firebaseService.finalizeSessionAttendance(sessionId, completedAt);
+    
+    // Recorded check-ins and game events are used unless the host supplies the list
+    const attendees = Array.isArray(actualAttendees) ? actualAttendees : Object.keys(attendance);
+    
     const updates = {
       status: 'completed',
-      "analytics/actualAttendance": actualAttendees?.length || 0,
-      "analytics/completionRate": actualAttendees?.length ? (actualAttendees.length / session.capacity.current) * 100 : 0,
+      "analytics/actualAttendance": attendees.length,
+      "analytics/completionRate": attendees.length && session.capacity.current ? (attendees.length / session.capacity.current) * 100 : 0,
       "analytics/averageRating": rating || 0,
       "analytics/feedback": feedback || [],
-      completedAt: Date.now(),
+      completedAt,
       completedBy: userId
     };
     
     await firebaseService.db.ref(`/sessions/sessions/${sessionId}`).update(updates);
+    await firebaseService.closeSessionCheckIn(sessionId);
+
+    realtimeService.publish(TOPICS.session(sessionId), "SESSION_COMPLETED", {
+      sessionId,
+      completedBy: userId,
+      actualAttendance: updates["analytics/actualAttendance"]
+    });
     
     if (session.rewards) {
       if (session.host.primary) {
@@ -825,8 +1702,8 @@ router.post("/:sessionId/complete",
         await firebaseService.addUserXP(session.host.backup, session.rewards.hostXP / 2);
       }
       
-      if (actualAttendees && actualAttendees.length > 0) {
-        for (const attendeeId of actualAttendees) {
+      if (attendees.length > 0) {
+        for (const attendeeId of attendees) {
           await firebaseService.addUserXP(attendeeId, session.rewards.attendeeXP);
         }
       }
@@ -834,6 +1711,7 @@ router.post("/:sessionId/complete",
     
     res.json({
       success: true,
+      data: { attendees },
       message: "Session marked as completed",
       timestamp: new Date().toISOString()
     });
@@ -878,7 +1756,7 @@ router.get("/:sessionId",
     
     res.json({
       success: true,
-      data: session,
+      data: toSessionView(req, session),
       timestamp: new Date().toISOString()
     });
   })
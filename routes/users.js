@@ -9,19 +9,21 @@ import { Router } from "express";
 import { authenticateFirebaseToken, requirePermission } from "../middleware/auth.js";
 import { cacheMiddleware } from "../middleware/cache.js";
 import { FirebaseService } from "../services/firebaseService.js";
+import { LoaService } from "../services/loaService.js";
 import { asyncHandler } from "../middleware/errorHandler.js";
 import { CACHE_DURATIONS } from "../utils/constants.js";
-import admin from 'firebase-admin'; // Add this import
+import db from "../services/storage/index.js";
 
 const router = Router();
 const firebaseService = new FirebaseService();
-const db = admin.database(); // Add this line
+const loaService = new LoaService();
 
 /**
  * @swagger
  * /api/users/profile:
  *   get:
  *     summary: Get current user's profile
+ *     description: Includes `loa`, the user's currently active leave of absence (or null).
  *     tags: [Users]
  *     security:
  *       - BearerAuth: []
@@ -73,7 +75,8 @@ router.get("/profile",
       personal: {
         ...userData.personal,
         email: userData.personal?.email ? userData.personal.email.replace(/(.{2})(.*)(@.*)/, '$1***$3') : null
-      }
+      },
+      loa: await loaService.getActiveLeave(req.authenticatedUser.uid)
     };
     
     res.json({
@@ -399,6 +402,7 @@ router.get("/search",
  * /api/users/{userId}:
  *   get:
  *     summary: Get user by ID (requires level 3+ permission)
+ *     description: Includes the dates of the user's active leave of absence as `loa` (or null).
  *     tags: [Users]
  *     security:
  *       - BearerAuth: []
@@ -431,9 +435,18 @@ router.get("/:userId",
       });
     }
     
+    const activeLeave = await loaService.getActiveLeave(userId);
+
     res.json({
       success: true,
-      data: user,
+      data: {
+        ...user,
+        loa: activeLeave && {
+          id: activeLeave.id,
+          startDate: activeLeave.startDate,
+          endDate: activeLeave.endDate
+        }
+      },
       timestamp: new Date().toISOString()
     });
   })
@@ -487,8 +500,17 @@ router.put("/:userId/permissions",
       "permissions/department": department
     };
     
+    const existingUser = await firebaseService.getUser(userId);
+    
     await firebaseService.updateUser(userId, permissionUpdate);
     
+    req.audit({
+      action: "user.permissions.update",
+      target: { type: "user", id: userId },
+      before: existingUser?.permissions || null,
+      after: { ...existingUser?.permissions, role, level, department }
+    });
+    
     res.json({
       success: true,
       message: "Permissions updated successfully",
@@ -13,7 +13,12 @@ import { WebSocketServer } from "ws";
 
 
 import { globalErrorHandler, notFoundHandler } from "./middleware/errorHandler.js";
+import { requestContext, auditTrail } from "./middleware/audit.js";
 import passport from "./config/passport.js";
+import { realtimeService } from "./services/realtimeService.js";
+import { registerJobs } from "./services/jobs.js";
+import { startScheduler } from "./services/scheduler.js";
+import { config } from "./config/index.js";
 
 import authRoutes from "./routes/auth.js";
 import userRoutes from "./routes/users.js";
@@ -29,6 +34,9 @@ import notificationsRoutes from "./routes/notifications.js";
 import uvmRoutes from "./routes/uvm.js";
 import communityRoutes from "./routes/community.js";
 import assignmentsRoutes from "./routes/assignments.js";
+import auditRoutes from "./routes/audit.js";
+import loaRoutes from "./routes/loa.js";
+import formsRoutes from "./routes/forms.js";
 
 dotenv.config();
 
@@ -48,6 +56,7 @@ app.use(helmet({
   },
 }));
 
+app.use(requestContext);
 app.use(compression());
 app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
 app.use(cors({
@@ -58,31 +67,11 @@ app.use(cors({
 }));
 
 
-export const sessions = new Map();
+export const sessions = realtimeService.oauthSessions;
 
 const server = http.createServer(app);
 const wss = new WebSocketServer({ server });
-
-wss.on("connection", (ws) => {
-  ws.on("message", (msg) => {
-    try {
-      const data = JSON.parse(msg);
-      if (data.type === "REGISTER_SESSION" && data.sessionId) {
-        console.log(data)
-        sessions.set(data.sessionId, ws);
-        console.log(sessions)
-        console.log("Registered session:", data.sessionId);
-      }
-    } catch (e) {
-      console.error("Invalid WebSocket message", e);
-    }
-  });
-  ws.on("close", () => {
-    for (const [id, socket] of sessions.entries()) {
-      if (socket === ws) sessions.delete(id);
-    }
-  });
-});
+realtimeService.attach(wss);
 
 
 const globalLimiter = rateLimit({
@@ -99,6 +88,7 @@ const globalLimiter = rateLimit({
 app.use(globalLimiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(auditTrail);
 
 app.use(session({
   secret: process.env.SESSION_SECRET || "bristo-secret-key",
@@ -139,6 +129,9 @@ app.use("/api/uvm", uvmRoutes);
 app.use("/api/notifications", notificationsRoutes);
 app.use("/api/community", communityRoutes);
 app.use("/api/assignments", assignmentsRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/loa", loaRoutes);
+app.use("/api/forms", formsRoutes);
 
 app.get("/", (req, res) => {
   res.json({
@@ -175,6 +168,11 @@ server.listen(PORT, () => {
   console.log(`🚀 Bristo Corporate API running on port ${PORT}`);
   console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+
+  if (config.scheduler.enabled) {
+    registerJobs();
+    startScheduler();
+  }
 });
 
 
@@ -0,0 +1,526 @@
+import storage from "./storage/index.js";
+import { FirebaseService } from "./firebaseService.js";
+import { config } from "../config/index.js";
+import { getUserQuotaDepartment } from "./quotaService.js";
+import { AppError } from "../middleware/errorHandler.js";
+import { expandRecurrence } from "../utils/recurrence.js";
+
+// Statuses in which the assignee still owes work, so a passed due date counts
+export const OPEN_ASSIGNMENT_STATUSES = ["pending", "in_progress"];
+
+const nowSeconds = (now = Date.now()) => Math.floor(now / 1000);
+
+export const BULK_TARGET_TYPES = ["users", "department", "role", "segment"];
+export const MAX_BULK_ASSIGNEES = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far ahead to look for a recurring assignment's next occurrence
+const RECURRENCE_LOOKAHEAD_MS = 400 * DAY_MS;
+
+const OFFSET_UNITS = { minute: 60, hour: 3600, day: 86400, week: 604800 };
+
+// Parses a relative due offset such as "+3 days" or "+12 hours" into seconds
+export const parseDueOffset = (offset) => {
+  const match = /^\+?\s*(\d+)\s*(minute|hour|day|week)s?$/i.exec(String(offset || "").trim());
+  if (!match) return null;
+  const seconds = parseInt(match[1], 10) * OFFSET_UNITS[match[2].toLowerCase()];
+  return seconds > 0 ? seconds : null;
+};
+
+const isDepartmentMember = (user, department) =>
+  user?.permissions?.department === department || user?.onboarding?.primaryDepartment === department;
+
+export const isAssignmentOverdue = (assignment, now = Date.now()) =>
+  OPEN_ASSIGNMENT_STATUSES.includes(assignment.status) && assignment.dueDate <= nowSeconds(now);
+
+/**
+ * Assignment deadline handling. Due dates are unix seconds like the rest of
+ * the assignment record; the lead time and escalation margin come from config.
+ */
+export class AssignmentService {
+  constructor(db = storage) {
+    this.db = db;
+    this.firebaseService = new FirebaseService(db);
+  }
+
+  async getOpenAssignments() {
+    const assignments = [];
+
+    for (const status of OPEN_ASSIGNMENT_STATUSES) {
+      const snapshot = await this.db.ref('assignments/tasks')
+        .orderByChild('status')
+        .equalTo(status)
+        .once('value');
+
+      Object.entries(snapshot.val() || {}).forEach(([id, assignment]) => {
+        assignments.push({ id, ...assignment });
+      });
+    }
+
+    return assignments;
+  }
+
+  // Level 7 users of the assignee's department
+  getDepartmentHeads(users, assigneeId) {
+    const department = getUserQuotaDepartment(users[assigneeId]);
+    if (!department) return [];
+
+    return Object.entries(users)
+      .filter(([, user]) => user.permissions?.level === 7 && user.permissions?.department === department)
+      .map(([userId]) => userId);
+  }
+
+  // Sends the due-soon reminder, marks passed deadlines overdue and escalates
+  // items that stay overdue past the margin. Each step happens once per
+  // assignment, so the job can run as often as needed.
+  async processDeadlines(now = Date.now()) {
+    const { reminderLeadMs, escalationMarginMs } = config.assignments;
+    const current = nowSeconds(now);
+    const assignments = await this.getOpenAssignments();
+    const result = { reminded: 0, markedOverdue: 0, escalated: 0, extended: 0 };
+    let users = null;
+
+    for (const assignment of assignments) {
+      if (!assignment.dueDate) continue;
+
+      const updates = {};
+      const dueLabel = new Date(assignment.dueDate * 1000).toISOString();
+
+      if (current < assignment.dueDate) {
+        // Overdue markers on an item that is no longer past its due date were
+        // left by an earlier deadline. Clearing them lets the extended deadline
+        // be reminded, marked and escalated again.
+        const extended = Boolean(assignment.overdue || assignment.overdueAt || assignment.escalatedAt);
+        if (extended) {
+          Object.assign(updates, {
+            overdue: false,
+            overdueAt: null,
+            escalatedAt: null,
+            'reminders/dueSoon': null
+          });
+          result.extended++;
+        }
+
+        if ((extended || !assignment.reminders?.dueSoon) && current >= assignment.dueDate - Math.floor(reminderLeadMs / 1000)) {
+          await this.firebaseService.sendNotification(assignment.assignedTo, {
+            title: `"${assignment.title}" is due soon`,
+            description: `This assignment is due at ${dueLabel}.`,
+            type: 'assignment',
+            assignmentId: assignment.id
+          });
+          updates['reminders/dueSoon'] = current;
+          result.reminded++;
+        }
+      } else {
+        if (!assignment.overdue) {
+          updates.overdue = true;
+          result.markedOverdue++;
+
+          // An assignment sent back from review keeps its first overdue time
+          // and is not announced again
+          if (!assignment.overdueAt) {
+            updates.overdueAt = current;
+            await this.firebaseService.sendNotification(assignment.assignedTo, {
+              title: `"${assignment.title}" is overdue`,
+              description: `This assignment was due at ${dueLabel}.`,
+              type: 'assignment',
+              assignmentId: assignment.id
+            });
+          }
+        }
+
+        if (!assignment.escalatedAt && current >= assignment.dueDate + Math.floor(escalationMarginMs / 1000)) {
+          if (!users) {
+            users = (await this.db.ref('users').once('value')).val() || {};
+          }
+
+          const recipients = new Set([assignment.assignedBy, ...this.getDepartmentHeads(users, assignment.assignedTo)]);
+          recipients.delete(assignment.assignedTo);
+
+          for (const recipient of recipients) {
+            if (!users[recipient]) continue;
+            await this.firebaseService.sendNotification(recipient, {
+              title: `Overdue assignment: "${assignment.title}"`,
+              description: `Assigned to ${assignment.assignedTo} and overdue since ${dueLabel}.`,
+              type: 'assignment_escalation',
+              assignmentId: assignment.id
+            });
+          }
+
+          updates.escalatedAt = current;
+          result.escalated++;
+        }
+      }
+
+      if (Object.keys(updates).length > 0) {
+        await this.db.ref(`assignments/tasks/${assignment.id}`).update(updates);
+      }
+    }
+
+    return result;
+  }
+
+  async getTemplate(templateId) {
+    const snapshot = await this.db.ref(`assignments/templates/${templateId}`).once('value');
+    return snapshot.val();
+  }
+
+  async getTemplates(department = null) {
+    const query = department
+      ? this.db.ref('assignments/templates').orderByChild('department').equalTo(department)
+      : this.db.ref('assignments/templates');
+    const snapshot = await query.once('value');
+    return Object.values(snapshot.val() || {}).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async createTemplate(template, department, createdBy) {
+    const ref = this.db.ref('assignments/templates').push();
+    const data = {
+      ...template,
+      id: ref.key,
+      department,
+      createdBy,
+      createdAt: nowSeconds(),
+      updatedAt: nowSeconds()
+    };
+
+    await ref.set(data);
+    return data;
+  }
+
+  async updateTemplate(templateId, changes, updatedBy) {
+    await this.db.ref(`assignments/templates/${templateId}`).update({
+      ...changes,
+      updatedBy,
+      updatedAt: nowSeconds()
+    });
+    return this.getTemplate(templateId);
+  }
+
+  async deleteTemplate(templateId) {
+    await this.db.ref(`assignments/templates/${templateId}`).remove();
+  }
+
+  // Fills in title, description, priority, subtasks and due date from a
+  // template; fields given explicitly take precedence
+  applyTemplate(template, data, now = Date.now()) {
+    return {
+      title: data.title ?? template.title,
+      description: data.description ?? template.description,
+      priority: data.priority ?? template.priority,
+      subtasks: data.subtasks ?? template.subtasks,
+      dueDate: data.dueDate ?? nowSeconds(now) + template.dueOffsetSeconds
+    };
+  }
+
+  // Resolves a bulk target to user IDs. Segments use the membership stored by
+  // the last UVM analysis. When `department` is given, only its members are kept.
+  async resolveTargets(target, { department = null } = {}) {
+    const usersSnapshot = await this.db.ref('users').once('value');
+    const users = usersSnapshot.val() || {};
+    let userIds;
+
+    switch (target.type) {
+      case 'users':
+        userIds = [...new Set(target.userIds || [])].filter(userId => users[userId]);
+        break;
+      case 'department':
+        userIds = Object.keys(users).filter(userId => isDepartmentMember(users[userId], target.value));
+        break;
+      case 'role':
+        userIds = Object.keys(users).filter(userId => users[userId].permissions?.role === target.value);
+        break;
+      case 'segment': {
+        const segmentSnapshot = await this.db.ref(`/uvm/segments/${target.value}`).once('value');
+        if (!segmentSnapshot.exists()) {
+          throw new AppError("Segment not found", 404);
+        }
+        userIds = (segmentSnapshot.val().users || []).filter(userId => users[userId]);
+        break;
+      }
+      default:
+        throw new AppError(`target.type must be one of: ${BULK_TARGET_TYPES.join(', ')}`, 400);
+    }
+
+    if (department) {
+      userIds = userIds.filter(userId => isDepartmentMember(users[userId], department));
+    }
+
+    return userIds;
+  }
+
+  buildSubtasks(titles = [], createdBy, createdAt) {
+    const subtasks = {};
+    titles.forEach((title, order) => {
+      const id = this.db.ref().push().key;
+      subtasks[id] = { id, title, completed: false, order, createdBy, createdAt };
+    });
+    return subtasks;
+  }
+
+  // Creates one assignment per user, all linked to a batch record that keeps
+  // the shared details and target. Returns the batch.
+  async createBatch({ title, description, priority, dueDate, subtasks, templateId = null, recurringId = null }, target, userIds, createdBy) {
+    if (userIds.length === 0) {
+      throw new AppError("The target does not match any users", 400);
+    }
+
+    if (userIds.length > MAX_BULK_ASSIGNEES) {
+      throw new AppError(`A bulk assignment can target at most ${MAX_BULK_ASSIGNEES} users`, 400);
+    }
+
+    const now = nowSeconds();
+    const batchId = this.db.ref('assignments/batches').push().key;
+    const updates = {};
+    const assignmentIds = [];
+
+    userIds.forEach(userId => {
+      const assignmentId = this.db.ref('assignments/tasks').push().key;
+      assignmentIds.push(assignmentId);
+      updates[`assignments/tasks/${assignmentId}`] = {
+        title,
+        description,
+        assignedTo: userId,
+        assignedBy: createdBy,
+        dueDate,
+        priority,
+        status: 'pending',
+        batchId,
+        templateId,
+        recurringId,
+        subtasks: this.buildSubtasks(subtasks, createdBy, now),
+        createdAt: now,
+        updatedAt: now
+      };
+    });
+
+    const batch = {
+      id: batchId,
+      title,
+      description,
+      priority,
+      dueDate,
+      target,
+      templateId,
+      recurringId,
+      assignmentCount: assignmentIds.length,
+      createdBy,
+      createdAt: now
+    };
+    updates[`assignments/batches/${batchId}`] = batch;
+
+    await this.db.ref().update(updates);
+
+    for (const userId of userIds) {
+      await this.firebaseService.sendNotification(userId, {
+        title: 'New assignment',
+        description: `You have been assigned "${title}".`,
+        type: 'assignment',
+        fromUserUuid: createdBy,
+        batchId
+      });
+    }
+
+    return { ...batch, assignmentIds };
+  }
+
+  async getBatch(batchId) {
+    const snapshot = await this.db.ref(`assignments/batches/${batchId}`).once('value');
+    return snapshot.val();
+  }
+
+  // Status counts across every assignment generated by a batch
+  async getBatchProgress(batchId, now = Date.now()) {
+    const snapshot = await this.db.ref('assignments/tasks')
+      .orderByChild('batchId')
+      .equalTo(batchId)
+      .once('value');
+
+    const assignments = Object.entries(snapshot.val() || {}).map(([id, assignment]) => ({ id, ...assignment }));
+    const byStatus = { pending: 0, in_progress: 0, under_review: 0, completed: 0 };
+    let overdue = 0;
+
+    assignments.forEach(assignment => {
+      byStatus[assignment.status] = (byStatus[assignment.status] || 0) + 1;
+      if (isAssignmentOverdue(assignment, now)) overdue++;
+    });
+
+    return {
+      total: assignments.length,
+      byStatus,
+      overdue,
+      completionRate: assignments.length > 0 ? Math.round((byStatus.completed / assignments.length) * 100) : 0,
+      assignments: assignments.map(assignment => ({
+        id: assignment.id,
+        assignedTo: assignment.assignedTo,
+        status: assignment.status,
+        completedAt: assignment.completedAt || null,
+        overdue: isAssignmentOverdue(assignment, now)
+      }))
+    };
+  }
+
+  async getRecurring(recurringId) {
+    const snapshot = await this.db.ref(`assignments/recurring/${recurringId}`).once('value');
+    return snapshot.val();
+  }
+
+  async getAllRecurring() {
+    const snapshot = await this.db.ref('assignments/recurring').once('value');
+    return Object.values(snapshot.val() || {}).sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  nextOccurrence(definition, after) {
+    return expandRecurrence(definition.recurrence, definition.anchor, 0, {
+      from: after + 1,
+      to: after + RECURRENCE_LOOKAHEAD_MS
+    })[0] || null;
+  }
+
+  // A rule is used up once its count is reached or its until has passed.
+  // Open-ended rules never end on their own; a rule whose next occurrence is
+  // simply further away than the lookahead has not ended either.
+  recurrenceEnded(definition, after) {
+    const { count, until } = definition.recurrence;
+    if (count === undefined && until === undefined) {
+      return false;
+    }
+    return expandRecurrence(definition.recurrence, definition.anchor, 0, { from: after + 1 }).length === 0;
+  }
+
+  async createRecurring(definition, createdBy) {
+    const ref = this.db.ref('assignments/recurring').push();
+    // Occurrences are expanded with second precision, so the anchor must be too
+    const anchor = Math.floor(definition.anchor / 1000) * 1000;
+    const next = this.nextOccurrence({ ...definition, anchor }, anchor - 1);
+
+    if (this.recurrenceEnded({ ...definition, anchor }, anchor - 1)) {
+      throw new AppError("The recurrence rule does not produce any occurrences", 400);
+    }
+
+    const data = {
+      ...definition,
+      id: ref.key,
+      anchor,
+      status: 'active',
+      lastOccurrenceAt: null,
+      nextOccurrenceAt: next?.startTime || null,
+      generatedCount: 0,
+      skippedCount: 0,
+      createdBy,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    await ref.set(data);
+    return data;
+  }
+
+  // Pausing stops generation; resuming continues from now so occurrences
+  // missed while paused are skipped. Ended definitions cannot be restarted.
+  async setRecurringStatus(definition, status, updatedBy, now = Date.now()) {
+    if (definition.status === 'ended') {
+      throw new AppError("This recurring assignment has ended", 400);
+    }
+
+    const updates = { status, updatedBy, updatedAt: now };
+
+    if (status === 'active' && this.recurrenceEnded(definition, now)) {
+      // Resuming a rule that ran out while paused ends it instead
+      updates.status = 'ended';
+      updates.nextOccurrenceAt = null;
+      updates.endedAt = now;
+    } else if (status === 'active') {
+      const next = this.nextOccurrence(definition, now);
+      updates.lastOccurrenceAt = Math.max(definition.lastOccurrenceAt || 0, now);
+      updates.nextOccurrenceAt = next?.startTime || null;
+    } else if (status === 'ended') {
+      updates.nextOccurrenceAt = null;
+      updates.endedAt = now;
+    }
+
+    await this.db.ref(`assignments/recurring/${definition.id}`).update(updates);
+    return { ...definition, ...updates };
+  }
+
+  // Generates the most recent due occurrence of a definition. Earlier
+  // occurrences that were missed (e.g. while the server was down) are counted
+  // as skipped rather than created, so they never pile up.
+  async generateRecurring(definition, now = Date.now()) {
+    const from = definition.lastOccurrenceAt ?? definition.anchor - 1;
+    const due = expandRecurrence(definition.recurrence, definition.anchor, 0, { from: from + 1, to: now });
+    const next = this.nextOccurrence(definition, now);
+    const updates = {
+      nextOccurrenceAt: next?.startTime || null,
+      updatedAt: now
+    };
+
+    if (this.recurrenceEnded(definition, now)) {
+      updates.status = 'ended';
+      updates.endedAt = now;
+    }
+
+    let batch = null;
+    if (due.length > 0) {
+      const occurrence = due[due.length - 1];
+      updates.lastOccurrenceAt = occurrence.startTime;
+      updates.skippedCount = (definition.skippedCount || 0) + due.length - 1;
+
+      let userIds = await this.resolveTargets(definition.target, { department: definition.restrictToDepartment || null });
+
+      // Users still working on the previous occurrence are not given another
+      if (definition.skipIfOpen !== false && userIds.length > 0) {
+        const openSnapshot = await this.db.ref('assignments/tasks')
+          .orderByChild('recurringId')
+          .equalTo(definition.id)
+          .once('value');
+        const withOpenWork = new Set(Object.values(openSnapshot.val() || {})
+          .filter(assignment => OPEN_ASSIGNMENT_STATUSES.includes(assignment.status))
+          .map(assignment => assignment.assignedTo));
+        userIds = userIds.filter(userId => !withOpenWork.has(userId));
+      }
+
+      if (userIds.length > 0) {
+        batch = await this.createBatch({
+          title: definition.title,
+          description: definition.description,
+          priority: definition.priority,
+          dueDate: Math.floor((occurrence.startTime + definition.dueOffsetSeconds * 1000) / 1000),
+          subtasks: definition.subtasks || [],
+          templateId: definition.templateId || null,
+          recurringId: definition.id
+        }, definition.target, userIds, definition.createdBy);
+        updates.generatedCount = (definition.generatedCount || 0) + 1;
+        updates.lastBatchId = batch.id;
+      }
+    }
+
+    await this.db.ref(`assignments/recurring/${definition.id}`).update(updates);
+    return batch;
+  }
+
+  async generateRecurringAssignments(now = Date.now()) {
+    const snapshot = await this.db.ref('assignments/recurring')
+      .orderByChild('status')
+      .equalTo('active')
+      .once('value');
+
+    let created = 0;
+    for (const definition of Object.values(snapshot.val() || {})) {
+      if (definition.nextOccurrenceAt && definition.nextOccurrenceAt > now) {
+        continue;
+      }
+
+      try {
+        if (await this.generateRecurring(definition, now)) {
+          created++;
+        }
+      } catch (error) {
+        console.error(`Error generating recurring assignment ${definition.id}:`, error);
+      }
+    }
+
+    return created;
+  }
+}
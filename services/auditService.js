@@ -0,0 +1,136 @@
+import storage from "./storage/index.js";
+import { toCsv, neutralizeFormula } from "../utils/csv.js";
+
+const AUDIT_PATH = "/audit/entries";
+
+const CSV_COLUMNS = [
+  "id",
+  "timestamp",
+  "requestId",
+  "actorUid",
+  "actorName",
+  "actorLevel",
+  "action",
+  "method",
+  "path",
+  "statusCode",
+  "targetType",
+  "targetId",
+  "ip",
+  "changes"
+];
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// The database drops empty arrays and objects, so they compare equal to null
+const isEmpty = (value) => value === undefined || value === null ||
+  (typeof value === "object" && Object.keys(value).length === 0);
+
+export class AuditService {
+  constructor(db = storage) {
+    this.db = db;
+  }
+
+  // Flattens both values and lists every leaf path whose value differs.
+  // Paths are stored as "a.b.c" strings since database keys cannot contain "/".
+  diff(before, after, prefix = "") {
+    const leftNested = isPlainObject(before) || before === undefined || before === null;
+    const rightNested = isPlainObject(after) || after === undefined || after === null;
+
+    if ((isPlainObject(before) || isPlainObject(after)) && leftNested && rightNested) {
+      const left = before || {};
+      const right = after || {};
+      const keys = new Set([...Object.keys(left), ...Object.keys(right)]);
+      const changes = [];
+
+      keys.forEach(key => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        changes.push(...this.diff(left[key], right[key], path));
+      });
+
+      return changes;
+    }
+
+    if (isEmpty(before) && isEmpty(after)) {
+      return [];
+    }
+
+    if (JSON.stringify(before ?? null) === JSON.stringify(after ?? null)) {
+      return [];
+    }
+
+    return [{ path: prefix || "$", before: before ?? null, after: after ?? null }];
+  }
+
+  async record(entry) {
+    const { before, after, ...rest } = entry;
+    const entryRef = this.db.ref(AUDIT_PATH).push();
+
+    const auditEntry = {
+      ...rest,
+      id: entryRef.key,
+      timestamp: Date.now()
+    };
+
+    if (before !== undefined || after !== undefined) {
+      auditEntry.changes = this.diff(before, after);
+    }
+
+    await entryRef.set(auditEntry);
+    return entryRef.key;
+  }
+
+  async query({ actor, targetType, targetId, type, from, to, limit = 100 } = {}) {
+    let query = this.db.ref(AUDIT_PATH).orderByChild("timestamp");
+
+    if (from) {
+      query = query.startAt(from);
+    }
+    if (to) {
+      query = query.endAt(to);
+    }
+
+    const snapshot = await query.once("value");
+    let entries = Object.values(snapshot.val() || {});
+
+    if (actor) {
+      entries = entries.filter(entry => entry.actor?.uid === actor);
+    }
+    if (targetType) {
+      entries = entries.filter(entry => entry.target?.type === targetType);
+    }
+    if (targetId) {
+      entries = entries.filter(entry => entry.target?.id === targetId);
+    }
+    if (type) {
+      entries = entries.filter(entry => entry.action === type);
+    }
+
+    return entries
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, limit);
+  }
+
+  toCsv(entries) {
+    // Apart from the server-generated entry ID, any text cell can carry
+    // request data (names, paths, route IDs, the X-Request-Id header)
+    const rows = entries.map(entry => [
+      entry.id,
+      new Date(entry.timestamp).toISOString(),
+      entry.requestId,
+      entry.actor?.uid,
+      entry.actor?.name,
+      entry.actor?.level,
+      entry.action,
+      entry.method,
+      entry.path,
+      entry.statusCode,
+      entry.target?.type,
+      entry.target?.id,
+      entry.ip,
+      entry.changes
+    ].map((cell, index) => (index === 0 ? cell : neutralizeFormula(cell))));
+
+    return toCsv(CSV_COLUMNS, rows);
+  }
+}
@@ -0,0 +1,307 @@
+import storage from "./storage/index.js";
+import { tokenize, parseSearchQuery } from "../utils/textSearch.js";
+
+// Title matches count most, then tags, then body text
+const FIELD_BOOSTS = { title: 3, tags: 2, content: 1 };
+const FIELDS = Object.keys(FIELD_BOOSTS);
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const SNIPPET_WORDS = 30;
+const MAX_PREFIX_EXPANSIONS = 50;
+// Position gap between tags, so a quoted phrase never matches across two tags
+const TAG_POSITION_GAP = 100;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+const fieldTokens = (doc, field) => {
+  if (field !== "tags") return tokenize(doc[field] || "");
+
+  let offset = 0;
+  return (doc.tags || []).flatMap(tag => {
+    const tokens = tokenize(tag).map(token => ({ ...token, position: token.position + offset }));
+    offset += tokens.length + TAG_POSITION_GAP;
+    return tokens;
+  });
+};
+
+/**
+ * In-process inverted index over BAKE documents with BM25 ranking.
+ *
+ * The index is built from the database on first use and kept current by
+ * indexDocument/removeDocument as documents are written. A periodic rebuild
+ * (see services/jobs.js) picks up changes made by other server instances.
+ */
+export class BakeSearchIndex {
+  constructor(db = storage) {
+    this.db = db;
+    this.reset();
+  }
+
+  reset() {
+    this.loaded = false;
+    this.loading = null;
+    // term -> docId -> { title: [positions], tags: [...], content: [...] }
+    this.postings = new Map();
+    // unstemmed word -> stemmed term, for prefix queries
+    this.vocabulary = new Map();
+    this.documents = new Map();
+    this.fieldLengths = { title: 0, tags: 0, content: 0 };
+  }
+
+  async ensureLoaded() {
+    if (this.loaded) return;
+    if (!this.loading) {
+      this.loading = this.rebuild().finally(() => {
+        this.loading = null;
+      });
+    }
+    await this.loading;
+  }
+
+  async rebuild() {
+    const snapshot = await this.db.ref('/bake/documents').once('value');
+    this.reset();
+
+    for (const [id, doc] of Object.entries(snapshot.val() || {})) {
+      this.addDocument({ ...doc, id });
+    }
+
+    this.loaded = true;
+    return this.documents.size;
+  }
+
+  addDocument(doc) {
+    const entry = {
+      id: doc.id,
+      title: doc.title || "",
+      content: doc.content || "",
+      tags: doc.tags || [],
+      category: doc.category || null,
+      isPublic: doc.isPublic !== false,
+      status: doc.status || null,
+      author: doc.author || null,
+      access: doc.access || null,
+      review: doc.review?.reviewers ? { reviewers: doc.review.reviewers } : null,
+      lengths: {},
+      terms: new Set()
+    };
+
+    for (const field of FIELDS) {
+      const tokens = fieldTokens(entry, field);
+      entry.lengths[field] = tokens.length;
+      this.fieldLengths[field] += tokens.length;
+
+      for (const token of tokens) {
+        if (token.stopWord) continue;
+
+        this.vocabulary.set(token.surface, token.term);
+        entry.terms.add(token.term);
+        if (!this.postings.has(token.term)) this.postings.set(token.term, new Map());
+
+        const docPostings = this.postings.get(token.term);
+        if (!docPostings.has(doc.id)) docPostings.set(doc.id, { title: [], tags: [], content: [] });
+        docPostings.get(doc.id)[field].push(token.position);
+      }
+    }
+
+    this.documents.set(doc.id, entry);
+  }
+
+  removeDocument(documentId) {
+    const entry = this.documents.get(documentId);
+    if (!entry) return;
+
+    for (const field of FIELDS) {
+      this.fieldLengths[field] -= entry.lengths[field];
+    }
+
+    for (const term of entry.terms) {
+      const docPostings = this.postings.get(term);
+      docPostings.delete(documentId);
+      if (docPostings.size === 0) this.postings.delete(term);
+    }
+
+    this.documents.delete(documentId);
+  }
+
+  // Incremental update after a document is created or changed. Before the
+  // first search the index isn't built yet, so there's nothing to update.
+  indexDocument(doc) {
+    if (!this.loaded) return;
+    this.removeDocument(doc.id);
+    this.addDocument(doc);
+  }
+
+  async refreshDocument(documentId) {
+    if (!this.loaded) return;
+    const snapshot = await this.db.ref(`/bake/documents/${documentId}`).once('value');
+    const doc = snapshot.val();
+
+    if (doc) {
+      this.indexDocument({ ...doc, id: documentId });
+    } else {
+      this.removeDocument(documentId);
+    }
+  }
+
+  idf(term) {
+    const documentFrequency = this.postings.get(term)?.size || 0;
+    const total = this.documents.size;
+    return Math.log(1 + (total - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  scoreTerm(term, documentId) {
+    const positions = this.postings.get(term)?.get(documentId);
+    if (!positions) return 0;
+
+    const entry = this.documents.get(documentId);
+    let score = 0;
+
+    for (const field of FIELDS) {
+      const frequency = positions[field].length;
+      if (frequency === 0) continue;
+
+      const averageLength = this.fieldLengths[field] / this.documents.size || 1;
+      const normalization = 1 - B + B * (entry.lengths[field] / averageLength);
+      score += FIELD_BOOSTS[field] * (frequency * (K1 + 1)) / (frequency + K1 * normalization);
+    }
+
+    return this.idf(term) * score;
+  }
+
+  matchesPhrase(phrase, documentId) {
+    const words = phrase.filter(token => !token.stopWord);
+    const [first, ...rest] = words;
+    const firstPositions = this.postings.get(first.term)?.get(documentId);
+    if (!firstPositions) return false;
+
+    return FIELDS.some(field => firstPositions[field].some(start => rest.every(token => {
+      const positions = this.postings.get(token.term)?.get(documentId)?.[field];
+      return positions?.includes(start - first.offset + token.offset);
+    })));
+  }
+
+  expandPrefix(prefix) {
+    const terms = new Set();
+    for (const [surface, term] of this.vocabulary) {
+      if (surface.startsWith(prefix) && this.postings.has(term)) {
+        terms.add(term);
+        if (terms.size >= MAX_PREFIX_EXPANSIONS) break;
+      }
+    }
+    return [...terms];
+  }
+
+  // Best window of the content around the matched words. With highlight the
+  // text is HTML-escaped and matches are wrapped in <mark>.
+  buildSnippet(entry, matchedTerms, highlight = true) {
+    const tokens = tokenize(entry.content);
+    const isMatch = (token) => !token.stopWord && matchedTerms.has(token.term);
+
+    let bestStart = 0;
+    let bestCount = -1;
+    for (let index = 0; index < tokens.length; index++) {
+      if (!isMatch(tokens[index])) continue;
+      const count = tokens.slice(index, index + SNIPPET_WORDS).filter(isMatch).length;
+      if (count > bestCount) {
+        bestCount = count;
+        bestStart = Math.max(0, index - 5);
+      }
+    }
+
+    const window = tokens.slice(bestStart, bestStart + SNIPPET_WORDS);
+    if (window.length === 0) return "";
+
+    const from = bestStart === 0 ? 0 : window[0].start;
+    const to = bestStart + SNIPPET_WORDS >= tokens.length ? entry.content.length : window[window.length - 1].end;
+
+    let snippet = "";
+    if (highlight) {
+      let cursor = from;
+      for (const token of window.filter(isMatch)) {
+        snippet += escapeHtml(entry.content.slice(cursor, token.start));
+        snippet += `<mark>${escapeHtml(entry.content.slice(token.start, token.end))}</mark>`;
+        cursor = token.end;
+      }
+      snippet += escapeHtml(entry.content.slice(cursor, to));
+    } else {
+      snippet = entry.content.slice(from, to);
+    }
+
+    return `${from > 0 ? "…" : ""}${snippet.trim()}${to < entry.content.length ? "…" : ""}`;
+  }
+
+  /**
+   * Ranks documents for a query. Plain words are ORed and ranked with BM25;
+   * every "quoted phrase" must match. `filter` receives the indexed document
+   * ({ id, category, isPublic, status, author, access, review, ... }) and can exclude it; pass
+   * highlight: false for a plain-text snippet.
+   * Returns [{ id, title, score, coverage, snippet }], best first; coverage is
+   * the share of the query's words and phrases the document matched.
+   */
+  async search(query, { filter = () => true, limit = 20, highlight = true } = {}) {
+    await this.ensureLoaded();
+
+    const { terms, phrases, prefixes } = parseSearchQuery(query);
+    const groups = [
+      ...terms.map(term => [term]),
+      ...prefixes.map(prefix => this.expandPrefix(prefix)),
+      ...phrases.map(phrase => [...new Set(phrase.filter(token => !token.stopWord).map(token => token.term))])
+    ];
+    if (groups.length === 0) return [];
+
+    const candidates = new Set();
+    for (const term of groups.flat()) {
+      for (const documentId of this.postings.get(term)?.keys() || []) {
+        candidates.add(documentId);
+      }
+    }
+
+    const results = [];
+    for (const documentId of candidates) {
+      const entry = this.documents.get(documentId);
+      if (!filter(entry) || !phrases.every(phrase => this.matchesPhrase(phrase, documentId))) continue;
+
+      const matchedTerms = new Set();
+      let score = 0;
+      let matchedGroups = 0;
+
+      for (const group of groups) {
+        let groupMatched = false;
+        for (const term of group) {
+          const termScore = this.scoreTerm(term, documentId);
+          if (termScore > 0) {
+            score += termScore;
+            matchedTerms.add(term);
+            groupMatched = true;
+          }
+        }
+        if (groupMatched) matchedGroups++;
+      }
+
+      if (score > 0) {
+        results.push({ id: documentId, entry, score, matchedTerms, coverage: matchedGroups / groups.length });
+      }
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ id, entry, score, matchedTerms, coverage }) => ({
+        id,
+        title: entry.title,
+        score: Math.round(score * 1000) / 1000,
+        coverage: Math.round(coverage * 100) / 100,
+        snippet: this.buildSnippet(entry, matchedTerms, highlight)
+      }));
+  }
+}
+
+export const bakeSearchIndex = new BakeSearchIndex();
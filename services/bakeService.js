@@ -0,0 +1,349 @@
+import { config } from "../config/index.js";
+import storage from "./storage/index.js";
+import { FirebaseService } from "./firebaseService.js";
+import { bakeSearchIndex } from "./bakeSearchService.js";
+import { AppError } from "../middleware/errorHandler.js";
+import { pickRevisionContent, summarizeChanges } from "../utils/bakeRevisions.js";
+import { canTransition, countApprovals, getDocumentStatus, getNextReviewAt, isPublished } from "../utils/bakeWorkflow.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * BAKE document workflows beyond the basic document storage in
+ * FirebaseService: revision history and restores, and the editorial review
+ * workflow.
+ */
+export class BakeService {
+  constructor(db = storage) {
+    this.db = db;
+    this.firebaseService = new FirebaseService(db);
+  }
+
+  async getDocument(documentId) {
+    const snapshot = await this.db.ref(`/bake/documents/${documentId}`).once('value');
+    const document = snapshot.val();
+    return document ? { ...document, id: documentId } : null;
+  }
+
+  async getRevision(documentId, revision) {
+    const snapshot = await this.db.ref(`/bake/revisions/${documentId}/${revision}`).once('value');
+    return snapshot.val();
+  }
+
+  async getRevisions(documentId) {
+    const snapshot = await this.db.ref(`/bake/revisions/${documentId}`).once('value');
+    return Object.values(snapshot.val() || {}).sort((a, b) => a.revision - b.revision);
+  }
+
+  // Stores the document's current content as its first revision
+  async recordInitialRevision(document, userId = document.author) {
+    const revision = {
+      revision: 1,
+      ...pickRevisionContent(document),
+      author: userId,
+      createdAt: document.metadata?.createdAt || Date.now(),
+      summary: "Created document",
+      restoredFrom: null
+    };
+
+    await this.db.ref(`/bake/revisions/${document.id}/1`).set(revision);
+    await this.db.ref(`/bake/documents/${document.id}/revision`).set(1);
+    return revision;
+  }
+
+  // Saves new content as the next revision. Earlier revisions are never
+  // modified. Editing a published document moves it back to draft, so the
+  // change has to pass review before readers see it.
+  async saveRevision(document, content, userId, { summary = null, restoredFrom = null } = {}) {
+    // Documents from before revisions get their original content kept as r1
+    if (!document.revision && !(await this.getRevision(document.id, 1))) {
+      await this.recordInitialRevision(document);
+    }
+
+    const previous = pickRevisionContent(document);
+    const next = pickRevisionContent({ ...previous, ...content });
+
+    const { committed, snapshot } = await this.db.ref(`/bake/documents/${document.id}/revision`)
+      .transaction(current => (current || 1) + 1);
+    if (!committed) {
+      throw new AppError("Document revision could not be saved", 409);
+    }
+
+    const now = Date.now();
+    const revision = {
+      revision: snapshot.val(),
+      ...next,
+      author: userId,
+      createdAt: now,
+      summary: summary || summarizeChanges(previous, next),
+      restoredFrom
+    };
+
+    await this.db.ref(`/bake/revisions/${document.id}/${revision.revision}`).set(revision);
+    const updates = {
+      ...next,
+      "metadata/updatedAt": now,
+      "metadata/lastEditedBy": userId
+    };
+
+    if (isPublished(document)) {
+      await this.transition(document, "draft", userId, {
+        comment: `Edited in revision ${revision.revision}`,
+        updates
+      });
+    } else {
+      await this.db.ref(`/bake/documents/${document.id}`).update(updates);
+    }
+
+    return revision;
+  }
+
+  // Restoring saves an old revision's content as a new revision, so the
+  // history stays append-only
+  async restoreRevision(document, revisionNumber, userId) {
+    const target = await this.getRevision(document.id, revisionNumber);
+    if (!target) {
+      throw new AppError(`Revision ${revisionNumber} not found`, 404);
+    }
+
+    if (revisionNumber === (document.revision || 1)) {
+      throw new AppError(`Revision ${revisionNumber} is already the current revision`, 400);
+    }
+
+    return this.saveRevision(document, target, userId, {
+      summary: `Restored revision ${revisionNumber}`,
+      restoredFrom: revisionNumber
+    });
+  }
+
+  async getWorkflow(document) {
+    const snapshot = await this.db.ref(`/bake/workflow/${document.id}`).once('value');
+
+    return {
+      status: getDocumentStatus(document),
+      review: document.review || null,
+      reviewIntervalDays: document.reviewIntervalDays || config.bake.defaultReviewIntervalDays,
+      lastReviewed: document.metadata?.lastReviewed || null,
+      reviewedBy: document.metadata?.reviewedBy || null,
+      nextReviewAt: document.metadata?.nextReviewAt || null,
+      history: Object.values(snapshot.val() || {}).sort((a, b) => a.at - b.at)
+    };
+  }
+
+  // Moves a document to a new status and records the step in its workflow
+  // history. `updates` are written to the document alongside the status.
+  async transition(document, to, userId, { comment = null, updates = {} } = {}) {
+    const from = getDocumentStatus(document);
+    if (!canTransition(from, to)) {
+      throw new AppError(`Document is ${from.replace("_", " ")} and cannot be moved to ${to.replace("_", " ")}`, 409);
+    }
+
+    const now = Date.now();
+    await this.db.ref(`/bake/documents/${document.id}`).update({
+      ...updates,
+      status: to,
+      "metadata/updatedAt": now
+    });
+
+    const entryRef = this.db.ref(`/bake/workflow/${document.id}`).push();
+    await entryRef.set({ id: entryRef.key, from, to, by: userId, at: now, comment });
+
+    await bakeSearchIndex.refreshDocument(document.id);
+    return { from, to };
+  }
+
+  // Fields that mark a document as freshly reviewed when it is published
+  reviewedUpdates(document, userId, now = Date.now()) {
+    const intervalDays = document.reviewIntervalDays || config.bake.defaultReviewIntervalDays;
+
+    return {
+      review: null,
+      "metadata/publishedAt": now,
+      "metadata/publishedBy": userId,
+      "metadata/lastReviewed": now,
+      "metadata/reviewedBy": userId,
+      "metadata/nextReviewAt": now + intervalDays * DAY_MS
+    };
+  }
+
+  async submitForReview(document, userId, { reviewers, requiredApprovals = 1, note = null }) {
+    const users = await Promise.all(reviewers.map(reviewerId => this.firebaseService.getUser(reviewerId)));
+
+    for (const [index, user] of users.entries()) {
+      if (!user) {
+        throw new AppError(`Reviewer ${reviewers[index]} not found`, 400);
+      }
+      if (reviewers[index] === document.author) {
+        throw new AppError("The author cannot review their own document", 400);
+      }
+      if ((user.permissions?.level || 0) < 7) {
+        throw new AppError(`Reviewer ${reviewers[index]} needs level 7+ permission`, 400);
+      }
+    }
+
+    const now = Date.now();
+    await this.transition(document, "in_review", userId, {
+      comment: note,
+      updates: {
+        review: {
+          reviewers,
+          requiredApprovals,
+          requestedBy: userId,
+          requestedAt: now,
+          revision: document.revision || 1,
+          note
+        }
+      }
+    });
+
+    for (const reviewerId of reviewers) {
+      await this.firebaseService.sendNotification(reviewerId, {
+        title: 'Document awaiting your review',
+        description: `"${document.title}" has been submitted for review.`,
+        type: 'bake_review',
+        documentId: document.id
+      });
+    }
+  }
+
+  // Records a reviewer's decision. Requested changes send the document back
+  // to its author as a draft; it is published once it has enough approvals.
+  async reviewDocument(document, userId, userLevel, { decision, comment = null }) {
+    if (getDocumentStatus(document) !== "in_review") {
+      throw new AppError("This document is not awaiting review", 409);
+    }
+
+    const review = document.review || {};
+    if (!(review.reviewers || []).includes(userId) && userLevel < 8) {
+      throw new AppError("You are not a reviewer for this document", 403);
+    }
+
+    if (document.author === userId) {
+      throw new AppError("You cannot review your own document", 403);
+    }
+
+    const now = Date.now();
+    await this.db.ref(`/bake/documents/${document.id}/review/decisions/${userId}`).set({
+      decision,
+      comment,
+      decidedAt: now
+    });
+
+    const decisions = { ...review.decisions, [userId]: { decision } };
+    const approvals = countApprovals({ decisions });
+    const requiredApprovals = review.requiredApprovals || 1;
+
+    let status = "in_review";
+    if (decision === "request_changes") {
+      await this.transition(document, "draft", userId, { comment });
+      status = "draft";
+    } else if (approvals >= requiredApprovals) {
+      await this.transition(document, "published", userId, {
+        comment,
+        updates: this.reviewedUpdates(document, userId, now)
+      });
+      status = "published";
+    }
+
+    if (status !== "in_review") {
+      await this.firebaseService.sendNotification(document.author, {
+        title: status === "published" ? 'Document published' : 'Changes requested on your document',
+        description: status === "published"
+          ? `"${document.title}" passed review and is now published.`
+          : `A reviewer requested changes to "${document.title}".${comment ? ` ${comment}` : ''}`,
+        type: 'bake_review',
+        documentId: document.id
+      });
+    }
+
+    return { status, approvals, requiredApprovals };
+  }
+
+  // Editorial override: publishes without waiting for reviewers
+  async publishDocument(document, userId, { comment = null } = {}) {
+    await this.transition(document, "published", userId, {
+      comment,
+      updates: this.reviewedUpdates(document, userId)
+    });
+  }
+
+  async setReviewInterval(document, days) {
+    const updates = { reviewIntervalDays: days };
+    if (getDocumentStatus(document) === "published") {
+      updates["metadata/nextReviewAt"] = getNextReviewAt({ ...document, reviewIntervalDays: days }, days);
+    }
+
+    await this.db.ref(`/bake/documents/${document.id}`).update(updates);
+    return updates["metadata/nextReviewAt"] || null;
+  }
+
+  async setAccess(document, access) {
+    await this.db.ref(`/bake/documents/${document.id}`).update({
+      access,
+      "metadata/updatedAt": Date.now()
+    });
+    await bakeSearchIndex.refreshDocument(document.id);
+    return access;
+  }
+
+  // In-review documents the user should review (any of them for level 8+),
+  // and the user's own documents flagged as needing review
+  async getReviewQueue(userId, userLevel) {
+    const snapshot = await this.db.ref('/bake/documents').once('value');
+    const documents = Object.entries(snapshot.val() || {}).map(([id, document]) => ({ ...document, id }));
+
+    const summarize = (document) => ({
+      id: document.id,
+      title: document.title,
+      category: document.category,
+      author: document.author,
+      status: getDocumentStatus(document),
+      review: document.review || null,
+      nextReviewAt: document.metadata?.nextReviewAt || null
+    });
+
+    return {
+      awaitingReview: documents
+        .filter(document => getDocumentStatus(document) === "in_review" && document.author !== userId)
+        .filter(document => (document.review?.reviewers || []).includes(userId) || userLevel >= 8)
+        .filter(document => !document.review?.decisions?.[userId])
+        .sort((a, b) => (a.review?.requestedAt || 0) - (b.review?.requestedAt || 0))
+        .map(summarize),
+      needsReview: documents
+        .filter(document => getDocumentStatus(document) === "needs_review" && document.author === userId)
+        .map(summarize)
+    };
+  }
+
+  // Moves published documents past their review interval to needs_review and
+  // tells their authors
+  async flagStaleDocuments(now = Date.now()) {
+    const snapshot = await this.db.ref('/bake/documents').once('value');
+    const stale = Object.entries(snapshot.val() || {})
+      .map(([id, document]) => ({ ...document, id }))
+      .filter(document => getDocumentStatus(document) === "published")
+      .filter(document => {
+        const nextReviewAt = document.metadata?.nextReviewAt ||
+          getNextReviewAt(document, config.bake.defaultReviewIntervalDays);
+        return nextReviewAt && nextReviewAt <= now;
+      });
+
+    for (const document of stale) {
+      await this.transition(document, "needs_review", "system", {
+        comment: "Review interval passed",
+        updates: { "metadata/flaggedStaleAt": now }
+      });
+
+      if (document.author) {
+        await this.firebaseService.sendNotification(document.author, {
+          title: 'Document due for review',
+          description: `"${document.title}" has passed its review date. Please check it is still accurate and resubmit it for review.`,
+          type: 'bake_review',
+          documentId: document.id
+        });
+      }
+    }
+
+    return stale.length;
+  }
+}
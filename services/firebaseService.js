@@ -1,8 +1,27 @@
-import admin from "../config/firebase.js";
+import { randomBytes, createHash, timingSafeEqual } from "crypto";
+import { config } from "../config/index.js";
+import storage from "./storage/index.js";
+import { realtimeService, TOPICS } from "./realtimeService.js";
+import { createReviewState } from "../utils/formPipeline.js";
+import { isFieldVisible } from "../utils/formFields.js";
+import { bakeSearchIndex } from "./bakeSearchService.js";
+import { canSeeInListings } from "../utils/bakeAccess.js";
+import { buildContextualQuery, conversationTitle, listMessages } from "../utils/maiaContext.js";
+import { AppError } from "../middleware/errorHandler.js";
+
+// Each turn adds a question and an answer
+const MAX_MAIA_CONVERSATION_MESSAGES = 200;
+
+const hashCheckInCode = (salt, code) => createHash('sha256').update(`${salt}:${code}`).digest('hex');
+
+const hashSessionToken = (token) => createHash('sha256').update(token).digest('hex');
+
+const matchesSessionToken = (tokenHash, token) => Boolean(tokenHash && token) &&
+  timingSafeEqual(Buffer.from(hashSessionToken(token), 'hex'), Buffer.from(tokenHash, 'hex'));
 
 export class FirebaseService {
-  constructor() {
-    this.db = admin.database();
+  constructor(db = storage) {
+    this.db = db;
   }
 
   async getUser(userId) {
@@ -105,7 +124,9 @@ export class FirebaseService {
     return logRef.key;
   }
 
-  async getBakeDocuments(category = null, search = null, publicOnly = true) {
+  // `viewer` is the requester's userData (null when anonymous); documents
+  // they cannot open are left out
+  async getBakeDocuments(category = null, search = null, publicOnly = true, viewer = null) {
     let query = this.db.ref('/bake/documents');
     
     if (publicOnly) {
@@ -113,19 +134,23 @@ export class FirebaseService {
     }
     
     const snapshot = await query.once('value');
-    let documents = Object.entries(snapshot.val() || {});
+    let documents = Object.entries(snapshot.val() || {})
+      .filter(([_, doc]) => canSeeInListings(doc, viewer));
     
     if (category) {
       documents = documents.filter(([_, doc]) => doc.category === category);
     }
     
     if (search) {
-      const searchLower = search.toLowerCase();
-      documents = documents.filter(([_, doc]) => 
-        doc.title?.toLowerCase().includes(searchLower) ||
-        doc.content?.toLowerCase().includes(searchLower) ||
-        doc.tags?.some(tag => tag.toLowerCase().includes(searchLower))
-      );
+      // Ranked by the search index, best match first. Filtering inside the
+      // search keeps hidden documents from taking up places in the results.
+      const byId = new Map(documents);
+      const matches = await bakeSearchIndex.search(search, {
+        filter: doc => byId.has(doc.id),
+        limit: documents.length
+      });
+      documents = matches
+        .map(match => [match.id, { ...byId.get(match.id), searchScore: match.score, snippet: match.snippet }]);
     }
     
     return Object.fromEntries(documents);
@@ -159,6 +184,7 @@ export class FirebaseService {
     };
     
     await documentRef.set(fullDocumentData);
+    bakeSearchIndex.indexDocument(fullDocumentData);
     return documentRef.key;
   }
 
@@ -167,37 +193,88 @@ export class FirebaseService {
     await viewRef.transaction(currentViews => (currentViews || 0) + 1);
   }
 
-  async processMAIAQuery(message, userId, sessionId) {
-    const conversationRef = this.db.ref(`/bake/maia/conversations/${sessionId || 'session_' + Date.now()}`);
+  async getMAIAConversation(sessionId) {
+    const snapshot = await this.db.ref(`/bake/maia/conversations/${sessionId}`).once('value');
+    return snapshot.val();
+  }
+
+  // Answers a message and appends both to the session, starting a new one
+  // when no session is given. Follow-ups are searched together with the
+  // previous question so they can refer back to it.
+  //
+  // Anonymous callers (no viewer) all share one user ID, so their
+  // conversations are bound to a secret sessionToken returned with the first
+  // reply; continuing one requires that token.
+  async processMAIAQuery(message, userId, sessionId, viewer = null, sessionToken = null) {
+    const conversation = sessionId ? await this.getMAIAConversation(sessionId) : null;
+    
+    if (conversation && (conversation.userId !== userId ||
+        (!viewer && !matchesSessionToken(conversation.tokenHash, sessionToken)))) {
+      throw new AppError("Access denied to this conversation", 403);
+    }
+    
+    const history = listMessages(conversation);
+    if (history.length + 2 > MAX_MAIA_CONVERSATION_MESSAGES) {
+      throw new AppError("This conversation is full, please start a new one", 400);
+    }
+    
+    const id = sessionId || this.db.ref().push().key;
+    const messagesRef = this.db.ref(`/bake/maia/conversations/${id}/messages`);
+    const now = Date.now();
+    const resolvedQuery = buildContextualQuery(message, history);
     
     const userMessage = {
-      id: 'msg_' + Date.now(),
+      id: messagesRef.push().key,
       type: 'user',
       content: message,
-      timestamp: Date.now()
+      resolvedQuery: resolvedQuery !== message ? resolvedQuery : null,
+      timestamp: now
     };
     
-    const searchResults = await this.searchBakeForQuery(message);
-    const confidence = this.calculateResponseConfidence(searchResults, message);
+    const searchResults = await this.searchBakeForQuery(resolvedQuery, viewer);
+    const confidence = this.calculateResponseConfidence(searchResults, resolvedQuery);
     
     const maiaResponse = {
-      id: 'msg_' + (Date.now() + 1),
+      id: messagesRef.push().key,
       type: 'maia',
       content: this.generateMAIAResponse(searchResults, message),
       sources: searchResults.map(result => result.id),
       confidence: confidence,
-      timestamp: Date.now() + 1
+      timestamp: now + 1
     };
     
-    const conversationData = {
-      userId: userId,
-      sessionId: sessionId || 'session_' + Date.now(),
-      messages: [userMessage, maiaResponse],
-      createdAt: Date.now(),
-      updatedAt: Date.now()
+    const updates = {
+      updatedAt: now,
+      messageCount: history.length + 2
     };
     
-    await conversationRef.set(conversationData);
+    let issuedToken = null;
+    if (!conversation) {
+      Object.assign(updates, {
+        userId: userId,
+        sessionId: id,
+        title: conversationTitle(message),
+        createdAt: now
+      });
+      
+      if (!viewer) {
+        issuedToken = randomBytes(24).toString('hex');
+        updates.tokenHash = hashSessionToken(issuedToken);
+      }
+    }
+    
+    // Sessions saved before messages were keyed by ID hold an array, so
+    // they are rewritten in the keyed form
+    if (Array.isArray(conversation?.messages)) {
+      updates.messages = Object.fromEntries(
+        [...history, userMessage, maiaResponse].map(entry => [entry.id, entry])
+      );
+    } else {
+      updates[`messages/${userMessage.id}`] = userMessage;
+      updates[`messages/${maiaResponse.id}`] = maiaResponse;
+    }
+    
+    await this.db.ref(`/bake/maia/conversations/${id}`).update(updates);
     
     await this.db.ref('/bake/maia/analytics/totalQueries').transaction(count => (count || 0) + 1);
     
@@ -205,41 +282,80 @@ export class FirebaseService {
       response: maiaResponse.content,
       sources: maiaResponse.sources,
       confidence: maiaResponse.confidence,
-      sessionId: conversationData.sessionId
+      sessionId: id,
+      messageId: maiaResponse.id,
+      ...(issuedToken && { sessionToken: issuedToken })
     };
   }
 
-  async searchBakeForQuery(query) {
-    const snapshot = await this.db.ref('/bake/documents').orderByChild('isPublic').equalTo(true).once('value');
-    const documents = snapshot.val() || {};
+  async getUserMAIAConversations(userId) {
+    const snapshot = await this.db.ref('/bake/maia/conversations')
+      .orderByChild('userId')
+      .equalTo(userId)
+      .once('value');
     
-    const queryLower = query.toLowerCase();
-    const results = [];
+    return Object.entries(snapshot.val() || {})
+      .map(([sessionId, conversation]) => ({
+        sessionId,
+        title: conversation.title || conversationTitle(listMessages(conversation)[0]?.content || 'Conversation'),
+        messageCount: conversation.messageCount || listMessages(conversation).length,
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt
+      }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  async renameMAIAConversation(sessionId, title) {
+    await this.db.ref(`/bake/maia/conversations/${sessionId}`).update({ title });
+  }
+
+  async deleteMAIAConversation(sessionId) {
+    await this.db.ref(`/bake/maia/conversations/${sessionId}`).remove();
+  }
+
+  // Deletes conversations with no messages for longer than the retention period
+  async expireMAIAConversations(now = Date.now()) {
+    const cutoff = now - config.bake.maiaConversationRetentionMs;
+    const snapshot = await this.db.ref('/bake/maia/conversations').once('value');
+    const expired = Object.entries(snapshot.val() || {})
+      .filter(([_, conversation]) => (conversation.updatedAt || conversation.createdAt || 0) < cutoff)
+      .map(([sessionId]) => sessionId);
+    
+    if (expired.length === 0) {
+      return 0;
+    }
     
-    Object.entries(documents).forEach(([id, doc]) => {
-      let relevanceScore = 0;
-      
-      if (doc.title?.toLowerCase().includes(queryLower)) relevanceScore += 10;
-      if (doc.content?.toLowerCase().includes(queryLower)) relevanceScore += 5;
-      if (doc.tags?.some(tag => tag.toLowerCase().includes(queryLower))) relevanceScore += 3;
-      
-      if (relevanceScore > 0) {
-        results.push({
-          id,
-          title: doc.title,
-          content: doc.content?.substring(0, 200) + '...',
-          relevanceScore
-        });
-      }
+    const updates = {};
+    expired.forEach(sessionId => {
+      updates[`bake/maia/conversations/${sessionId}`] = null;
     });
+    await this.db.ref().update(updates);
     
-    return results.sort((a, b) => b.relevanceScore - a.relevanceScore).slice(0, 3);
+    return expired.length;
+  }
+
+  // Only documents the asker can open, so MAIA never quotes anything else
+  async searchBakeForQuery(query, viewer = null) {
+    const matches = await bakeSearchIndex.search(query, {
+      filter: doc => doc.isPublic && doc.status !== "archived" && canSeeInListings(doc, viewer),
+      limit: 3,
+      highlight: false
+    });
+
+    return matches.map(match => ({
+      id: match.id,
+      title: match.title,
+      content: match.snippet,
+      relevanceScore: match.score,
+      coverage: match.coverage
+    }));
   }
 
   calculateResponseConfidence(searchResults, query) {
     if (searchResults.length === 0) return 0.1;
     if (searchResults.length === 1) return 0.6;
-    if (searchResults[0].relevanceScore > 8) return 0.9;
+    // Most of the question's words found in the best document
+    if (searchResults[0].coverage >= 0.75) return 0.9;
     return 0.7;
   }
 
@@ -439,6 +555,20 @@ export class FirebaseService {
     }
     
     const requirements = form.requirements || {};
+    const now = Date.now();
+    
+    // Form-wide window and cap apply to everyone
+    if (requirements.opensAt && now < requirements.opensAt) {
+      return { eligible: false, reason: 'Applications are not open yet', nextEligibleAt: requirements.opensAt };
+    }
+    
+    if (requirements.closesAt && now >= requirements.closesAt) {
+      return { eligible: false, reason: 'Applications are closed', nextEligibleAt: null };
+    }
+    
+    if (requirements.maxSubmissions && (form.analytics?.totalSubmissions || 0) >= requirements.maxSubmissions) {
+      return { eligible: false, reason: 'This form is no longer accepting submissions', nextEligibleAt: null };
+    }
     
     if (requirements.minLevel && user.permissions?.level < requirements.minLevel) {
       return { eligible: false, reason: `Minimum level ${requirements.minLevel} required` };
@@ -447,7 +577,11 @@ export class FirebaseService {
     if (requirements.minDaysActive) {
       const daysSinceJoin = (Date.now() - user.activity?.createdAt) / (1000 * 60 * 60 * 24);
       if (daysSinceJoin < requirements.minDaysActive) {
-        return { eligible: false, reason: `Must be active for ${requirements.minDaysActive} days` };
+        return {
+          eligible: false,
+          reason: `Must be active for ${requirements.minDaysActive} days`,
+          nextEligibleAt: user.activity?.createdAt ? user.activity.createdAt + requirements.minDaysActive * 24 * 60 * 60 * 1000 : null
+        };
       }
     }
     
@@ -459,56 +593,113 @@ export class FirebaseService {
       return { eligible: false, reason: 'Role restriction applies' };
     }
     
+    // Queries allow a single orderBy, so filter this user's submissions by form here
     const existingSubmission = await this.db.ref('/forms/submissions')
       .orderByChild('userId').equalTo(userId)
-      .orderByChild('formId').equalTo(formId)
       .once('value');
     
-    if (existingSubmission.exists()) {
-      const submissions = Object.values(existingSubmission.val());
-      const pendingOrApproved = submissions.some(sub => sub.status === 'pending' || sub.status === 'approved');
-      if (pendingOrApproved) {
-        return { eligible: false, reason: 'Already submitted or approved' };
+    const submissions = Object.values(existingSubmission.val() || {}).filter(sub => sub.formId === formId);
+    const pendingOrApproved = submissions.some(sub => sub.status === 'pending' || sub.status === 'approved');
+    if (pendingOrApproved) {
+      return { eligible: false, reason: 'Already submitted or approved', nextEligibleAt: null };
+    }
+    
+    const attemptsRemaining = requirements.maxAttempts ? Math.max(0, requirements.maxAttempts - submissions.length) : null;
+    if (attemptsRemaining === 0) {
+      return { eligible: false, reason: `Maximum of ${requirements.maxAttempts} attempts reached`, nextEligibleAt: null, attemptsRemaining };
+    }
+    
+    // Cooldown runs from the most recent rejection decision
+    if (requirements.reapplyCooldownDays) {
+      const lastRejectedAt = Math.max(0, ...submissions
+        .filter(sub => sub.status === 'rejected')
+        .map(sub => sub.evaluation?.manual?.reviewedAt || sub.submittedAt || 0));
+      const nextEligibleAt = lastRejectedAt + requirements.reapplyCooldownDays * 24 * 60 * 60 * 1000;
+      
+      if (lastRejectedAt > 0 && now < nextEligibleAt) {
+        return {
+          eligible: false,
+          reason: `You can reapply ${requirements.reapplyCooldownDays} days after a rejection`,
+          nextEligibleAt,
+          attemptsRemaining
+        };
       }
     }
     
-    return { eligible: true, reason: null };
+    return { eligible: true, reason: null, nextEligibleAt: null, attemptsRemaining };
+  }
+
+  // Counts a submission against the form before it is written. With
+  // maxSubmissions set the check and the increment happen in one transaction,
+  // so concurrent submissions can't overshoot the cap.
+  async reserveSubmissionSlot(formId, maxSubmissions) {
+    const result = await this.db.ref(`/forms/templates/${formId}/analytics/totalSubmissions`).transaction(count => {
+      if (maxSubmissions && (count || 0) >= maxSubmissions) {
+        return undefined;
+      }
+      return (count || 0) + 1;
+    });
+    
+    if (!result.committed) {
+      throw new AppError('This form is no longer accepting submissions', 403);
+    }
+  }
+
+  async releaseSubmissionSlot(formId) {
+    await this.db.ref(`/forms/templates/${formId}/analytics/totalSubmissions`).transaction(count => Math.max(0, (count || 0) - 1));
   }
 
   async submitForm(formId, userId, responses) {
     const submissionRef = this.db.ref('/forms/submissions').push();
     const form = await this.getForm(formId);
     
+    await this.reserveSubmissionSlot(formId, form.requirements?.maxSubmissions);
+    
+    let submissionData;
+    try {
+      submissionData = await this.buildSubmission(submissionRef.key, formId, form, userId, responses);
+      await submissionRef.set(submissionData);
+    } catch (error) {
+      await this.releaseSubmissionSlot(formId);
+      throw error;
+    }
+    
+    if (submissionData.status === 'approved') {
+      await this.db.ref(`/forms/templates/${formId}/analytics/approved`).transaction(count => (count || 0) + 1);
+    } else if (submissionData.status === 'rejected') {
+      await this.db.ref(`/forms/templates/${formId}/analytics/rejected`).transaction(count => (count || 0) + 1);
+    } else {
+      await this.db.ref(`/forms/templates/${formId}/analytics/pending`).transaction(count => (count || 0) + 1);
+    }
+    
+    return submissionData;
+  }
+
+  async buildSubmission(submissionId, formId, form, userId, responses) {
     const evaluation = await this.evaluateFormSubmission(form, responses);
+    const hasPipeline = form.reviewPipeline?.stages?.length > 0;
     
-    const submissionData = {
-      id: submissionRef.key,
+    // Forms with a review pipeline are never auto-approved; every stage must sign off
+    let status = evaluation.recommendation === 'reject' ? 'rejected' : 'pending';
+    if (evaluation.recommendation === 'approve' && !hasPipeline) {
+      status = 'approved';
+    }
+    
+    return {
+      id: submissionId,
       formId: formId,
+      formVersion: form.version || 1,
       userId: userId,
-      status: evaluation.recommendation === 'approve' ? 'approved' : 
-              evaluation.recommendation === 'reject' ? 'rejected' : 'pending',
+      status,
       responses: responses,
       evaluation: {
         automated: evaluation,
         manual: null
       },
+      review: hasPipeline && status === 'pending' ? createReviewState(form.reviewPipeline) : null,
       submittedAt: Date.now(),
       updatedAt: Date.now()
     };
-    
-    await submissionRef.set(submissionData);
-    
-    await this.db.ref(`/forms/templates/${formId}/analytics/totalSubmissions`).transaction(count => (count || 0) + 1);
-    
-    if (submissionData.status === 'approved') {
-      await this.db.ref(`/forms/templates/${formId}/analytics/approved`).transaction(count => (count || 0) + 1);
-    } else if (submissionData.status === 'rejected') {
-      await this.db.ref(`/forms/templates/${formId}/analytics/rejected`).transaction(count => (count || 0) + 1);
-    } else {
-      await this.db.ref(`/forms/templates/${formId}/analytics/pending`).transaction(count => (count || 0) + 1);
-    }
-    
-    return submissionData;
   }
 
   async evaluateFormSubmission(form, responses) {
@@ -523,6 +714,9 @@ export class FirebaseService {
     };
     
     for (const field of form.fields) {
+      // Fields hidden by their conditions weren't answered and aren't scored
+      if (!isFieldVisible(field, responses)) continue;
+      
       const response = responses[field.id];
       
       if (field.type === 'text' && field.validation) {
@@ -549,7 +743,11 @@ export class FirebaseService {
       manualReview: 60
     };
     
-    if (evaluation.overallScore >= thresholds.autoApprove) {
+    // Nothing on the form can be scored automatically (e.g. only select, date or
+    // number fields), so a person has to decide
+    if (maxScore === 0) {
+      evaluation.recommendation = 'review';
+    } else if (evaluation.overallScore >= thresholds.autoApprove) {
       evaluation.recommendation = 'approve';
     } else if (evaluation.overallScore <= thresholds.autoReject) {
       evaluation.recommendation = 'reject';
@@ -892,8 +1090,12 @@ export class FirebaseService {
       throw new Error('Session not found');
     }
     
-    if (session.capacity.current >= session.capacity.max) {
-      throw new Error('Session is full');
+    if (session.status === 'completed' || session.status === 'cancelled') {
+      throw new Error(`Session is ${session.status}`);
+    }
+    
+    if (session.waitlist?.[userId]) {
+      throw new Error('Already on the waitlist for this session');
     }
     
     const userEligible = await this.checkSessionEligibility(session, userId);
@@ -901,16 +1103,136 @@ export class FirebaseService {
       throw new Error(userEligible.reason);
     }
     
-    const attendeeData = {
+    if (await this.claimSessionSeat(sessionId, session.capacity.max)) {
+      await this.db.ref(`/sessions/sessions/${sessionId}/attendees/${userId}`).set({
+        userId: userId,
+        status: 'confirmed',
+        registeredAt: Date.now()
+      });
+      
+      return { status: 'confirmed', position: null };
+    }
+    
+    // Session is full: join the waitlist instead
+    await this.db.ref(`/sessions/sessions/${sessionId}/waitlist/${userId}`).set({
       userId: userId,
-      status: 'confirmed',
-      registeredAt: Date.now()
+      joinedAt: Date.now()
+    });
+    
+    const waitlist = Object.values(session.waitlist || {});
+    return { status: 'waitlisted', position: waitlist.length + 1 };
+  }
+
+  // Atomically takes one seat if the session is below capacity
+  async claimSessionSeat(sessionId, maxCapacity) {
+    const result = await this.db.ref(`/sessions/sessions/${sessionId}/capacity/current`).transaction(count => {
+      if ((count || 0) >= maxCapacity) {
+        return undefined;
+      }
+      return (count || 0) + 1;
+    });
+    
+    return result.committed;
+  }
+
+  async unregisterFromSession(sessionId, userId) {
+    const sessionSnapshot = await this.db.ref(`/sessions/sessions/${sessionId}`).once('value');
+    const session = sessionSnapshot.val();
+    
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    
+    if (session.status === 'completed') {
+      throw new Error('Cannot withdraw from a completed session');
+    }
+    
+    if (session.waitlist?.[userId]) {
+      await this.db.ref(`/sessions/sessions/${sessionId}/waitlist/${userId}`).remove();
+      return { status: 'withdrawn', fromWaitlist: true, promotedUserId: null };
+    }
+    
+    // Older registrations were stored under push IDs rather than the user ID
+    const attendeeKey = Object.keys(session.attendees || {})
+      .find(key => session.attendees[key]?.userId === userId);
+    
+    if (!attendeeKey) {
+      throw new Error('Not registered for this session');
+    }
+    
+    await this.db.ref(`/sessions/sessions/${sessionId}/attendees/${attendeeKey}`).remove();
+    await this.db.ref(`/sessions/sessions/${sessionId}/capacity/current`).transaction(count => Math.max(0, (count || 0) - 1));
+    
+    const promotedUserId = session.status === 'cancelled' ? null : await this.promoteFromWaitlist(sessionId);
+    
+    return { status: 'withdrawn', fromWaitlist: false, promotedUserId };
+  }
+
+  // Gives a freed seat to the longest-waiting user who is still eligible.
+  // Users who no longer meet the requirements keep their place but are skipped.
+  async promoteFromWaitlist(sessionId) {
+    const sessionSnapshot = await this.db.ref(`/sessions/sessions/${sessionId}`).once('value');
+    const session = sessionSnapshot.val();
+    
+    if (!session?.waitlist) {
+      return null;
+    }
+    
+    const candidates = Object.values(session.waitlist).sort((a, b) => a.joinedAt - b.joinedAt);
+    
+    for (const candidate of candidates) {
+      const userEligible = await this.checkSessionEligibility(session, candidate.userId);
+      if (!userEligible.eligible) {
+        continue;
+      }
+      
+      if (!(await this.claimSessionSeat(sessionId, session.capacity.max))) {
+        return null;
+      }
+      
+      const now = Date.now();
+      await this.db.ref(`/sessions/sessions/${sessionId}`).update({
+        [`attendees/${candidate.userId}`]: {
+          userId: candidate.userId,
+          status: 'confirmed',
+          registeredAt: now,
+          promotedFromWaitlistAt: now
+        },
+        [`waitlist/${candidate.userId}`]: null
+      });
+      
+      await this.sendNotification(candidate.userId, {
+        title: 'You got a seat!',
+        description: `A seat opened up in "${session.title}" and you have been moved off the waitlist.`,
+        type: 'session'
+      });
+      
+      return candidate.userId;
+    }
+    
+    return null;
+  }
+
+  async sendNotification(userId, { title, description, type = 'general', fromUserUuid = 'system', ...extra }) {
+    const notificationId = this.db.ref().push().key;
+    const notification = {
+      title,
+      description,
+      type,
+      timestamp: Math.floor(Date.now() / 1000),
+      fromUserUuid,
+      read: false,
+      createdAt: Date.now(),
+      ...extra
     };
     
-    await this.db.ref(`/sessions/sessions/${sessionId}/attendees`).push(attendeeData);
-    await this.db.ref(`/sessions/sessions/${sessionId}/capacity/current`).transaction(count => (count || 0) + 1);
+    await this.db.ref(`users/${userId}/notifications/${notificationId}`).set(notification);
+    realtimeService.publish(TOPICS.notifications(userId), "NOTIFICATION_CREATED", {
+      notificationId,
+      ...notification
+    });
     
-    return true;
+    return notificationId;
   }
 
   async checkSessionEligibility(session, userId) {
@@ -929,7 +1251,7 @@ export class FirebaseService {
       return { eligible: false, reason: 'Department requirement not met' };
     }
     
-    const alreadyRegistered = session.attendees?.some(attendee => attendee.userId === userId);
+    const alreadyRegistered = Object.values(session.attendees || {}).some(attendee => attendee?.userId === userId);
     if (alreadyRegistered) {
       return { eligible: false, reason: 'Already registered for this session' };
     }
@@ -937,6 +1259,151 @@ export class FirebaseService {
     return { eligible: true, reason: null };
   }
 
+  // The session node only records that check-in is open. The code itself is
+  // kept as a salted hash under /sessions/checkInCodes, which no route returns,
+  // and the plain code is handed back once to the host who opened it.
+  async openSessionCheckIn(sessionId, openedBy, ttlMs) {
+    // No 0/O/1/I so codes can be read out loud or typed from a screen share
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const code = Array.from(randomBytes(6), byte => alphabet[byte % alphabet.length]).join('');
+    const salt = randomBytes(16).toString('hex');
+    
+    const checkIn = {
+      openedBy,
+      openedAt: Date.now(),
+      expiresAt: Date.now() + ttlMs
+    };
+    
+    await this.db.ref().update({
+      [`sessions/sessions/${sessionId}/checkIn`]: checkIn,
+      [`sessions/checkInCodes/${sessionId}`]: {
+        salt,
+        codeHash: hashCheckInCode(salt, code),
+        expiresAt: checkIn.expiresAt
+      }
+    });
+    return { ...checkIn, code };
+  }
+
+  async closeSessionCheckIn(sessionId) {
+    await this.db.ref().update({
+      [`sessions/sessions/${sessionId}/checkIn`]: null,
+      [`sessions/checkInCodes/${sessionId}`]: null
+    });
+  }
+
+  async redeemCheckInCode(sessionId, userId, code) {
+    const sessionSnapshot = await this.db.ref(`/sessions/sessions/${sessionId}`).once('value');
+    const session = sessionSnapshot.val();
+    
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    
+    if (session.status === 'completed' || session.status === 'cancelled') {
+      throw new Error(`Session is ${session.status}`);
+    }
+    
+    const codeSnapshot = await this.db.ref(`/sessions/checkInCodes/${sessionId}`).once('value');
+    const checkIn = codeSnapshot.val();
+    if (!checkIn || checkIn.expiresAt < Date.now()) {
+      throw new Error('Check-in is not open for this session');
+    }
+    
+    const submitted = hashCheckInCode(checkIn.salt, String(code || '').trim().toUpperCase());
+    if (!timingSafeEqual(Buffer.from(submitted, 'hex'), Buffer.from(checkIn.codeHash, 'hex'))) {
+      throw new Error('Invalid check-in code');
+    }
+    
+    return this.applyAttendanceEvent(sessionId, userId, { type: 'join', timestamp: Date.now(), source: 'checkin' });
+  }
+
+  // Folds a join/leave event into /sessions/sessions/<id>/attendance/<userId>.
+  // Time between a join and the matching leave is added to totalDuration (ms).
+  async applyAttendanceEvent(sessionId, userId, { type, timestamp, source }) {
+    const result = await this.db.ref(`/sessions/sessions/${sessionId}/attendance/${userId}`).transaction(current => {
+      const record = current || {
+        userId,
+        firstJoinedAt: timestamp,
+        totalDuration: 0,
+        joins: 0,
+        present: false
+      };
+      
+      if (type === 'join') {
+        if (!record.present) {
+          record.present = true;
+          record.lastJoinedAt = timestamp;
+          record.joins = (record.joins || 0) + 1;
+        }
+        record.firstJoinedAt = Math.min(record.firstJoinedAt || timestamp, timestamp);
+        if (source === 'checkin') {
+          record.checkedInAt = timestamp;
+        }
+      } else if (type === 'leave') {
+        // Nothing to close; keep the node empty rather than aborting, since the
+        // first transaction attempt can see null before the server value loads
+        if (!current) {
+          return null;
+        }
+        if (record.present) {
+          record.totalDuration = (record.totalDuration || 0) + Math.max(0, timestamp - record.lastJoinedAt);
+          record.present = false;
+        }
+        record.lastLeftAt = timestamp;
+      }
+      
+      record.sources = { ...record.sources, [source]: true };
+      record.updatedAt = Date.now();
+      return record;
+    });
+    
+    return result.snapshot.val();
+  }
+
+  async recordAttendanceEvents(sessionId, events) {
+    const sessionSnapshot = await this.db.ref(`/sessions/sessions/${sessionId}`).once('value');
+    const session = sessionSnapshot.val();
+    
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    
+    if (session.status === 'completed' || session.status === 'cancelled') {
+      throw new Error(`Session is ${session.status}`);
+    }
+    
+    // Game servers may batch events, so apply them in the order they happened
+    const ordered = [...events].sort((a, b) => a.timestamp - b.timestamp);
+    for (const event of ordered) {
+      await this.applyAttendanceEvent(sessionId, String(event.userId), {
+        type: event.type,
+        timestamp: event.timestamp,
+        source: 'game'
+      });
+    }
+    
+    return ordered.length;
+  }
+
+  // Closes any attendance still open when a session ends and returns the map
+  async finalizeSessionAttendance(sessionId, endedAt) {
+    const snapshot = await this.db.ref(`/sessions/sessions/${sessionId}/attendance`).once('value');
+    const attendance = snapshot.val() || {};
+    
+    for (const [userId, record] of Object.entries(attendance)) {
+      if (record.present) {
+        attendance[userId] = await this.applyAttendanceEvent(sessionId, userId, {
+          type: 'leave',
+          timestamp: Math.max(endedAt, record.lastJoinedAt),
+          source: 'session_end'
+        });
+      }
+    }
+    
+    return attendance;
+  }
+
   async getUserAvailability(userId) {
     const snapshot = await this.db.ref(`/sessions/availability/${userId}`).once('value');
     return snapshot.val();
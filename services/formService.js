@@ -0,0 +1,601 @@
+import axios from "axios";
+import { config } from "../config/index.js";
+import storage from "./storage/index.js";
+import { FirebaseService } from "./firebaseService.js";
+import { AppError } from "../middleware/errorHandler.js";
+import { canReviewStage, getCurrentStage } from "../utils/formPipeline.js";
+import { getFieldNumber } from "../utils/formFields.js";
+import { pickVersionContent } from "../utils/formVersions.js";
+import { summarizeRubricReviews } from "../utils/formRubric.js";
+import { toCsv, neutralizeFormula } from "../utils/csv.js";
+
+const ROBLOX_USERNAMES_API = "https://users.roblox.com/v1/usernames/users";
+
+const EXPORT_COLUMNS = [
+  { key: "submissionId", label: "Submission ID" },
+  { key: "userId", label: "User ID" },
+  { key: "username", label: "Username" },
+  { key: "status", label: "Status" },
+  { key: "formVersion", label: "Form Version" },
+  { key: "submittedAt", label: "Submitted At" },
+  { key: "automatedScore", label: "Automated Score" },
+  { key: "manualScore", label: "Manual Score" },
+  { key: "reviewedBy", label: "Reviewed By" },
+  { key: "reviewedAt", label: "Reviewed At" }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const average = (values) =>
+  values.length > 0 ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10 : null;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+// Flattens an answer into a single export cell
+const formatAnswer = (answer) => {
+  if (answer === undefined || answer === null) return null;
+  if (Array.isArray(answer)) return answer.join("; ");
+  if (Array.isArray(answer.answers)) return answer.answers.join("; ");
+  return answer;
+};
+
+/**
+ * Form submission workflows layered on top of the basic form storage in
+ * FirebaseService: template versions, drafts, staged review pipelines and
+ * response checks that need outside lookups.
+ */
+export class FormService {
+  constructor(db = storage) {
+    this.db = db;
+    this.firebaseService = new FirebaseService(db);
+  }
+
+  async getSubmission(submissionId) {
+    const snapshot = await this.db.ref(`/forms/submissions/${submissionId}`).once('value');
+    return snapshot.val();
+  }
+
+  async getVersion(formId, version) {
+    const snapshot = await this.db.ref(`/forms/versions/${formId}/${version}`).once('value');
+    return snapshot.val();
+  }
+
+  async getVersions(formId) {
+    const snapshot = await this.db.ref(`/forms/versions/${formId}`).once('value');
+    return Object.values(snapshot.val() || {}).sort((a, b) => a.version - b.version);
+  }
+
+  // The template as a submission's applicant saw it. Templates created before
+  // versioning have no stored version 1, so fall back to the live template.
+  async getSubmissionForm(submission) {
+    const version = await this.getVersion(submission.formId, submission.formVersion || 1);
+    if (version) return version;
+
+    const form = await this.firebaseService.getForm(submission.formId);
+    return form ? { version: form.version || 1, ...pickVersionContent(form) } : null;
+  }
+
+  // Stores the template's current content as its first version
+  async recordInitialVersion(form) {
+    const version = {
+      version: 1,
+      ...pickVersionContent(form),
+      createdBy: form.createdBy,
+      createdAt: form.createdAt,
+      changeNote: null
+    };
+
+    await this.db.ref(`/forms/versions/${form.id}/1`).set(version);
+    return version;
+  }
+
+  // Saves new content as the next version and makes it live. Only new
+  // submissions use it; existing ones keep the version they answered.
+  async createVersion(form, content, userId, { changeNote = null, restoredFrom = null } = {}) {
+    // Templates from before versioning get their original content kept as v1
+    if (!form.version && !(await this.getVersion(form.id, 1))) {
+      await this.recordInitialVersion(form);
+    }
+
+    const { committed, snapshot } = await this.db.ref(`/forms/templates/${form.id}/version`)
+      .transaction(current => (current || 1) + 1);
+    if (!committed) {
+      throw new AppError("Form version could not be saved", 409);
+    }
+
+    const now = Date.now();
+    const version = {
+      version: snapshot.val(),
+      ...pickVersionContent(content),
+      createdBy: userId,
+      createdAt: now,
+      changeNote,
+      restoredFrom
+    };
+
+    await this.db.ref(`/forms/versions/${form.id}/${version.version}`).set(version);
+    await this.db.ref(`/forms/templates/${form.id}`).update({
+      ...pickVersionContent(content),
+      lastFieldNumber: Math.max(form.lastFieldNumber || 0, ...content.fields.map(field => getFieldNumber(field.id))),
+      updatedAt: now,
+      updatedBy: userId
+    });
+
+    return version;
+  }
+
+  // Rolling back publishes an old version's content as a new version, so the
+  // history stays append-only
+  async rollbackToVersion(form, versionNumber, userId) {
+    const target = await this.getVersion(form.id, versionNumber);
+    if (!target) {
+      throw new AppError(`Version ${versionNumber} not found`, 404);
+    }
+
+    if (versionNumber === (form.version || 1)) {
+      throw new AppError(`Version ${versionNumber} is already the current version`, 400);
+    }
+
+    return this.createVersion(form, target, userId, {
+      changeNote: `Rolled back to version ${versionNumber}`,
+      restoredFrom: versionNumber
+    });
+  }
+
+  // A user has at most one draft per form. Drafts past their expiry are
+  // treated as gone even before the cleanup job removes them.
+  async getDraft(userId, formId, now = Date.now()) {
+    const snapshot = await this.db.ref(`/forms/drafts/${userId}/${formId}`).once('value');
+    const draft = snapshot.val();
+    return draft && draft.expiresAt > now ? draft : null;
+  }
+
+  async getUserDrafts(userId, now = Date.now()) {
+    const snapshot = await this.db.ref(`/forms/drafts/${userId}`).once('value');
+    return Object.values(snapshot.val() || {})
+      .filter(draft => draft.expiresAt > now)
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  // Autosave: replaces the saved responses and pushes the expiry back
+  async saveDraft(userId, form, responses, now = Date.now()) {
+    const existing = await this.getDraft(userId, form.id, now);
+    const draft = {
+      formId: form.id,
+      userId,
+      formVersion: form.version || 1,
+      responses,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      expiresAt: now + config.forms.draftTtlMs
+    };
+
+    await this.db.ref(`/forms/drafts/${userId}/${form.id}`).set(draft);
+    return draft;
+  }
+
+  async deleteDraft(userId, formId) {
+    await this.db.ref(`/forms/drafts/${userId}/${formId}`).remove();
+  }
+
+  async expireDrafts(now = Date.now()) {
+    const snapshot = await this.db.ref('/forms/drafts').once('value');
+    const updates = {};
+
+    for (const [userId, drafts] of Object.entries(snapshot.val() || {})) {
+      for (const [formId, draft] of Object.entries(drafts || {})) {
+        if (!draft.expiresAt || draft.expiresAt <= now) {
+          updates[`forms/drafts/${userId}/${formId}`] = null;
+        }
+      }
+    }
+
+    const count = Object.keys(updates).length;
+    if (count > 0) {
+      await this.db.ref().update(updates);
+    }
+    return count;
+  }
+
+  async getFormSubmissions(formId, { status, from, to } = {}) {
+    const snapshot = await this.db.ref('/forms/submissions')
+      .orderByChild('formId')
+      .equalTo(formId)
+      .once('value');
+
+    return Object.values(snapshot.val() || {})
+      .filter(submission => !status || submission.status === status)
+      .filter(submission => (!from || submission.submittedAt >= from) && (!to || submission.submittedAt <= to))
+      .sort((a, b) => a.submittedAt - b.submittedAt);
+  }
+
+  // Every field that has appeared in any version of the form: the current
+  // fields in order, then removed ones, newest version first, so older
+  // submissions still have a column for each of their answers
+  async getAllVersionFields(form) {
+    const versions = await this.getVersions(form.id);
+    const fields = new Map((form.fields || []).map(field => [field.id, field]));
+
+    for (const version of [...versions].reverse()) {
+      for (const field of version.fields || []) {
+        if (!fields.has(field.id)) fields.set(field.id, field);
+      }
+    }
+
+    return { fields: [...fields.values()], versions };
+  }
+
+  async buildExport(form, submissions) {
+    const { fields } = await this.getAllVersionFields(form);
+    const usernames = new Map();
+
+    for (const userId of new Set(submissions.map(submission => submission.userId))) {
+      const snapshot = await this.db.ref(`/users/${userId}/profile/username`).once('value');
+      usernames.set(userId, snapshot.val());
+    }
+
+    const columns = [
+      ...EXPORT_COLUMNS,
+      ...fields.map(field => ({ key: field.id, label: field.label, type: field.type || 'text' }))
+    ];
+
+    const rows = submissions.map(submission => ({
+      submissionId: submission.id,
+      userId: submission.userId,
+      username: usernames.get(submission.userId) || null,
+      status: submission.status,
+      formVersion: submission.formVersion || 1,
+      submittedAt: new Date(submission.submittedAt).toISOString(),
+      automatedScore: submission.evaluation?.automated?.overallScore ?? null,
+      manualScore: submission.evaluation?.manual?.score ?? null,
+      reviewedBy: submission.evaluation?.manual?.reviewedBy || null,
+      reviewedAt: submission.evaluation?.manual?.reviewedAt
+        ? new Date(submission.evaluation.manual.reviewedAt).toISOString()
+        : null,
+      ...Object.fromEntries(fields.map(field => [field.id, submission.responses?.[field.id] ?? null]))
+    }));
+
+    return { columns, rows };
+  }
+
+  // Field columns are headed "<label> (<field id>)" since labels can repeat
+  exportToCsv({ columns, rows }) {
+    const header = columns.map(column => (column.type ? `${column.label} (${column.key})` : column.label));
+    return toCsv(header, rows.map(row => columns.map(column =>
+      column.type ? neutralizeFormula(formatAnswer(row[column.key])) : row[column.key]
+    )));
+  }
+
+  async getAnalytics(form, submissions) {
+    const { fields, versions } = await this.getAllVersionFields(form);
+    const versionFields = new Map(versions.map(version => [version.version, version.fields || []]));
+
+    const timeline = new Map();
+    for (const submission of submissions) {
+      const date = new Date(Math.floor(submission.submittedAt / DAY_MS) * DAY_MS).toISOString().slice(0, 10);
+      const bucket = timeline.get(date) || { date, total: 0, approved: 0, rejected: 0, pending: 0 };
+      bucket.total += 1;
+      if (bucket[submission.status] !== undefined) bucket[submission.status] += 1;
+      timeline.set(date, bucket);
+    }
+
+    const approved = submissions.filter(submission => submission.status === 'approved').length;
+    const rejected = submissions.filter(submission => submission.status === 'rejected').length;
+
+    const automatedScores = submissions
+      .map(submission => submission.evaluation?.automated?.overallScore)
+      .filter(score => typeof score === 'number');
+    const reviewed = submissions.filter(submission => submission.evaluation?.manual?.reviewedAt);
+    const manualScores = reviewed
+      .map(submission => submission.evaluation.manual.score)
+      .filter(score => typeof score === 'number');
+    const scoreDifferences = reviewed
+      .filter(submission => typeof submission.evaluation.manual.score === 'number' &&
+        typeof submission.evaluation.automated?.overallScore === 'number')
+      .map(submission => submission.evaluation.manual.score - submission.evaluation.automated.overallScore);
+    const turnarounds = reviewed.map(submission => submission.evaluation.manual.reviewedAt - submission.submittedAt);
+
+    // Quiz answers are marked against the version each applicant answered
+    const quizAccuracy = fields.filter(field => field.type === 'quiz').map(field => {
+      const questions = (field.questions || []).map((question, index) => ({
+        index,
+        question: question.question,
+        answered: 0,
+        correct: 0
+      }));
+
+      for (const submission of submissions) {
+        const answers = submission.responses?.[field.id]?.answers;
+        const definition = (versionFields.get(submission.formVersion || 1) || form.fields || [])
+          .find(versionField => versionField.id === field.id);
+        if (!Array.isArray(answers) || !definition?.questions) continue;
+
+        definition.questions.forEach((question, index) => {
+          if (!questions[index] || answers[index] === undefined) return;
+          questions[index].answered += 1;
+          if (answers[index] === question.correct) questions[index].correct += 1;
+        });
+      }
+
+      return {
+        fieldId: field.id,
+        label: field.label,
+        questions: questions.map(question => ({
+          ...question,
+          accuracy: question.answered > 0 ? Math.round((question.correct / question.answered) * 1000) / 10 : null
+        }))
+      };
+    });
+
+    return {
+      totalSubmissions: submissions.length,
+      byStatus: { approved, rejected, pending: submissions.length - approved - rejected },
+      approvalRate: approved + rejected > 0 ? Math.round((approved / (approved + rejected)) * 1000) / 10 : null,
+      submissionsOverTime: [...timeline.values()],
+      scores: {
+        averageAutomated: average(automatedScores),
+        averageManual: average(manualScores),
+        averageManualMinusAutomated: average(scoreDifferences),
+        manuallyReviewed: reviewed.length
+      },
+      reviewTurnaround: {
+        medianMs: median(turnarounds),
+        reviewed: turnarounds.length
+      },
+      quizAccuracy,
+      rubric: form.analytics?.rubric || null
+    };
+  }
+
+  // Confirms that roblox_username answers belong to real accounts. Returns
+  // per-field errors; if Roblox can't be reached the format check already done
+  // by validateFormResponses stands, so an outage doesn't block submissions.
+  async verifyRobloxUsernames(fields, responses) {
+    const usernameFields = fields.filter(field => field.type === 'roblox_username' && responses[field.id]);
+    if (usernameFields.length === 0) return {};
+
+    let found;
+    try {
+      const { data } = await axios.post(ROBLOX_USERNAMES_API, {
+        usernames: usernameFields.map(field => responses[field.id]),
+        excludeBannedUsers: true
+      }, { timeout: 5000 });
+      found = new Set((data.data || []).map(user => user.requestedUsername.toLowerCase()));
+    } catch (error) {
+      console.error('Roblox username lookup failed:', error.message);
+      return {};
+    }
+
+    const errors = {};
+    for (const field of usernameFields) {
+      if (!found.has(responses[field.id].toLowerCase())) {
+        errors[field.id] = `${field.label} is not an existing Roblox account`;
+      }
+    }
+    return errors;
+  }
+
+  // Records a reviewer's vote on the submission's current stage. A rejection
+  // ends the pipeline; enough approvals move it to the next stage, or approve
+  // the submission at the last one. Runs in a transaction so concurrent
+  // reviewers can't both take the last approval.
+  async reviewStage(submissionId, stageId, reviewerId, { decision, feedback, score, rubricScores = null }) {
+    const now = Date.now();
+    let outcome = null;
+
+    const { committed, snapshot } = await this.db.ref(`/forms/submissions/${submissionId}`).transaction(current => {
+      if (!current) return current;
+
+      const stage = getCurrentStage(current);
+      if (current.status !== 'pending' || !stage) {
+        outcome = { error: "Only pending submissions can be reviewed", statusCode: 400 };
+        return;
+      }
+
+      if (stage.id !== stageId) {
+        outcome = { error: "The submission has moved to another stage", statusCode: 409 };
+        return;
+      }
+
+      const progress = { ...current.review.progress?.[stage.id] };
+      if (progress.votes?.[reviewerId]) {
+        outcome = { error: "You have already reviewed this stage", statusCode: 409 };
+        return;
+      }
+
+      progress.votes = {
+        ...progress.votes,
+        [reviewerId]: { decision, feedback, score: score ?? null, rubricScores, reviewedAt: now }
+      };
+
+      const approvals = Object.values(progress.votes).filter(vote => vote.decision === 'approved').length;
+      const isLastStage = current.review.currentStage === current.review.stages.length - 1;
+      outcome = { stage, nextStage: null, finalStatus: null, approvals };
+
+      if (decision === 'rejected') {
+        progress.status = 'rejected';
+        progress.completedAt = now;
+        outcome.finalStatus = 'rejected';
+      } else if (approvals >= stage.requiredApprovals) {
+        progress.status = 'approved';
+        progress.completedAt = now;
+
+        if (isLastStage) {
+          outcome.finalStatus = 'approved';
+        } else {
+          const nextStage = current.review.stages[current.review.currentStage + 1];
+          current.review.currentStage += 1;
+          current.review.progress = {
+            ...current.review.progress,
+            [nextStage.id]: { status: 'in_review', startedAt: now }
+          };
+          outcome.nextStage = nextStage;
+        }
+      }
+
+      current.review.progress = { ...current.review.progress, [stage.id]: progress };
+
+      if (outcome.finalStatus) {
+        current.status = outcome.finalStatus;
+        current.evaluation = {
+          ...current.evaluation,
+          manual: {
+            reviewedBy: reviewerId,
+            reviewedAt: now,
+            score: score ?? current.evaluation?.automated?.overallScore ?? null,
+            feedback,
+            rubricScores,
+            decision: outcome.finalStatus
+          }
+        };
+      }
+
+      current.updatedAt = now;
+      return current;
+    });
+
+    if (!outcome) {
+      throw new AppError("Submission not found", 404);
+    }
+
+    if (!committed || outcome.error) {
+      throw new AppError(outcome.error || "Review could not be saved", outcome.statusCode || 409);
+    }
+
+    const submission = snapshot.val();
+    await this.notifyStageOutcome(submission, outcome);
+
+    return { submission, ...outcome };
+  }
+
+  // Stores one reviewer's rubric scores, recomputes the submission's rubric
+  // summary (flagging disagreement between reviewers) and folds the result
+  // into the form's rubric analytics
+  async recordRubricReview(submission, rubric, review) {
+    const reviewRef = this.db.ref(`/forms/submissions/${submission.id}/rubricReviews`).push();
+    await reviewRef.set({ id: reviewRef.key, ...review });
+
+    const snapshot = await this.db.ref(`/forms/submissions/${submission.id}/rubricReviews`).once('value');
+    const summary = summarizeRubricReviews(rubric, Object.values(snapshot.val() || {}));
+    const newlyFlagged = summary.disagreement.flagged && !submission.rubricSummary?.disagreement?.flagged;
+
+    await this.db.ref(`/forms/submissions/${submission.id}/rubricSummary`).set(summary);
+
+    await this.db.ref(`/forms/templates/${submission.formId}/analytics/rubric`).transaction(current => {
+      const analytics = current || { reviews: 0, totalSum: 0, flaggedSubmissions: 0, criteria: {} };
+      const criteria = { ...analytics.criteria };
+
+      for (const [criterionId, score] of Object.entries(review.scores)) {
+        const entry = criteria[criterionId] || { sum: 0, count: 0 };
+        const sum = entry.sum + score;
+        const count = entry.count + 1;
+        criteria[criterionId] = { sum, count, average: Math.round((sum / count) * 10) / 10 };
+      }
+
+      const reviews = analytics.reviews + 1;
+      const totalSum = analytics.totalSum + review.total;
+      return {
+        reviews,
+        totalSum,
+        averageTotal: Math.round((totalSum / reviews) * 10) / 10,
+        flaggedSubmissions: (analytics.flaggedSubmissions || 0) + (newlyFlagged ? 1 : 0),
+        criteria
+      };
+    });
+
+    return summary;
+  }
+
+  async notifyStageOutcome(submission, { stage, nextStage, finalStatus }) {
+    const form = await this.firebaseService.getForm(submission.formId);
+    const formTitle = form?.title || 'your application';
+
+    if (finalStatus) {
+      await this.db.ref(`/forms/templates/${submission.formId}/analytics/${finalStatus}`).transaction(count => (count || 0) + 1);
+      await this.db.ref(`/forms/templates/${submission.formId}/analytics/pending`).transaction(count => Math.max(0, (count || 0) - 1));
+
+      await this.firebaseService.sendNotification(submission.userId, {
+        title: finalStatus === 'approved' ? 'Application approved' : 'Application not successful',
+        description: finalStatus === 'approved'
+          ? `Your submission for "${formTitle}" has been approved.`
+          : `Your submission for "${formTitle}" was not successful at the ${stage.name} stage.`,
+        type: 'form',
+        submissionId: submission.id
+      });
+      return;
+    }
+
+    if (nextStage) {
+      await this.firebaseService.sendNotification(submission.userId, {
+        title: 'Application progressed',
+        description: `Your submission for "${formTitle}" has moved to the ${nextStage.name} stage.`,
+        type: 'form',
+        submissionId: submission.id
+      });
+
+      for (const reviewerId of nextStage.reviewers || []) {
+        await this.firebaseService.sendNotification(reviewerId, {
+          title: 'Submission awaiting your review',
+          description: `A submission for "${formTitle}" is ready for the ${nextStage.name} stage.`,
+          type: 'form_review',
+          submissionId: submission.id
+        });
+      }
+    }
+  }
+
+  async addStageNote(submissionId, stageId, authorId, note) {
+    const noteRef = this.db.ref(`/forms/submissions/${submissionId}/review/progress/${stageId}/notes`).push();
+    const data = {
+      id: noteRef.key,
+      authorId,
+      note,
+      createdAt: Date.now()
+    };
+
+    await noteRef.set(data);
+    return data;
+  }
+
+  // Pending submissions whose current stage the reviewer can act on and
+  // hasn't voted on yet
+  async getReviewQueue(reviewer) {
+    const snapshot = await this.db.ref('/forms/submissions')
+      .orderByChild('status')
+      .equalTo('pending')
+      .once('value');
+
+    const forms = new Map();
+    const queue = [];
+
+    for (const submission of Object.values(snapshot.val() || {})) {
+      const stage = getCurrentStage(submission);
+      if (!stage || submission.userId === reviewer.uid) continue;
+      if (submission.review.progress?.[stage.id]?.votes?.[reviewer.uid]) continue;
+
+      if (!forms.has(submission.formId)) {
+        forms.set(submission.formId, await this.firebaseService.getForm(submission.formId));
+      }
+      const form = forms.get(submission.formId);
+
+      if (form && canReviewStage(stage, reviewer, form.department)) {
+        queue.push({
+          id: submission.id,
+          formId: submission.formId,
+          formTitle: form.title,
+          userId: submission.userId,
+          stage: { id: stage.id, name: stage.name, index: submission.review.currentStage },
+          stageStartedAt: submission.review.progress?.[stage.id]?.startedAt || null,
+          submittedAt: submission.submittedAt
+        });
+      }
+    }
+
+    return queue.sort((a, b) => a.submittedAt - b.submittedAt);
+  }
+}
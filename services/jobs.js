@@ -0,0 +1,63 @@
+import { config } from "../config/index.js";
+import storage from "./storage/index.js";
+import { registerJob } from "./scheduler.js";
+import { SessionSeriesService } from "./sessionSeriesService.js";
+import { QuotaService } from "./quotaService.js";
+import { LoaService } from "./loaService.js";
+import { AssignmentService } from "./assignmentService.js";
+import { FormService } from "./formService.js";
+import { FirebaseService } from "./firebaseService.js";
+import { bakeSearchIndex } from "./bakeSearchService.js";
+import { BakeService } from "./bakeService.js";
+
+// Registers every periodic job the API runs; started from server.js
+export const registerJobs = () => {
+  const sessionSeriesService = new SessionSeriesService();
+
+  registerJob("session-series-materialize", config.sessions.seriesJobIntervalMs, () =>
+    sessionSeriesService.materializeAll()
+  );
+
+  const loaService = new LoaService();
+  const quotaService = new QuotaService(storage, loaService);
+
+  registerJob("quota-period-close", config.quotas.periodCloseIntervalMs, () =>
+    quotaService.closeEndedPeriods()
+  );
+
+  registerJob("loa-expire", config.loa.expireJobIntervalMs, () =>
+    loaService.expireEndedLeaves()
+  );
+
+  const assignmentService = new AssignmentService();
+
+  registerJob("assignment-deadlines", config.assignments.deadlineJobIntervalMs, () =>
+    assignmentService.processDeadlines()
+  );
+
+  registerJob("assignment-recurrence", config.assignments.recurrenceJobIntervalMs, () =>
+    assignmentService.generateRecurringAssignments()
+  );
+
+  const formService = new FormService();
+
+  registerJob("form-draft-expire", config.forms.draftExpireJobIntervalMs, () =>
+    formService.expireDrafts()
+  );
+
+  registerJob("bake-search-rebuild", config.bake.searchRebuildIntervalMs, () =>
+    bakeSearchIndex.rebuild()
+  );
+
+  const bakeService = new BakeService();
+
+  registerJob("bake-stale-documents", config.bake.staleCheckIntervalMs, () =>
+    bakeService.flagStaleDocuments()
+  );
+
+  const firebaseService = new FirebaseService();
+
+  registerJob("maia-conversation-expire", config.bake.maiaConversationExpireIntervalMs, () =>
+    firebaseService.expireMAIAConversations()
+  );
+};
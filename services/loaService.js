@@ -0,0 +1,206 @@
+import storage from "./storage/index.js";
+import { FirebaseService } from "./firebaseService.js";
+import { AppError } from "../middleware/errorHandler.js";
+import { getUserQuotaDepartment } from "./quotaService.js";
+
+export const LOA_STATUSES = ["pending", "approved", "denied", "cancelled", "expired"];
+
+// Leaves that still block new requests for the same dates
+const OPEN_STATUSES = ["pending", "approved"];
+
+const formatDate = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+/**
+ * Leave of absence requests, stored at /loa/requests. A request is reviewed by
+ * the head of the user's department; approved leaves become "expired" once
+ * their end date passes but still count as leave for past quota periods.
+ */
+export class LoaService {
+  constructor(db = storage) {
+    this.db = db;
+    this.firebaseService = new FirebaseService(db);
+  }
+
+  async getRequest(loaId) {
+    const snapshot = await this.db.ref(`/loa/requests/${loaId}`).once('value');
+    return snapshot.val();
+  }
+
+  async getUserRequests(userId) {
+    const snapshot = await this.db.ref('/loa/requests')
+      .orderByChild('userId')
+      .equalTo(userId)
+      .once('value');
+
+    return Object.values(snapshot.val() || {}).sort((a, b) => b.startDate - a.startDate);
+  }
+
+  async getDepartmentRequests(department, status = null) {
+    const snapshot = await this.db.ref('/loa/requests')
+      .orderByChild('department')
+      .equalTo(department)
+      .once('value');
+
+    return Object.values(snapshot.val() || {})
+      .filter(request => !status || request.status === status)
+      .sort((a, b) => a.startDate - b.startDate);
+  }
+
+  // Approved leave covering the given instant, if any
+  async getActiveLeave(userId, now = Date.now()) {
+    const requests = await this.getUserRequests(userId);
+    return requests.find(request =>
+      request.status === 'approved' && request.startDate <= now && request.endDate > now
+    ) || null;
+  }
+
+  async getApprovedRequests() {
+    const snapshot = await this.db.ref('/loa/requests')
+      .orderByChild('status')
+      .equalTo('approved')
+      .once('value');
+
+    return Object.values(snapshot.val() || {});
+  }
+
+  // Approved leaves (including ones that have since expired) overlapping a range
+  async getLeavesOverlapping({ start, end }) {
+    const snapshot = await this.db.ref('/loa/requests')
+      .orderByChild('endDate')
+      .startAt(start)
+      .once('value');
+
+    return Object.values(snapshot.val() || {}).filter(leave =>
+      ['approved', 'expired'].includes(leave.status) && leave.startDate < end
+    );
+  }
+
+  // User IDs on approved leave right now, for excluding them from bulk reports
+  async getUsersOnLeave(now = Date.now()) {
+    const leaves = await this.getApprovedRequests();
+    return new Set(leaves
+      .filter(leave => leave.startDate <= now && leave.endDate > now)
+      .map(leave => leave.userId));
+  }
+
+  async createRequest(userId, userData, { startDate, endDate, reason }) {
+    const department = getUserQuotaDepartment(userData);
+    if (!department) {
+      throw new AppError("You must belong to a department to request a leave of absence", 400);
+    }
+
+    const existing = await this.getUserRequests(userId);
+    const overlapping = existing.find(request =>
+      OPEN_STATUSES.includes(request.status) && request.startDate < endDate && request.endDate > startDate
+    );
+
+    if (overlapping) {
+      throw new AppError("You already have a leave of absence covering these dates", 409);
+    }
+
+    const requestRef = this.db.ref('/loa/requests').push();
+    const request = {
+      id: requestRef.key,
+      userId,
+      department,
+      startDate,
+      endDate,
+      reason,
+      status: 'pending',
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    await requestRef.set(request);
+    return request;
+  }
+
+  async reviewRequest(loaId, decision, reviewerId, note = null) {
+    const request = await this.getRequest(loaId);
+    if (!request) {
+      throw new AppError("Leave of absence not found", 404);
+    }
+
+    if (request.status !== 'pending') {
+      throw new AppError(`Leave of absence is already ${request.status}`, 400);
+    }
+
+    if (decision === 'approved' && request.endDate <= Date.now()) {
+      throw new AppError("Cannot approve a leave of absence that has already ended", 400);
+    }
+
+    const updates = {
+      status: decision,
+      reviewedBy: reviewerId,
+      reviewedAt: Date.now(),
+      reviewNote: note,
+      updatedAt: Date.now()
+    };
+
+    await this.db.ref(`/loa/requests/${loaId}`).update(updates);
+
+    await this.firebaseService.sendNotification(request.userId, {
+      title: decision === 'approved' ? 'Leave of absence approved' : 'Leave of absence denied',
+      description: `Your leave of absence from ${formatDate(request.startDate)} to ${formatDate(request.endDate)} was ${decision}.${note ? ` Note: ${note}` : ''}`,
+      type: 'loa',
+      fromUserUuid: reviewerId,
+      loaId
+    });
+
+    return { ...request, ...updates };
+  }
+
+  // Users can withdraw a pending request, or end an approved leave early
+  async cancelRequest(loaId, userId) {
+    const request = await this.getRequest(loaId);
+    if (!request) {
+      throw new AppError("Leave of absence not found", 404);
+    }
+
+    if (request.userId !== userId) {
+      throw new AppError("You can only cancel your own leave of absence", 403);
+    }
+
+    if (!OPEN_STATUSES.includes(request.status)) {
+      throw new AppError(`Leave of absence is already ${request.status}`, 400);
+    }
+
+    const now = Date.now();
+    let updates;
+
+    if (request.status === 'approved' && request.startDate <= now) {
+      // Keep the part already taken so past quota periods stay exempt
+      updates = { status: 'expired', endDate: now, updatedAt: now };
+    } else {
+      updates = { status: 'cancelled', cancelledAt: now, updatedAt: now };
+    }
+
+    await this.db.ref(`/loa/requests/${loaId}`).update(updates);
+    return { ...request, ...updates };
+  }
+
+  async expireEndedLeaves(now = Date.now()) {
+    const ended = (await this.getApprovedRequests()).filter(request => request.endDate <= now);
+    if (ended.length === 0) {
+      return 0;
+    }
+
+    const updates = {};
+    ended.forEach(request => {
+      updates[`loa/requests/${request.id}/status`] = 'expired';
+      updates[`loa/requests/${request.id}/updatedAt`] = now;
+    });
+    await this.db.ref().update(updates);
+
+    for (const request of ended) {
+      await this.firebaseService.sendNotification(request.userId, {
+        title: 'Leave of absence ended',
+        description: 'Your leave of absence has ended and your quotas apply again. Welcome back!',
+        type: 'loa',
+        loaId: request.id
+      });
+    }
+
+    return ended.length;
+  }
+}
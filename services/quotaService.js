@@ -0,0 +1,342 @@
+import storage from "./storage/index.js";
+import { config } from "../config/index.js";
+import { QUOTA_METRICS, QUOTA_PERIODS } from "../utils/constants.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Biweekly periods are counted from a fixed Sunday so every user shares the same windows
+const BIWEEKLY_EPOCH = new Date(2024, 0, 7).getTime();
+
+// Used for departments that have not configured their own quotas
+export const DEFAULT_QUOTA_DEFINITIONS = [
+  { id: 'sessions_attended', title: 'Sessions Attended', metric: QUOTA_METRICS.SESSIONS_ATTENDED, target: 5, period: 'weekly' },
+  { id: 'shifts_completed', title: 'Shifts Completed', metric: QUOTA_METRICS.SHIFTS_COMPLETED, target: 6, period: 'weekly' },
+  { id: 'tasks_completed', title: 'Tasks Completed', metric: QUOTA_METRICS.TASKS_COMPLETED, target: 4, period: 'weekly' },
+  { id: 'sessions_hosted', title: 'Sessions Hosted', metric: QUOTA_METRICS.SESSIONS_HOSTED, target: 2, period: 'weekly' }
+];
+
+// Session times are stored in ms, assignment times in unix seconds
+const toMillis = (timestamp) => (timestamp && timestamp < 1e12 ? timestamp * 1000 : timestamp);
+
+const startOfWeek = (date) => {
+  const weekStart = new Date(date);
+  weekStart.setDate(date.getDate() - date.getDay());
+  weekStart.setHours(0, 0, 0, 0);
+  return weekStart;
+};
+
+export const getPeriodRange = (period, now = Date.now()) => {
+  const date = new Date(now);
+
+  if (period === 'monthly') {
+    const start = new Date(date.getFullYear(), date.getMonth(), 1);
+    const end = new Date(date.getFullYear(), date.getMonth() + 1, 1);
+    return { start: start.getTime(), end: end.getTime() };
+  }
+
+  const weekStart = startOfWeek(date);
+
+  if (period === 'biweekly') {
+    const weeksSinceEpoch = Math.floor(Math.round((weekStart.getTime() - BIWEEKLY_EPOCH) / DAY_MS) / 7);
+    const start = new Date(weekStart);
+    start.setDate(weekStart.getDate() - (((weeksSinceEpoch % 2) + 2) % 2) * 7);
+    const end = new Date(start);
+    end.setDate(start.getDate() + 14);
+    return { start: start.getTime(), end: end.getTime() };
+  }
+
+  const end = new Date(weekStart);
+  end.setDate(weekStart.getDate() + 7);
+  return { start: weekStart.getTime(), end: end.getTime() };
+};
+
+// Range of the most recent period of this type that has fully ended
+export const getPreviousPeriodRange = (period, now = Date.now()) =>
+  getPeriodRange(period, getPeriodRange(period, now).start - 1);
+
+const formatLocalDate = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// e.g. "weekly_2026-10-11"; sorts chronologically within a period type
+export const getPeriodKey = (period, start) => `${period}_${formatLocalDate(start)}`;
+
+export const getUserQuotaDepartment = (userData) =>
+  userData?.onboarding?.primaryDepartment || userData?.permissions?.department || null;
+
+export class QuotaService {
+  // leaveSource provides getLeavesOverlapping(range) for exempting users on
+  // leave when a period is closed (see LoaService); without one nobody is exempt.
+  constructor(db = storage, leaveSource = null) {
+    this.db = db;
+    this.leaveSource = leaveSource;
+  }
+
+  async getDefinitions(department) {
+    const snapshot = await this.db.ref(`/quotas/definitions/${department}`).once('value');
+    return Object.values(snapshot.val() || {});
+  }
+
+  async getDefinition(department, quotaId) {
+    const snapshot = await this.db.ref(`/quotas/definitions/${department}/${quotaId}`).once('value');
+    return snapshot.val();
+  }
+
+  async createDefinition(department, definition, createdBy) {
+    const ref = this.db.ref(`/quotas/definitions/${department}`).push();
+    const data = {
+      ...definition,
+      id: ref.key,
+      department,
+      createdBy,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    await ref.set(data);
+    return data;
+  }
+
+  async updateDefinition(department, quotaId, changes, updatedBy) {
+    await this.db.ref(`/quotas/definitions/${department}/${quotaId}`).update({
+      ...changes,
+      updatedBy,
+      updatedAt: Date.now()
+    });
+    return this.getDefinition(department, quotaId);
+  }
+
+  async deleteDefinition(department, quotaId) {
+    await this.db.ref(`/quotas/definitions/${department}/${quotaId}`).remove();
+  }
+
+  // Definitions for a department that apply to a permission level, falling
+  // back to the platform defaults when the department has none configured
+  async getApplicableDefinitions(department, level) {
+    const definitions = department ? await this.getDefinitions(department) : [];
+
+    if (definitions.length === 0) {
+      return DEFAULT_QUOTA_DEFINITIONS;
+    }
+
+    return definitions.filter(definition =>
+      definition.active !== false &&
+      level >= (definition.levels?.min ?? 0) &&
+      level <= (definition.levels?.max ?? 10)
+    );
+  }
+
+  // Loads the activity every metric is computed from, so callers evaluating
+  // many users only read the sessions tree once
+  async loadActivity() {
+    const snapshot = await this.db.ref('sessions/sessions').once('value');
+    return { sessions: Object.values(snapshot.val() || {}) };
+  }
+
+  async getUserAssignments(userId) {
+    const snapshot = await this.db.ref('assignments/tasks')
+      .orderByChild('assignedTo')
+      .equalTo(userId)
+      .once('value');
+    return Object.values(snapshot.val() || {});
+  }
+
+  computeMetric(metric, userId, { start, end }, { sessions, assignments }) {
+    const inRange = (timestamp) => {
+      const time = toMillis(timestamp);
+      return time >= start && time < end;
+    };
+
+    switch (metric) {
+      case QUOTA_METRICS.SESSIONS_ATTENDED:
+        return sessions.filter(session => session.attendance?.[userId] && inRange(session.schedule?.startTime)).length;
+      case QUOTA_METRICS.SHIFTS_COMPLETED:
+        return sessions.filter(session =>
+          session.host?.primary === userId && session.status === 'completed' && inRange(session.schedule?.startTime)
+        ).length;
+      case QUOTA_METRICS.SESSIONS_HOSTED:
+        return sessions.filter(session => session.host?.primary === userId && inRange(session.schedule?.startTime)).length;
+      case QUOTA_METRICS.TASKS_COMPLETED:
+        return assignments.filter(assignment =>
+          assignment.status === 'completed' && inRange(assignment.completedAt || assignment.updatedAt)
+        ).length;
+      default:
+        return 0;
+    }
+  }
+
+  async evaluateUser(userId, userData, { now = Date.now(), activity = null, period = null } = {}) {
+    const department = getUserQuotaDepartment(userData);
+    const level = userData?.permissions?.level || 0;
+    const definitions = (await this.getApplicableDefinitions(department, level))
+      .filter(definition => !period || definition.period === period);
+
+    if (definitions.length === 0) {
+      return [];
+    }
+
+    const { sessions } = activity || await this.loadActivity();
+    const assignments = await this.getUserAssignments(userId);
+
+    return definitions.map(definition => {
+      const range = getPeriodRange(definition.period, now);
+      const current = this.computeMetric(definition.metric, userId, range, { sessions, assignments });
+
+      return {
+        id: definition.id,
+        title: definition.title,
+        current,
+        required: definition.target,
+        completed: current >= definition.target,
+        type: definition.metric,
+        period: definition.period,
+        periodStart: range.start,
+        periodEnd: range.end
+      };
+    });
+  }
+
+  // Stores a pass/fail snapshot for every user with quotas of this period
+  // type. Snapshots are written per user and per department so both history
+  // views are single reads. Returns false if the period was already closed.
+  async closePeriod(period, range) {
+    const periodKey = getPeriodKey(period, range.start);
+    const closedRef = this.db.ref(`/quotas/closedPeriods/${periodKey}`);
+
+    if ((await closedRef.once('value')).exists()) {
+      return false;
+    }
+
+    const usersSnapshot = await this.db.ref('users').once('value');
+    const users = usersSnapshot.val() || {};
+    const activity = await this.loadActivity();
+    const leaves = this.leaveSource ? await this.leaveSource.getLeavesOverlapping(range) : [];
+    const closedAt = Date.now();
+    const updates = {};
+    let userCount = 0;
+
+    for (const [userId, userData] of Object.entries(users)) {
+      const quotas = await this.evaluateUser(userId, userData, { now: range.start, activity, period });
+      if (quotas.length === 0) continue;
+
+      const leave = leaves.find(item => item.userId === userId);
+      const department = getUserQuotaDepartment(userData) || 'none';
+      const snapshot = {
+        userId,
+        department,
+        level: userData.permissions?.level || 0,
+        period,
+        periodKey,
+        periodStart: range.start,
+        periodEnd: range.end,
+        quotas: quotas.map(({ id, title, type, current, required, completed }) => ({
+          id, title, type, current, required, completed
+        })),
+        passed: quotas.every(quota => quota.completed),
+        exempt: !!leave,
+        loaId: leave?.id || null,
+        closedAt
+      };
+
+      updates[`quotas/history/users/${userId}/${periodKey}`] = snapshot;
+      updates[`quotas/history/departments/${department}/${periodKey}/${userId}`] = snapshot;
+      userCount++;
+    }
+
+    updates[`quotas/closedPeriods/${periodKey}`] = { period, periodStart: range.start, periodEnd: range.end, userCount, closedAt };
+    await this.db.ref().update(updates);
+
+    return true;
+  }
+
+  // Ended periods of this type not closed yet, oldest first. Walks back from
+  // the latest ended period until it reaches one that is already closed, at
+  // most maxCatchUpPeriods back (the job's first run has nothing closed).
+  async getUnclosedPeriodRanges(period, now = Date.now()) {
+    const ranges = [];
+    let range = getPreviousPeriodRange(period, now);
+
+    while (ranges.length < config.quotas.maxCatchUpPeriods) {
+      const closedSnapshot = await this.db.ref(`/quotas/closedPeriods/${getPeriodKey(period, range.start)}`).once('value');
+      if (closedSnapshot.exists()) break;
+
+      ranges.unshift(range);
+      range = getPeriodRange(period, range.start - 1);
+    }
+
+    return ranges;
+  }
+
+  // Closes every ended period, so periods missed while the job wasn't running
+  // (downtime, deploys spanning a period boundary) are still recorded.
+  async closeEndedPeriods(now = Date.now()) {
+    let closed = 0;
+    for (const period of QUOTA_PERIODS) {
+      for (const range of await this.getUnclosedPeriodRanges(period, now)) {
+        if (await this.closePeriod(period, range)) {
+          closed++;
+        }
+      }
+    }
+    return closed;
+  }
+
+  async getUserHistory(userId, { period = null, limit = 20 } = {}) {
+    const snapshot = await this.db.ref(`/quotas/history/users/${userId}`).once('value');
+    return Object.values(snapshot.val() || {})
+      .filter(entry => !period || entry.period === period)
+      .sort((a, b) => b.periodStart - a.periodStart)
+      .slice(0, limit);
+  }
+
+  // Per-user pass/fail totals for a department across closed periods in [from, to]
+  async getDepartmentReport(department, { period = 'weekly', from, to }) {
+    const snapshot = await this.db.ref(`/quotas/history/departments/${department}`)
+      .orderByKey()
+      .startAt(`${period}_`)
+      .endAt(`${period}_\uf8ff`)
+      .once('value');
+
+    const periods = Object.values(snapshot.val() || {})
+      .map(entries => Object.values(entries))
+      .filter(entries => entries.length > 0 && entries[0].periodStart >= from && entries[0].periodStart <= to)
+      .sort((a, b) => a[0].periodStart - b[0].periodStart);
+
+    const users = {};
+    periods.flat().forEach(entry => {
+      const summary = users[entry.userId] || (users[entry.userId] = {
+        userId: entry.userId,
+        periods: 0,
+        passed: 0,
+        failed: 0,
+        exempt: 0
+      });
+      summary.periods++;
+      if (entry.exempt) {
+        summary.exempt++;
+      } else if (entry.passed) {
+        summary.passed++;
+      } else {
+        summary.failed++;
+      }
+    });
+
+    return {
+      department,
+      period,
+      periods: periods.map(entries => ({
+        periodKey: entries[0].periodKey,
+        periodStart: entries[0].periodStart,
+        periodEnd: entries[0].periodEnd,
+        entries
+      })),
+      users: Object.values(users).map(summary => ({
+        ...summary,
+        passRate: summary.periods - summary.exempt > 0
+          ? Math.round((summary.passed / (summary.periods - summary.exempt)) * 100)
+          : null
+      }))
+    };
+  }
+}
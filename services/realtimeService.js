@@ -0,0 +1,213 @@
+import storage from "./storage/index.js";
+import { resolveCredentials } from "../middleware/auth.js";
+
+/**
+ * Topic names clients can subscribe to over the WebSocket connection.
+ */
+export const TOPICS = {
+  notifications: (userId) => `notifications:${userId}`,
+  session: (sessionId) => `sessions:${sessionId}`,
+  department: (departmentId) => `department:${departmentId}`,
+  communityAnnouncements: () => "community:announcements"
+};
+
+const send = (ws, payload) => {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify(payload));
+  }
+};
+
+/**
+ * Tracks WebSocket clients, authenticates them and fans out published events
+ * to the sockets subscribed to each topic.
+ *
+ * Client messages:
+ *   { type: "AUTHENTICATE", token | apiKey }
+ *   { type: "SUBSCRIBE", topic } / { type: "UNSUBSCRIBE", topic }
+ *   { type: "REGISTER_SESSION", sessionId }  (OAuth popup flow, no auth needed)
+ *
+ * Server messages: AUTHENTICATED, SUBSCRIBED, UNSUBSCRIBED, ERROR and
+ * { type: "EVENT", topic, event, data, timestamp }.
+ */
+export class RealtimeService {
+  constructor(db = storage) {
+    this.db = db;
+    this.oauthSessions = new Map();
+    this.clients = new Map();
+    this.subscribers = new Map();
+  }
+
+  attach(wss) {
+    wss.on("connection", (ws) => {
+      this.clients.set(ws, { userData: null, topics: new Set() });
+
+      ws.on("message", (msg) => {
+        this.handleMessage(ws, msg).catch(error => {
+          console.error("WebSocket message handling failed:", error);
+          send(ws, { type: "ERROR", error: "Internal error" });
+        });
+      });
+
+      ws.on("close", () => this.disconnect(ws));
+    });
+  }
+
+  async handleMessage(ws, msg) {
+    let data;
+    try {
+      data = JSON.parse(msg);
+    } catch (e) {
+      console.error("Invalid WebSocket message", e);
+      return send(ws, { type: "ERROR", error: "Invalid message format" });
+    }
+
+    switch (data.type) {
+      case "REGISTER_SESSION":
+        if (data.sessionId) {
+          this.oauthSessions.set(data.sessionId, ws);
+          console.log("Registered session:", data.sessionId);
+        }
+        return;
+      case "AUTHENTICATE":
+        return this.authenticate(ws, data);
+      case "SUBSCRIBE":
+        return this.subscribe(ws, data.topic);
+      case "UNSUBSCRIBE":
+        return this.unsubscribe(ws, data.topic);
+      default:
+        return send(ws, { type: "ERROR", error: `Unknown message type: ${data.type}` });
+    }
+  }
+
+  async authenticate(ws, { token, apiKey }) {
+    const client = this.clients.get(ws);
+    if (!client) return;
+
+    try {
+      const { userData } = await resolveCredentials({ token, apiKey });
+      client.userData = userData;
+      send(ws, { type: "AUTHENTICATED", uid: userData.uid });
+    } catch (error) {
+      send(ws, { type: "ERROR", error: error.message || "Authentication failed" });
+    }
+  }
+
+  async subscribe(ws, topic) {
+    const client = this.clients.get(ws);
+    if (!client) return;
+
+    if (!client.userData) {
+      return send(ws, { type: "ERROR", topic, error: "Authenticate before subscribing" });
+    }
+
+    if (typeof topic !== "string" || !(await this.canSubscribe(client.userData, topic))) {
+      return send(ws, { type: "ERROR", topic, error: "Subscription denied" });
+    }
+
+    // The socket may have closed while the session was being looked up
+    if (!this.clients.has(ws)) return;
+
+    client.topics.add(topic);
+    if (!this.subscribers.has(topic)) {
+      this.subscribers.set(topic, new Set());
+    }
+    this.subscribers.get(topic).add(ws);
+
+    send(ws, { type: "SUBSCRIBED", topic });
+  }
+
+  unsubscribe(ws, topic) {
+    const client = this.clients.get(ws);
+    if (!client) return;
+
+    client.topics.delete(topic);
+    this.removeSubscriber(topic, ws);
+
+    send(ws, { type: "UNSUBSCRIBED", topic });
+  }
+
+  async canSubscribe(userData, topic) {
+    const userLevel = userData.permissions?.level || 0;
+
+    // System API keys may listen to everything
+    if (userData.isApiKey && userLevel >= 10) {
+      return true;
+    }
+
+    const separator = topic.indexOf(":");
+    const channel = topic.slice(0, separator);
+    const id = topic.slice(separator + 1);
+
+    if (separator <= 0 || !id) {
+      return false;
+    }
+
+    switch (channel) {
+      case "notifications":
+        return id === userData.uid;
+      case "sessions":
+        return userLevel >= 5 || this.isSessionParticipant(userData.uid, id);
+      case "department":
+        return userLevel >= 8 || userData.permissions?.department === id;
+      case "community":
+        return id === "announcements";
+      default:
+        return false;
+    }
+  }
+
+  // Hosts and registered attendees of a session may follow its events
+  async isSessionParticipant(userId, sessionId) {
+    if (/[.#$[\]/]/.test(sessionId)) return false;
+
+    const snapshot = await this.db.ref(`/sessions/sessions/${sessionId}`).once('value');
+    const session = snapshot.val();
+    if (!session) return false;
+
+    return session.host?.primary === userId ||
+      session.host?.backup === userId ||
+      Object.values(session.attendees || {}).some(attendee => attendee?.userId === userId);
+  }
+
+  publish(topic, event, data = null) {
+    const sockets = this.subscribers.get(topic);
+    if (!sockets || sockets.size === 0) {
+      return 0;
+    }
+
+    const payload = {
+      type: "EVENT",
+      topic,
+      event,
+      data,
+      timestamp: new Date().toISOString()
+    };
+
+    sockets.forEach(ws => send(ws, payload));
+    return sockets.size;
+  }
+
+  removeSubscriber(topic, ws) {
+    const sockets = this.subscribers.get(topic);
+    if (!sockets) return;
+
+    sockets.delete(ws);
+    if (sockets.size === 0) {
+      this.subscribers.delete(topic);
+    }
+  }
+
+  disconnect(ws) {
+    const client = this.clients.get(ws);
+    if (client) {
+      client.topics.forEach(topic => this.removeSubscriber(topic, ws));
+      this.clients.delete(ws);
+    }
+
+    for (const [id, socket] of this.oauthSessions.entries()) {
+      if (socket === ws) this.oauthSessions.delete(id);
+    }
+  }
+}
+
+export const realtimeService = new RealtimeService();
@@ -0,0 +1,62 @@
+/**
+ * Minimal in-process job runner for periodic maintenance tasks. Each job runs
+ * once at startup and then on its interval; a run is skipped while the
+ * previous one is still in progress.
+ */
+const jobs = new Map();
+
+export const registerJob = (name, intervalMs, task) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job already registered: ${name}`);
+  }
+  jobs.set(name, { name, intervalMs, task, timer: null, running: false, lastRunAt: null, lastError: null });
+};
+
+export const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  if (job.running) {
+    return null;
+  }
+
+  job.running = true;
+  try {
+    const result = await job.task();
+    job.lastError = null;
+    return result;
+  } catch (error) {
+    job.lastError = error.message;
+    console.error(`Scheduled job ${name} failed:`, error);
+    return null;
+  } finally {
+    job.running = false;
+    job.lastRunAt = Date.now();
+  }
+};
+
+export const startScheduler = () => {
+  jobs.forEach(job => {
+    if (job.timer) return;
+    runJob(job.name);
+    job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+    job.timer.unref();
+  });
+};
+
+export const stopScheduler = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+export const getJobStatus = () => Array.from(jobs.values()).map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+  name,
+  intervalMs,
+  running,
+  lastRunAt,
+  lastError
+}));
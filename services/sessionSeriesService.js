@@ -0,0 +1,370 @@
+import storage from "./storage/index.js";
+import { FirebaseService } from "./firebaseService.js";
+import { AppError } from "../middleware/errorHandler.js";
+import { config } from "../config/index.js";
+import { expandRecurrence, localDateKey } from "../utils/recurrence.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Session fields that are copied from the series template onto each occurrence
+export const SERIES_TEMPLATE_FIELDS = ["type", "title", "description", "department", "host", "capacity", "requirements", "rewards"];
+export const EDITABLE_OCCURRENCE_FIELDS = ["title", "description", "capacity", "requirements", "rewards"];
+
+const pick = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+/**
+ * Recurring session series. A series stores a session template and a
+ * recurrence rule; occurrences are materialized into /sessions/sessions
+ * a fixed horizon ahead, keyed by their local date (YYYY-MM-DD).
+ */
+export class SessionSeriesService {
+  constructor(db = storage) {
+    this.db = db;
+    this.firebaseService = new FirebaseService(db);
+  }
+
+  get horizonMs() {
+    return config.sessions.seriesHorizonDays * DAY_MS;
+  }
+
+  async getSeries(seriesId) {
+    const snapshot = await this.db.ref(`/sessions/series/${seriesId}`).once('value');
+    return snapshot.val();
+  }
+
+  async createSeries(seriesData, createdBy) {
+    const seriesRef = this.db.ref('/sessions/series').push();
+
+    const series = {
+      id: seriesRef.key,
+      template: pick(seriesData, SERIES_TEMPLATE_FIELDS),
+      recurrence: seriesData.recurrence,
+      anchor: {
+        startTime: seriesData.schedule.startTime,
+        endTime: seriesData.schedule.endTime
+      },
+      parentSeriesId: seriesData.parentSeriesId || null,
+      status: 'active',
+      materializedUntil: 0,
+      createdBy,
+      createdAt: Date.now()
+    };
+
+    await seriesRef.set(series);
+    await this.materialize(series);
+
+    return seriesRef.key;
+  }
+
+  // Every occurrence the rule produces, ignoring the materialization horizon
+  getOccurrences(series, range = {}) {
+    const duration = series.anchor.endTime - series.anchor.startTime;
+    return expandRecurrence(series.recurrence, series.anchor.startTime, duration, range);
+  }
+
+  async findOccurrence(series, occurrenceKey) {
+    const occurrence = this.getOccurrences(series).find(item => item.key === occurrenceKey);
+
+    if (!occurrence) {
+      throw new AppError("Occurrence not found in series", 404);
+    }
+
+    return occurrence;
+  }
+
+  buildOccurrenceSession(series, occurrence) {
+    return {
+      ...series.template,
+      schedule: {
+        startTime: occurrence.startTime,
+        endTime: occurrence.endTime,
+        date: occurrence.key,
+        timezone: series.recurrence.timezone
+      },
+      seriesId: series.id,
+      occurrenceKey: occurrence.key
+    };
+  }
+
+  async materializeOccurrence(series, occurrence) {
+    const existing = series.occurrences?.[occurrence.key];
+    if (existing) {
+      return existing;
+    }
+
+    const sessionId = await this.firebaseService.createSession(
+      this.buildOccurrenceSession(series, occurrence),
+      series.createdBy
+    );
+
+    await this.db.ref(`/sessions/series/${series.id}/occurrences/${occurrence.key}`).set(sessionId);
+    series.occurrences = { ...series.occurrences, [occurrence.key]: sessionId };
+
+    return sessionId;
+  }
+
+  // Creates sessions for every upcoming occurrence inside the horizon that
+  // hasn't been materialized or cancelled yet.
+  async materialize(series, now = Date.now()) {
+    if (series.status !== 'active') {
+      return [];
+    }
+
+    const horizon = now + this.horizonMs;
+    const pending = this.getOccurrences(series, { to: horizon })
+      .filter(occurrence => occurrence.endTime > now)
+      .filter(occurrence => !series.occurrences?.[occurrence.key])
+      .filter(occurrence => series.exceptions?.[occurrence.key]?.status !== 'cancelled');
+
+    const created = [];
+    for (const occurrence of pending) {
+      created.push(await this.materializeOccurrence(series, occurrence));
+    }
+
+    // Series whose rule has no occurrences left stop being picked up by the job
+    const hasUpcoming = this.getOccurrences(series, { from: now }).length > 0;
+    await this.db.ref(`/sessions/series/${series.id}`).update({
+      materializedUntil: horizon,
+      status: hasUpcoming ? 'active' : 'ended'
+    });
+
+    return created;
+  }
+
+  async materializeAll(now = Date.now()) {
+    const snapshot = await this.db.ref('/sessions/series')
+      .orderByChild('status')
+      .equalTo('active')
+      .once('value');
+
+    let created = 0;
+    for (const series of Object.values(snapshot.val() || {})) {
+      try {
+        created += (await this.materialize(series, now)).length;
+      } catch (error) {
+        console.error(`Error materializing session series ${series.id}:`, error);
+      }
+    }
+
+    return created;
+  }
+
+  async updateOccurrence(seriesId, occurrenceKey, changes, scope, updatedBy) {
+    const series = await this.getSeries(seriesId);
+    if (!series) {
+      throw new AppError("Series not found", 404);
+    }
+
+    const occurrence = await this.findOccurrence(series, occurrenceKey);
+    if (series.exceptions?.[occurrenceKey]?.status === 'cancelled') {
+      throw new AppError("Cannot edit a cancelled occurrence", 400);
+    }
+
+    if (scope === 'following') {
+      return this.splitSeries(series, occurrence, changes, updatedBy);
+    }
+
+    const sessionId = await this.materializeOccurrence(series, occurrence);
+    if (changes.capacity !== undefined) {
+      const capacitySnapshot = await this.db.ref(`/sessions/sessions/${sessionId}/capacity`).once('value');
+      this.assertCapacity(capacitySnapshot.val(), changes.capacity);
+    }
+    const updates = this.buildSessionUpdates(changes);
+
+    if (changes.startTime !== undefined || changes.endTime !== undefined) {
+      const startTime = changes.startTime ?? occurrence.startTime;
+      const endTime = changes.endTime ?? startTime + (occurrence.endTime - occurrence.startTime);
+      if (endTime <= startTime) {
+        throw new AppError("endTime must be after startTime", 400);
+      }
+      updates["schedule/startTime"] = startTime;
+      updates["schedule/endTime"] = endTime;
+    }
+
+    updates.updatedAt = Date.now();
+    await this.db.ref(`/sessions/sessions/${sessionId}`).update(updates);
+    await this.db.ref(`/sessions/series/${seriesId}/exceptions/${occurrenceKey}`).set({
+      status: 'modified',
+      updatedBy,
+      updatedAt: Date.now()
+    });
+
+    return { seriesId, sessionIds: [sessionId] };
+  }
+
+  // A bound changed on its own must still fit the one it is paired with
+  assertCapacity(current, capacity) {
+    const min = capacity.min ?? current?.min;
+    const max = capacity.max ?? current?.max;
+    if (min !== undefined && max !== undefined && min > max) {
+      throw new AppError("capacity.min cannot be greater than capacity.max", 400);
+    }
+  }
+
+  buildSessionUpdates(changes) {
+    const updates = {};
+    ["title", "description", "requirements", "rewards"].forEach(field => {
+      if (changes[field] !== undefined) {
+        updates[field] = changes[field];
+      }
+    });
+    if (changes.capacity?.min !== undefined) {
+      updates["capacity/min"] = changes.capacity.min;
+    }
+    if (changes.capacity?.max !== undefined) {
+      updates["capacity/max"] = changes.capacity.max;
+    }
+    return updates;
+  }
+
+  // Rule fields that end the original series just before an occurrence
+  truncatedRecurrence(series, occurrence) {
+    const recurrence = { ...series.recurrence, until: occurrence.startTime - 1 };
+    if (recurrence.count !== undefined) {
+      recurrence.count = occurrence.index;
+    }
+    return recurrence;
+  }
+
+  // "This and following": ends the current series before the occurrence and
+  // starts a new series from it with the changes applied. Already
+  // materialized sessions are moved across so registrations are kept.
+  async splitSeries(series, occurrence, changes, updatedBy) {
+    const timeZone = series.recurrence.timezone;
+    const startTime = changes.startTime ?? occurrence.startTime;
+    const endTime = changes.endTime ?? startTime + (occurrence.endTime - occurrence.startTime);
+
+    if (endTime <= startTime) {
+      throw new AppError("endTime must be after startTime", 400);
+    }
+
+    if (localDateKey(startTime, timeZone) !== occurrence.key) {
+      throw new AppError("Moving occurrences to another day is only supported for a single occurrence", 400);
+    }
+
+    if (changes.capacity !== undefined) {
+      this.assertCapacity(series.template.capacity, changes.capacity);
+    }
+
+    const recurrence = { ...series.recurrence };
+    if (recurrence.count !== undefined) {
+      recurrence.count = recurrence.count - occurrence.index;
+    }
+
+    const newSeriesRef = this.db.ref('/sessions/series').push();
+    const newSeries = {
+      id: newSeriesRef.key,
+      template: { ...series.template, ...pick(changes, EDITABLE_OCCURRENCE_FIELDS) },
+      recurrence,
+      anchor: { startTime, endTime },
+      parentSeriesId: series.id,
+      status: 'active',
+      materializedUntil: 0,
+      occurrences: {},
+      exceptions: {},
+      createdBy: series.createdBy,
+      createdAt: Date.now()
+    };
+
+    const newOccurrences = new Map(this.getOccurrences(newSeries).map(item => [item.key, item]));
+    const updates = {};
+    const movedSessionIds = [];
+    const sessionUpdates = this.buildSessionUpdates(changes);
+
+    Object.entries(series.occurrences || {}).forEach(([key, sessionId]) => {
+      if (key < occurrence.key) return;
+
+      updates[`sessions/series/${series.id}/occurrences/${key}`] = null;
+      const target = newOccurrences.get(key);
+
+      if (!target) {
+        updates[`sessions/sessions/${sessionId}/status`] = 'cancelled';
+        updates[`sessions/sessions/${sessionId}/cancelledAt`] = Date.now();
+        return;
+      }
+
+      newSeries.occurrences[key] = sessionId;
+      movedSessionIds.push(sessionId);
+      Object.entries(sessionUpdates).forEach(([field, value]) => {
+        updates[`sessions/sessions/${sessionId}/${field}`] = value;
+      });
+      updates[`sessions/sessions/${sessionId}/seriesId`] = newSeries.id;
+      updates[`sessions/sessions/${sessionId}/schedule/startTime`] = target.startTime;
+      updates[`sessions/sessions/${sessionId}/schedule/endTime`] = target.endTime;
+      updates[`sessions/sessions/${sessionId}/updatedAt`] = Date.now();
+    });
+
+    Object.entries(series.exceptions || {}).forEach(([key, exception]) => {
+      if (key < occurrence.key) return;
+      updates[`sessions/series/${series.id}/exceptions/${key}`] = null;
+      if (exception.status === 'cancelled') {
+        newSeries.exceptions[key] = exception;
+      }
+    });
+
+    updates[`sessions/series/${series.id}/recurrence`] = this.truncatedRecurrence(series, occurrence);
+    updates[`sessions/series/${series.id}/splitInto`] = newSeries.id;
+    updates[`sessions/series/${series.id}/updatedAt`] = Date.now();
+    updates[`sessions/series/${newSeries.id}`] = { ...newSeries, updatedBy };
+
+    await this.db.ref().update(updates);
+
+    const created = await this.materialize(newSeries);
+
+    return { seriesId: newSeries.id, sessionIds: [...movedSessionIds, ...created] };
+  }
+
+  async cancelOccurrence(seriesId, occurrenceKey, scope, cancelledBy) {
+    const series = await this.getSeries(seriesId);
+    if (!series) {
+      throw new AppError("Series not found", 404);
+    }
+
+    const occurrence = await this.findOccurrence(series, occurrenceKey);
+    const updates = {};
+    const cancelledSessionIds = [];
+    const now = Date.now();
+
+    const cancelSession = (key) => {
+      const sessionId = series.occurrences?.[key];
+      if (!sessionId) return;
+      updates[`sessions/sessions/${sessionId}/status`] = 'cancelled';
+      updates[`sessions/sessions/${sessionId}/cancelledAt`] = now;
+      updates[`sessions/sessions/${sessionId}/cancelledBy`] = cancelledBy;
+      cancelledSessionIds.push(sessionId);
+    };
+
+    if (scope === 'following') {
+      Object.keys(series.occurrences || {})
+        .filter(key => key >= occurrence.key)
+        .forEach(cancelSession);
+      updates[`sessions/series/${seriesId}/recurrence`] = this.truncatedRecurrence(series, occurrence);
+      if (occurrence.index === 0) {
+        updates[`sessions/series/${seriesId}/status`] = 'cancelled';
+      }
+    } else {
+      cancelSession(occurrence.key);
+      updates[`sessions/series/${seriesId}/exceptions/${occurrence.key}`] = {
+        status: 'cancelled',
+        updatedBy: cancelledBy,
+        updatedAt: now
+      };
+    }
+
+    updates[`sessions/series/${seriesId}/updatedAt`] = now;
+    await this.db.ref().update(updates);
+
+    return { seriesId, sessionIds: cancelledSessionIds };
+  }
+
+  // Occurrences with their materialization state, for display
+  describeOccurrences(series, range = {}) {
+    return this.getOccurrences(series, range).map(occurrence => ({
+      ...occurrence,
+      sessionId: series.occurrences?.[occurrence.key] || null,
+      status: series.exceptions?.[occurrence.key]?.status || (series.occurrences?.[occurrence.key] ? 'scheduled' : 'pending')
+    }));
+  }
+}
@@ -0,0 +1,38 @@
+import { readFileSync } from "fs";
+import { config } from "../../config/index.js";
+import { RealtimeDatabase } from "./realtimeDatabase.js";
+import { MemoryDatabase } from "./memoryDatabase.js";
+
+/**
+ * Storage backends expose the Realtime Database reference API used across the
+ * platform: ref(), once("value"), set, update, push, remove, transaction and
+ * orderByChild/equalTo/startAt/endAt/limitTo* queries.
+ *
+ * The backend is chosen with STORAGE_DRIVER:
+ *   - "firebase" (default): the project's Realtime Database
+ *   - "memory": an in-process store, optionally seeded from STORAGE_SEED_FILE
+ */
+export const STORAGE_DRIVERS = {
+  FIREBASE: "firebase",
+  MEMORY: "memory"
+};
+
+const loadSeedData = (seedFile) => {
+  if (!seedFile) return null;
+  return JSON.parse(readFileSync(seedFile, "utf8"));
+};
+
+export const createStorage = (driver = config.storage.driver, options = {}) => {
+  switch (driver) {
+    case STORAGE_DRIVERS.FIREBASE:
+      return new RealtimeDatabase(options.database);
+    case STORAGE_DRIVERS.MEMORY:
+      return new MemoryDatabase(options.initialData ?? loadSeedData(config.storage.seedFile));
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+const storage = createStorage();
+
+export default storage;
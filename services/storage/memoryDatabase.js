@@ -0,0 +1,441 @@
+const PUSH_CHARS = "-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz";
+const INTEGER_KEY = /^-?(0|[1-9]\d{0,9})$/;
+const ARRAY_INDEX = /^(0|[1-9]\d*)$/;
+
+let lastPushTime = 0;
+const lastRandomChars = [];
+
+// Same layout as Realtime Database push IDs: 8 timestamp chars + 12 random chars,
+// incremented when generated within the same millisecond so keys stay ordered.
+export const generatePushId = () => {
+  let now = Date.now();
+  const duplicateTime = now === lastPushTime;
+  lastPushTime = now;
+
+  const timestampChars = new Array(8);
+  for (let i = 7; i >= 0; i--) {
+    timestampChars[i] = PUSH_CHARS.charAt(now % 64);
+    now = Math.floor(now / 64);
+  }
+
+  if (!duplicateTime) {
+    for (let i = 0; i < 12; i++) {
+      lastRandomChars[i] = Math.floor(Math.random() * 64);
+    }
+  } else {
+    let i = 11;
+    for (; i >= 0 && lastRandomChars[i] === 63; i--) {
+      lastRandomChars[i] = 0;
+    }
+    lastRandomChars[i]++;
+  }
+
+  return timestampChars.join("") + lastRandomChars.map(index => PUSH_CHARS.charAt(index)).join("");
+};
+
+// Keys that would reach Object.prototype through plain-object nodes. IDs from
+// requests are interpolated into paths, so these are refused outright.
+const RESERVED_KEYS = new Set(["__proto__", "constructor", "prototype"]);
+
+const assertValidKey = (key) => {
+  if (RESERVED_KEYS.has(key)) {
+    throw new Error(`Invalid key "${key}": reserved names cannot be used as database keys`);
+  }
+};
+
+const splitPath = (path = "") => {
+  const segments = String(path).split("/").filter(Boolean);
+  segments.forEach(assertValidKey);
+  return segments;
+};
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Stores values the way the Realtime Database does: arrays become index-keyed
+// objects, and null, undefined and empty objects are dropped.
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (typeof value === "object" && typeof value.toJSON === "function") {
+    return normalizeValue(value.toJSON());
+  }
+
+  if (typeof value === "number" && !Number.isFinite(value)) {
+    throw new Error(`Cannot store non-finite number: ${value}`);
+  }
+
+  if (typeof value !== "object") {
+    return value;
+  }
+
+  const entries = Array.isArray(value)
+    ? value.map((child, index) => [String(index), child])
+    : Object.entries(value);
+
+  const normalized = {};
+  for (const [key, child] of entries) {
+    assertValidKey(key);
+    const normalizedChild = normalizeValue(child);
+    if (normalizedChild !== null) {
+      normalized[key] = normalizedChild;
+    }
+  }
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+};
+
+// Copies a stored value out, turning index-keyed objects back into arrays
+// like DataSnapshot.val() does.
+const exportValue = (value) => {
+  if (!isObject(value)) {
+    return value;
+  }
+
+  const keys = Object.keys(value);
+  const isArrayLike = keys.length > 0 &&
+    keys.every(key => ARRAY_INDEX.test(key)) &&
+    Math.max(...keys.map(Number)) < keys.length * 2;
+
+  if (isArrayLike) {
+    const array = [];
+    keys.forEach(key => {
+      array[Number(key)] = exportValue(value[key]);
+    });
+    return array;
+  }
+
+  const exported = {};
+  keys.forEach(key => {
+    exported[key] = exportValue(value[key]);
+  });
+  return exported;
+};
+
+const getAtPath = (value, segments) => {
+  let current = value;
+  for (const segment of segments) {
+    if (!isObject(current) || !Object.hasOwn(current, segment)) {
+      return null;
+    }
+    current = current[segment];
+  }
+  return current;
+};
+
+const compareKeys = (a, b) => {
+  const aIsInteger = INTEGER_KEY.test(a);
+  const bIsInteger = INTEGER_KEY.test(b);
+
+  if (aIsInteger && bIsInteger) return Number(a) - Number(b);
+  if (aIsInteger) return -1;
+  if (bIsInteger) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const typeRank = (value) => {
+  if (value === null || value === undefined) return 0;
+  if (value === false) return 1;
+  if (value === true) return 2;
+  if (typeof value === "number") return 3;
+  if (typeof value === "string") return 4;
+  return 5;
+};
+
+// Realtime Database ordering: null < false < true < numbers < strings < objects
+const compareValues = (a, b) => {
+  const rankDifference = typeRank(a) - typeRank(b);
+  if (rankDifference !== 0) return rankDifference;
+  if (typeof a === "number") return a - b;
+  if (typeof a === "string") return a < b ? -1 : a > b ? 1 : 0;
+  return 0;
+};
+
+class MemorySnapshot {
+  constructor(ref, value, orderedKeys = null) {
+    this.ref = ref;
+    this.value = value === undefined ? null : value;
+    this.orderedKeys = orderedKeys;
+  }
+
+  get key() {
+    return this.ref.key;
+  }
+
+  val() {
+    return exportValue(this.value);
+  }
+
+  exists() {
+    return this.value !== null;
+  }
+
+  child(path) {
+    return new MemorySnapshot(this.ref.child(path), getAtPath(this.value, splitPath(path)));
+  }
+
+  hasChild(path) {
+    return getAtPath(this.value, splitPath(path)) !== null;
+  }
+
+  hasChildren() {
+    return this.numChildren() > 0;
+  }
+
+  numChildren() {
+    return isObject(this.value) ? Object.keys(this.value).length : 0;
+  }
+
+  forEach(action) {
+    if (!isObject(this.value)) {
+      return false;
+    }
+
+    const keys = this.orderedKeys || Object.keys(this.value).sort(compareKeys);
+    for (const key of keys) {
+      if (action(this.child(key)) === true) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  toJSON() {
+    return this.val();
+  }
+}
+
+class MemoryQuery {
+  constructor(database, segments, params = {}) {
+    this.database = database;
+    this.segments = segments;
+    this.params = params;
+  }
+
+  get ref() {
+    return new MemoryReference(this.database, this.segments);
+  }
+
+  withParams(params) {
+    return new MemoryQuery(this.database, this.segments, { ...this.params, ...params });
+  }
+
+  withOrder(method, orderBy) {
+    if (this.params.orderBy) {
+      throw new Error(`Query.${method}: You can't combine multiple orderBy calls.`);
+    }
+    return this.withParams({ orderBy });
+  }
+
+  orderByChild(path) {
+    return this.withOrder("orderByChild", { type: "child", segments: splitPath(path) });
+  }
+
+  orderByKey() {
+    return this.withOrder("orderByKey", { type: "key" });
+  }
+
+  orderByValue() {
+    return this.withOrder("orderByValue", { type: "value" });
+  }
+
+  equalTo(value) {
+    return this.withParams({ equalTo: value ?? null });
+  }
+
+  startAt(value) {
+    return this.withParams({ startAt: value ?? null });
+  }
+
+  endAt(value) {
+    return this.withParams({ endAt: value ?? null });
+  }
+
+  limitToFirst(count) {
+    return this.withParams({ limit: { count, fromEnd: false } });
+  }
+
+  limitToLast(count) {
+    return this.withParams({ limit: { count, fromEnd: true } });
+  }
+
+  async once(eventType = "value") {
+    if (eventType !== "value") {
+      throw new Error(`Unsupported event type for in-memory storage: ${eventType}`);
+    }
+    return this.database.query(this.ref, this.params);
+  }
+
+  get() {
+    return this.once("value");
+  }
+}
+
+class MemoryReference extends MemoryQuery {
+  constructor(database, segments) {
+    super(database, segments);
+  }
+
+  get key() {
+    return this.segments.length > 0 ? this.segments[this.segments.length - 1] : null;
+  }
+
+  get parent() {
+    return this.segments.length > 0
+      ? new MemoryReference(this.database, this.segments.slice(0, -1))
+      : null;
+  }
+
+  get root() {
+    return new MemoryReference(this.database, []);
+  }
+
+  child(path) {
+    return new MemoryReference(this.database, [...this.segments, ...splitPath(path)]);
+  }
+
+  async set(value) {
+    this.database.write(this.segments, value);
+  }
+
+  async update(values) {
+    if (!isObject(values)) {
+      throw new Error("Reference.update failed: values must be an object");
+    }
+    Object.entries(values).forEach(([path, value]) => {
+      this.database.write([...this.segments, ...splitPath(path)], value);
+    });
+  }
+
+  async remove() {
+    this.database.write(this.segments, null);
+  }
+
+  push(value) {
+    const key = generatePushId();
+    const ref = this.child(key);
+    const written = value === undefined ? Promise.resolve(ref) : ref.set(value).then(() => ref);
+
+    const thenableRef = this.child(key);
+    thenableRef.then = written.then.bind(written);
+    thenableRef.catch = written.catch.bind(written);
+    return thenableRef;
+  }
+
+  async transaction(updateFunction) {
+    const current = exportValue(this.database.read(this.segments));
+    const next = updateFunction(current === undefined ? null : current);
+
+    if (next === undefined) {
+      return { committed: false, snapshot: await this.once("value") };
+    }
+
+    this.database.write(this.segments, next);
+    return { committed: true, snapshot: await this.once("value") };
+  }
+
+  toString() {
+    return `memory://${this.segments.join("/")}`;
+  }
+}
+
+/**
+ * In-process implementation of the subset of the Realtime Database API the
+ * platform uses. Data lives only for the lifetime of the process.
+ */
+export class MemoryDatabase {
+  constructor(initialData = null) {
+    this.data = normalizeValue(initialData);
+  }
+
+  ref(path = "") {
+    return new MemoryReference(this, splitPath(path));
+  }
+
+  read(segments) {
+    return getAtPath(this.data, segments);
+  }
+
+  write(segments, value) {
+    const normalized = normalizeValue(value);
+
+    if (segments.length === 0) {
+      this.data = normalized;
+      return;
+    }
+
+    if (!isObject(this.data)) {
+      this.data = {};
+    }
+
+    const parents = [];
+    let node = this.data;
+    for (const segment of segments.slice(0, -1)) {
+      if (!Object.hasOwn(node, segment) || !isObject(node[segment])) {
+        node[segment] = {};
+      }
+      parents.push([node, segment]);
+      node = node[segment];
+    }
+
+    const leaf = segments[segments.length - 1];
+    if (normalized === null) {
+      delete node[leaf];
+    } else {
+      node[leaf] = normalized;
+    }
+
+    // Prune parents left empty, as the Realtime Database never stores empty nodes
+    for (let i = parents.length - 1; i >= 0; i--) {
+      const [parent, key] = parents[i];
+      if (Object.keys(parent[key]).length > 0) break;
+      delete parent[key];
+    }
+
+    if (Object.keys(this.data).length === 0) {
+      this.data = null;
+    }
+  }
+
+  query(ref, params) {
+    const value = this.read(ref.segments);
+    const hasConstraints = Object.keys(params).length > 0;
+
+    if (!isObject(value) || !hasConstraints) {
+      return new MemorySnapshot(ref, value);
+    }
+
+    const orderBy = params.orderBy || { type: "key" };
+    const compare = orderBy.type === "key" ? compareKeys : compareValues;
+    const sortValue = ([key, child]) => {
+      if (orderBy.type === "key") return key;
+      if (orderBy.type === "value") return child;
+      return getAtPath(child, orderBy.segments);
+    };
+
+    let entries = Object.entries(value)
+      .sort((a, b) => compare(sortValue(a), sortValue(b)) || compareKeys(a[0], b[0]));
+
+    if ("equalTo" in params) {
+      entries = entries.filter(entry => compare(sortValue(entry), params.equalTo) === 0);
+    }
+    if ("startAt" in params) {
+      entries = entries.filter(entry => compare(sortValue(entry), params.startAt) >= 0);
+    }
+    if ("endAt" in params) {
+      entries = entries.filter(entry => compare(sortValue(entry), params.endAt) <= 0);
+    }
+    if (params.limit) {
+      entries = params.limit.fromEnd
+        ? entries.slice(-params.limit.count)
+        : entries.slice(0, params.limit.count);
+    }
+
+    return new MemorySnapshot(
+      ref,
+      entries.length > 0 ? Object.fromEntries(entries) : null,
+      entries.map(([key]) => key)
+    );
+  }
+}
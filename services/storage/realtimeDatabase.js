@@ -0,0 +1,15 @@
+import admin from "../../config/firebase.js";
+
+/**
+ * Storage backed by the Firebase Realtime Database. References are handed out
+ * unchanged, so callers get the full Admin SDK reference API.
+ */
+export class RealtimeDatabase {
+  constructor(database = admin.database()) {
+    this.database = database;
+  }
+
+  ref(path) {
+    return this.database.ref(path);
+  }
+}
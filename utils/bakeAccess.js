@@ -0,0 +1,95 @@
+// Per-document access control for BAKE. A document's `access` can restrict it
+// to departments, roles and a minimum level:
+//
+//   { departments: ["moderation"], roles: ["hr_manager"], minLevel: 4 }
+//
+// A viewer must be in one of the listed departments or hold one of the listed
+// roles (when either list is set), and must meet minLevel (when set). Level 8+
+// and the document's author can always open it. Documents without `access`
+// keep the old behaviour: public ones are open to everyone, and non-public
+// ones to any signed-in user.
+
+import { isPublished } from "./bakeWorkflow.js";
+
+const MAX_ACCESS_ENTRIES = 20;
+
+const isStringList = (value) =>
+  Array.isArray(value) && value.length <= MAX_ACCESS_ENTRIES && value.every(item => typeof item === "string" && item.length > 0);
+
+export const validateDocumentAccess = (access) => {
+  if (access === null) return null;
+
+  if (typeof access !== "object" || Array.isArray(access)) {
+    return "access must be an object or null";
+  }
+
+  const { departments, roles, minLevel } = access;
+
+  if (departments !== undefined && !isStringList(departments)) {
+    return `access.departments must be an array of at most ${MAX_ACCESS_ENTRIES} department names`;
+  }
+
+  if (roles !== undefined && !isStringList(roles)) {
+    return `access.roles must be an array of at most ${MAX_ACCESS_ENTRIES} role names`;
+  }
+
+  if (minLevel !== undefined && (!Number.isInteger(minLevel) || minLevel < 1 || minLevel > 10)) {
+    return "access.minLevel must be between 1 and 10";
+  }
+
+  if (!departments?.length && !roles?.length && minLevel === undefined) {
+    return "access must set departments, roles or minLevel; use null to remove restrictions";
+  }
+
+  return null;
+};
+
+export const normalizeDocumentAccess = (access) => (access ? {
+  departments: access.departments?.length ? [...new Set(access.departments)] : null,
+  roles: access.roles?.length ? [...new Set(access.roles)] : null,
+  minLevel: access.minLevel ?? null
+} : null);
+
+export const isRestricted = (document) =>
+  Boolean(document.access?.departments?.length || document.access?.roles?.length || document.access?.minLevel);
+
+// `viewer` is the request's userData, or null for anonymous requests
+export const canViewDocument = (document, viewer) => {
+  if (!viewer) {
+    return document.isPublic !== false && !isRestricted(document);
+  }
+
+  const { level = 0, department, role } = viewer.permissions || {};
+  if (level >= 8 || document.author === viewer.uid) {
+    return true;
+  }
+
+  if (!isRestricted(document)) {
+    return true;
+  }
+
+  const { departments, roles, minLevel } = document.access;
+  if ((departments?.length || roles?.length) &&
+      !(departments || []).includes(department) && !(roles || []).includes(role)) {
+    return false;
+  }
+
+  return !minLevel || level >= minLevel;
+};
+
+// Unpublished documents (drafts, documents in review, archived ones) are only
+// listed, searched and cited by MAIA for their author, their assigned
+// reviewers and level 8+. Everyone else sees published documents only.
+export const canSeeInListings = (document, viewer) => {
+  if (!canViewDocument(document, viewer)) {
+    return false;
+  }
+
+  if (isPublished(document)) {
+    return true;
+  }
+
+  return Boolean(viewer) && ((viewer.permissions?.level || 0) >= 8 ||
+    document.author === viewer.uid ||
+    (document.review?.reviewers || []).includes(viewer.uid));
+};
@@ -0,0 +1,160 @@
+// BAKE document revisions. Every save stores a full, immutable copy of the
+// document's editable content under /bake/revisions/<documentId>/<revision>.
+
+export const REVISIONED_DOCUMENT_KEYS = ["title", "content", "category", "subcategory", "tags", "isPublic"];
+
+// Content fields other than the body, compared as whole values
+const PROPERTY_KEYS = REVISIONED_DOCUMENT_KEYS.filter(key => key !== "content");
+
+const CONTEXT_LINES = 3;
+
+// Beyond this many lines x lines the diff falls back to replacing the whole
+// body, to keep memory bounded on very large documents
+const MAX_DIFF_CELLS = 4000000;
+
+export const pickRevisionContent = (document) => ({
+  title: document.title ?? null,
+  content: document.content ?? null,
+  category: document.category ?? null,
+  subcategory: document.subcategory ?? null,
+  tags: document.tags || [],
+  isPublic: document.isPublic !== false
+});
+
+// The database drops empty arrays, so [] and a missing value are the same
+const isSameValue = (a, b) => JSON.stringify(a ?? []) === JSON.stringify(b ?? []);
+
+export const changedProperties = (from, to) =>
+  REVISIONED_DOCUMENT_KEYS.filter(key => !isSameValue(from[key], to[key]));
+
+const splitLines = (text) => (text ? String(text).split(/\r?\n/) : []);
+
+// Line operations turning `fromLines` into `toLines`, using the longest
+// common subsequence of lines
+const diffOperations = (fromLines, toLines) => {
+  let start = 0;
+  while (start < fromLines.length && start < toLines.length && fromLines[start] === toLines[start]) start++;
+
+  let fromEnd = fromLines.length;
+  let toEnd = toLines.length;
+  while (fromEnd > start && toEnd > start && fromLines[fromEnd - 1] === toLines[toEnd - 1]) {
+    fromEnd--;
+    toEnd--;
+  }
+
+  const operations = fromLines.slice(0, start).map((text, index) => ({ type: "equal", text, fromLine: index + 1, toLine: index + 1 }));
+  const from = fromLines.slice(start, fromEnd);
+  const to = toLines.slice(start, toEnd);
+  const rows = from.length + 1;
+  const columns = to.length + 1;
+
+  let fromIndex = 0;
+  let toIndex = 0;
+  const removed = () => operations.push({ type: "removed", text: from[fromIndex], fromLine: start + ++fromIndex });
+  const added = () => operations.push({ type: "added", text: to[toIndex], toLine: start + ++toIndex });
+
+  if (rows * columns <= MAX_DIFF_CELLS) {
+    // common[i * columns + j] = LCS length of from[i..] and to[j..]
+    const common = new Uint32Array(rows * columns);
+    for (let i = from.length - 1; i >= 0; i--) {
+      for (let j = to.length - 1; j >= 0; j--) {
+        common[i * columns + j] = from[i] === to[j]
+          ? common[(i + 1) * columns + j + 1] + 1
+          : Math.max(common[(i + 1) * columns + j], common[i * columns + j + 1]);
+      }
+    }
+
+    while (fromIndex < from.length && toIndex < to.length) {
+      if (from[fromIndex] === to[toIndex]) {
+        operations.push({ type: "equal", text: from[fromIndex], fromLine: start + fromIndex + 1, toLine: start + toIndex + 1 });
+        fromIndex++;
+        toIndex++;
+      } else if (common[(fromIndex + 1) * columns + toIndex] >= common[fromIndex * columns + toIndex + 1]) {
+        removed();
+      } else {
+        added();
+      }
+    }
+  }
+
+  while (fromIndex < from.length) removed();
+  while (toIndex < to.length) added();
+
+  const offset = toEnd - fromEnd;
+  fromLines.slice(fromEnd).forEach((text, index) => {
+    operations.push({ type: "equal", text, fromLine: fromEnd + index + 1, toLine: fromEnd + offset + index + 1 });
+  });
+
+  return operations;
+};
+
+// Groups changed lines into unified-diff style hunks with a few lines of
+// unchanged context around them
+const toHunks = (operations) => {
+  const hunks = [];
+  let current = null;
+  let lastChange = -Infinity;
+
+  operations.forEach((operation, index) => {
+    if (operation.type === "equal") return;
+
+    const contextStart = Math.max(0, index - CONTEXT_LINES);
+    if (!current || contextStart > lastChange + CONTEXT_LINES + 1) {
+      current = { startIndex: contextStart, endIndex: index };
+      hunks.push(current);
+    }
+    current.endIndex = index;
+    lastChange = index;
+  });
+
+  return hunks.map(({ startIndex, endIndex }) => {
+    const lines = operations.slice(startIndex, Math.min(operations.length, endIndex + CONTEXT_LINES + 1));
+    const firstFrom = lines.find(line => line.fromLine)?.fromLine;
+    const firstTo = lines.find(line => line.toLine)?.toLine;
+
+    return {
+      fromStart: firstFrom ?? 0,
+      fromLines: lines.filter(line => line.type !== "added").length,
+      toStart: firstTo ?? 0,
+      toLines: lines.filter(line => line.type !== "removed").length,
+      lines: lines.map(({ type, text }) => ({ type, text }))
+    };
+  });
+};
+
+export const diffLines = (fromText, toText) => {
+  const operations = diffOperations(splitLines(fromText), splitLines(toText));
+
+  return {
+    added: operations.filter(operation => operation.type === "added").length,
+    removed: operations.filter(operation => operation.type === "removed").length,
+    hunks: toHunks(operations)
+  };
+};
+
+export const diffRevisions = (from, to) => {
+  const changes = {};
+  for (const key of PROPERTY_KEYS) {
+    if (!isSameValue(from[key], to[key])) {
+      changes[key] = { from: from[key] ?? null, to: to[key] ?? null };
+    }
+  }
+
+  return {
+    from: from.revision,
+    to: to.revision,
+    changes,
+    content: diffLines(from.content, to.content)
+  };
+};
+
+// Used when the editor doesn't describe their change
+export const summarizeChanges = (from, to) => {
+  const changed = changedProperties(from, to);
+  if (changed.length === 0) return "No changes";
+
+  const { added, removed } = changed.includes("content") ? diffLines(from.content, to.content) : {};
+  const lineCounts = added !== undefined ? ` (+${added} -${removed} lines)` : "";
+
+  return `Updated ${changed.join(", ")}${lineCounts}`;
+};
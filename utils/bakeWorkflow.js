@@ -0,0 +1,80 @@
+// Editorial workflow for BAKE documents. A document is written as a draft,
+// submitted to reviewers, and published once enough of them approve. Published
+// documents are due for another review after their review interval; the
+// staleness job then moves them to needs_review until they pass review again.
+// Editing a published document moves it back to draft.
+
+export const DOCUMENT_STATUSES = ["draft", "in_review", "published", "needs_review", "archived"];
+
+const TRANSITIONS = {
+  draft: ["in_review", "published", "archived"],
+  in_review: ["draft", "published", "archived"],
+  published: ["draft", "needs_review", "archived"],
+  needs_review: ["draft", "in_review", "published", "archived"],
+  archived: ["draft"]
+};
+
+export const REVIEW_DECISIONS = ["approve", "request_changes"];
+
+export const MAX_DOCUMENT_REVIEWERS = 10;
+export const MAX_REVIEW_INTERVAL_DAYS = 3650;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Documents from before the workflow have no status and count as drafts
+export const getDocumentStatus = (document) => document.status || "draft";
+
+// Statuses readers see in listings, search and MAIA. Documents due for another
+// review stay visible until they are re-reviewed or archived.
+export const PUBLISHED_STATUSES = ["published", "needs_review"];
+
+export const isPublished = (document) => PUBLISHED_STATUSES.includes(getDocumentStatus(document));
+
+export const canTransition = (from, to) => TRANSITIONS[from]?.includes(to) || false;
+
+export const validateReviewRequest = ({ reviewers, requiredApprovals, note }) => {
+  if (!Array.isArray(reviewers) || reviewers.length === 0 ||
+      !reviewers.every(reviewer => typeof reviewer === "string" && reviewer.length > 0)) {
+    return "reviewers must be a non-empty array of user IDs";
+  }
+
+  if (reviewers.length > MAX_DOCUMENT_REVIEWERS) {
+    return `A document can have at most ${MAX_DOCUMENT_REVIEWERS} reviewers`;
+  }
+
+  if (new Set(reviewers).size !== reviewers.length) {
+    return "reviewers cannot contain duplicates";
+  }
+
+  if (requiredApprovals !== undefined &&
+      (!Number.isInteger(requiredApprovals) || requiredApprovals < 1 || requiredApprovals > reviewers.length)) {
+    return "requiredApprovals must be between 1 and the number of reviewers";
+  }
+
+  if (note !== undefined && (typeof note !== "string" || note.length > 500)) {
+    return "Note must be at most 500 characters";
+  }
+
+  return null;
+};
+
+export const validateReviewInterval = (days) => {
+  if (!Number.isInteger(days) || days < 1 || days > MAX_REVIEW_INTERVAL_DAYS) {
+    return `Review interval must be a whole number of days from 1 to ${MAX_REVIEW_INTERVAL_DAYS}`;
+  }
+  return null;
+};
+
+// When a published document is next due for review. Documents published
+// before review tracking count from their publish or creation date.
+export const getNextReviewAt = (document, defaultIntervalDays) => {
+  const lastReviewed = document.metadata?.lastReviewed ||
+    document.metadata?.publishedAt ||
+    document.metadata?.createdAt;
+  if (!lastReviewed) return null;
+
+  return lastReviewed + (document.reviewIntervalDays || defaultIntervalDays) * DAY_MS;
+};
+
+export const countApprovals = (review) =>
+  Object.values(review?.decisions || {}).filter(decision => decision.decision === "approve").length;
@@ -62,3 +62,31 @@ export const CACHE_DURATIONS = {
   LONG: 900,
   EXTENDED: 3600
 };
+
+export const QUOTA_METRICS = {
+  SESSIONS_ATTENDED: 'sessions_attended',
+  SHIFTS_COMPLETED: 'shifts_completed',
+  SESSIONS_HOSTED: 'sessions_hosted',
+  TASKS_COMPLETED: 'tasks_completed'
+};
+
+export const QUOTA_PERIODS = ['weekly', 'biweekly', 'monthly'];
+
+export const ALLOWED_IMAGE_DOMAINS = [
+  'cdn.discordapp.com',
+  'media.discordapp.net',
+  'imgur.com',
+  'i.imgur.com',
+  'github.com',
+  'raw.githubusercontent.com'
+];
+
+// Hosts assignment attachments may link to, in addition to the image domains
+export const ALLOWED_FILE_DOMAINS = [
+  'docs.google.com',
+  'drive.google.com',
+  'dropbox.com',
+  'www.dropbox.com',
+  'onedrive.live.com',
+  'gist.github.com'
+];
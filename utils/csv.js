@@ -0,0 +1,13 @@
+export const escapeCsv = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// For user-supplied text: spreadsheet apps run cells starting with these
+// characters as formulas, so prefix them with a quote
+export const neutralizeFormula = (value) =>
+  typeof value === "string" && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+
+export const toCsv = (header, rows) =>
+  [header, ...rows].map(row => row.map(escapeCsv).join(",")).join("\r\n");
@@ -0,0 +1,326 @@
+// Field types, conditional logic and response validation for form templates.
+// Fields are identified as field_<n>, numbered by position when the template
+// is created, and conditions may only refer to fields that come before them.
+
+import { ALLOWED_IMAGE_DOMAINS, ALLOWED_FILE_DOMAINS } from "./constants.js";
+
+export const FORM_FIELD_TYPES = [
+  "text",
+  "quiz",
+  "select",
+  "multiselect",
+  "number",
+  "date",
+  "roblox_username",
+  "rating",
+  "file_link"
+];
+
+export const CONDITION_OPERATORS = [
+  "equals",
+  "not_equals",
+  "in",
+  "includes",
+  "gt",
+  "gte",
+  "lt",
+  "lte",
+  "answered",
+  "not_answered"
+];
+
+// Roblox usernames: 3-20 letters, digits or underscores, at most one
+// underscore and not at either end
+export const ROBLOX_USERNAME_PATTERN = /^(?=.{3,20}$)[A-Za-z0-9]+(_[A-Za-z0-9]+)?$/;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_RATING_SCALE = { min: 1, max: 5 };
+const FILE_LINK_DOMAINS = [...ALLOWED_IMAGE_DOMAINS, ...ALLOWED_FILE_DOMAINS];
+
+// Rejects well-formed but impossible dates such as 2024-02-30
+const isValidDate = (value) => {
+  if (typeof value !== "string" || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+const isAllowedFileLink = (url) => {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === "https:" &&
+      FILE_LINK_DOMAINS.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+  } catch (error) {
+    return false;
+  }
+};
+
+export const isAnswered = (response) => {
+  if (response === undefined || response === null) return false;
+  if (typeof response === "string") return response.trim().length > 0;
+  if (Array.isArray(response)) return response.length > 0;
+  return true;
+};
+
+const toConditionList = (condition) => (Array.isArray(condition) ? condition : [condition]);
+
+const validateCondition = (condition, label, earlierIds) => {
+  for (const rule of toConditionList(condition)) {
+    if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+      return `${label} conditions must be objects`;
+    }
+
+    if (!earlierIds.includes(rule.field)) {
+      return `${label} conditions can only refer to earlier fields`;
+    }
+
+    if (!CONDITION_OPERATORS.includes(rule.operator)) {
+      return `${label} condition operator must be one of: ${CONDITION_OPERATORS.join(", ")}`;
+    }
+
+    if (rule.operator === "in" && !Array.isArray(rule.value)) {
+      return `${label} "in" conditions require an array value`;
+    }
+
+    if (["gt", "gte", "lt", "lte"].includes(rule.operator) && typeof rule.value !== "number") {
+      return `${label} "${rule.operator}" conditions require a numeric value`;
+    }
+  }
+
+  return null;
+};
+
+const hasOptions = (field) =>
+  Array.isArray(field.options) && field.options.length > 0 &&
+  field.options.every(option => typeof option === "string" && option.length > 0);
+
+export const getFieldNumber = (fieldId) => parseInt(String(fieldId).replace("field_", ""), 10) || 0;
+
+// Gives new fields an ID. Fields kept from the previous version of a template
+// send their existing ID so submissions and conditions keep pointing at the
+// same question. New IDs continue from lastFieldNumber (stored on the
+// template) so an ID is never reused once its field has been removed.
+export const assignFieldIds = (fields, previousFields = [], lastFieldNumber = 0) => {
+  const knownIds = new Set(previousFields.map(field => field.id));
+  let next = Math.max(lastFieldNumber, ...previousFields.map(field => getFieldNumber(field.id))) + 1;
+
+  return fields.map(field => ({
+    ...field,
+    id: knownIds.has(field.id) ? field.id : `field_${next++}`
+  }));
+};
+
+// Checks field definitions (after assignFieldIds) when a template is created
+// or edited. Returns an error message, or null when every field is valid.
+export const validateFormFields = (fields) => {
+  const earlierIds = [];
+
+  for (const [index, field] of fields.entries()) {
+    const label = `Field ${index + 1}`;
+
+    if (!field || typeof field !== "object") {
+      return `${label} must be an object`;
+    }
+
+    if (!FORM_FIELD_TYPES.includes(field.type)) {
+      return `${label} type must be one of: ${FORM_FIELD_TYPES.join(", ")}`;
+    }
+
+    if (!field.label || typeof field.label !== "string") {
+      return `${label} requires a label`;
+    }
+
+    if ((field.type === "select" || field.type === "multiselect") && !hasOptions(field)) {
+      return `${label} requires a non-empty list of options`;
+    }
+
+    if (field.type === "quiz" && (!Array.isArray(field.questions) || field.questions.length === 0)) {
+      return `${label} requires at least one question`;
+    }
+
+    if (field.type === "rating") {
+      const { min, max } = { ...DEFAULT_RATING_SCALE, ...field.scale };
+      if (!Number.isInteger(min) || !Number.isInteger(max) || min >= max || max - min > 10) {
+        return `${label} scale must be whole numbers with min below max and at most 10 steps apart`;
+      }
+    }
+
+    if (field.type === "number" && field.validation?.min !== undefined && field.validation?.max !== undefined &&
+        field.validation.min > field.validation.max) {
+      return `${label} min cannot be greater than max`;
+    }
+
+    if (field.type === "date") {
+      for (const key of ["minDate", "maxDate"]) {
+        if (field.validation?.[key] !== undefined && !isValidDate(field.validation[key])) {
+          return `${label} ${key} must be a YYYY-MM-DD date`;
+        }
+      }
+    }
+
+    for (const key of ["showIf", "requiredIf"]) {
+      if (field[key] !== undefined) {
+        const error = validateCondition(field[key], label, earlierIds);
+        if (error) return error;
+      }
+    }
+
+    if (earlierIds.includes(field.id)) {
+      return `${label} reuses the ID ${field.id}`;
+    }
+
+    earlierIds.push(field.id);
+  }
+
+  return null;
+};
+
+const matchesRule = (rule, responses) => {
+  const answer = responses[rule.field];
+
+  switch (rule.operator) {
+    case "answered":
+      return isAnswered(answer);
+    case "not_answered":
+      return !isAnswered(answer);
+    case "equals":
+      return answer === rule.value;
+    case "not_equals":
+      return answer !== rule.value;
+    case "in":
+      return rule.value.includes(answer);
+    case "includes":
+      return Array.isArray(answer) ? answer.includes(rule.value) :
+        typeof answer === "string" && answer.includes(rule.value);
+    case "gt":
+      return typeof answer === "number" && answer > rule.value;
+    case "gte":
+      return typeof answer === "number" && answer >= rule.value;
+    case "lt":
+      return typeof answer === "number" && answer < rule.value;
+    case "lte":
+      return typeof answer === "number" && answer <= rule.value;
+    default:
+      return false;
+  }
+};
+
+// All rules in a condition must match
+export const evaluateCondition = (condition, responses) =>
+  toConditionList(condition).every(rule => matchesRule(rule, responses));
+
+export const isFieldVisible = (field, responses) =>
+  !field.showIf || evaluateCondition(field.showIf, responses);
+
+export const isFieldRequired = (field, responses) =>
+  Boolean(field.required) || (field.requiredIf ? evaluateCondition(field.requiredIf, responses) : false);
+
+// Validates a single answered field; returns an error message or null
+export const validateFieldResponse = (field, response) => {
+  const validation = field.validation || {};
+
+  switch (field.type) {
+    case "text":
+      if (typeof response !== "string") return `${field.label} must be text`;
+      if (validation.minLength && response.length < validation.minLength) {
+        return `${field.label} must be at least ${validation.minLength} characters long`;
+      }
+      if (validation.maxLength && response.length > validation.maxLength) {
+        return `${field.label} must be no more than ${validation.maxLength} characters long`;
+      }
+      return null;
+
+    case "quiz":
+      if (!response || !Array.isArray(response.answers)) return `${field.label} requires quiz answers`;
+      if (field.questions && response.answers.length !== field.questions.length) {
+        return `${field.label} requires answers to all questions`;
+      }
+      return null;
+
+    case "select":
+      return field.options.includes(response) ? null : `${field.label} must be one of the listed options`;
+
+    case "multiselect":
+      if (!Array.isArray(response) || !response.every(option => field.options.includes(option))) {
+        return `${field.label} must only contain listed options`;
+      }
+      if (new Set(response).size !== response.length) return `${field.label} contains duplicate options`;
+      if (validation.minSelections && response.length < validation.minSelections) {
+        return `${field.label} requires at least ${validation.minSelections} selections`;
+      }
+      if (validation.maxSelections && response.length > validation.maxSelections) {
+        return `${field.label} allows at most ${validation.maxSelections} selections`;
+      }
+      return null;
+
+    case "number":
+      if (typeof response !== "number" || !Number.isFinite(response)) return `${field.label} must be a number`;
+      if (validation.integer && !Number.isInteger(response)) return `${field.label} must be a whole number`;
+      if (validation.min !== undefined && response < validation.min) {
+        return `${field.label} must be at least ${validation.min}`;
+      }
+      if (validation.max !== undefined && response > validation.max) {
+        return `${field.label} must be no more than ${validation.max}`;
+      }
+      return null;
+
+    case "date":
+      if (!isValidDate(response)) return `${field.label} must be a YYYY-MM-DD date`;
+      if (validation.minDate && response < validation.minDate) {
+        return `${field.label} must be on or after ${validation.minDate}`;
+      }
+      if (validation.maxDate && response > validation.maxDate) {
+        return `${field.label} must be on or before ${validation.maxDate}`;
+      }
+      return null;
+
+    case "roblox_username":
+      return typeof response === "string" && ROBLOX_USERNAME_PATTERN.test(response)
+        ? null
+        : `${field.label} must be a valid Roblox username`;
+
+    case "rating": {
+      const { min, max } = { ...DEFAULT_RATING_SCALE, ...field.scale };
+      return Number.isInteger(response) && response >= min && response <= max
+        ? null
+        : `${field.label} must be a whole number from ${min} to ${max}`;
+    }
+
+    case "file_link":
+      return typeof response === "string" && isAllowedFileLink(response)
+        ? null
+        : `${field.label} must be an https link to an allowed file host`;
+
+    default:
+      return null;
+  }
+};
+
+// Validates a full set of responses against the template. Fields are walked in
+// order so conditions see earlier answers; hidden fields are dropped from the
+// returned responses and are never required.
+export const validateFormResponses = (fields, responses) => {
+  const errors = {};
+  const accepted = {};
+
+  for (const field of fields) {
+    if (!isFieldVisible(field, accepted)) continue;
+
+    const response = responses[field.id];
+
+    if (!isAnswered(response)) {
+      if (isFieldRequired(field, accepted)) {
+        errors[field.id] = `${field.label} is required`;
+      }
+      continue;
+    }
+
+    const error = validateFieldResponse(field, response);
+    if (error) {
+      errors[field.id] = error;
+    } else {
+      accepted[field.id] = response;
+    }
+  }
+
+  return { errors, responses: accepted };
+};
@@ -0,0 +1,100 @@
+// Review pipelines for form templates. A pipeline is an ordered list of
+// stages; a submission must be approved at every stage to be approved, and a
+// rejection at any stage rejects it.
+
+export const MAX_REVIEW_STAGES = 10;
+
+export const validateReviewPipeline = (pipeline) => {
+  if (!pipeline || !Array.isArray(pipeline.stages) || pipeline.stages.length === 0) {
+    return "reviewPipeline.stages must be a non-empty array";
+  }
+
+  if (pipeline.stages.length > MAX_REVIEW_STAGES) {
+    return `A review pipeline can have at most ${MAX_REVIEW_STAGES} stages`;
+  }
+
+  for (const [index, stage] of pipeline.stages.entries()) {
+    const label = `Stage ${index + 1}`;
+
+    if (!stage.name || typeof stage.name !== "string") {
+      return `${label} requires a name`;
+    }
+
+    if (stage.reviewers !== undefined &&
+        (!Array.isArray(stage.reviewers) || !stage.reviewers.every(reviewer => typeof reviewer === "string"))) {
+      return `${label} reviewers must be an array of user IDs`;
+    }
+
+    if (stage.requiredApprovals !== undefined &&
+        (!Number.isInteger(stage.requiredApprovals) || stage.requiredApprovals < 1)) {
+      return `${label} requiredApprovals must be a positive integer`;
+    }
+
+    if (stage.reviewers?.length > 0 && (stage.requiredApprovals || 1) > stage.reviewers.length) {
+      return `${label} requires more approvals than it has reviewers`;
+    }
+
+    if (stage.minLevel !== undefined && (!Number.isInteger(stage.minLevel) || stage.minLevel < 1 || stage.minLevel > 10)) {
+      return `${label} minLevel must be between 1 and 10`;
+    }
+  }
+
+  return null;
+};
+
+export const normalizeReviewPipeline = (pipeline) => ({
+  stages: pipeline.stages.map((stage, index) => ({
+    id: `stage_${index + 1}`,
+    name: stage.name.trim(),
+    reviewers: [...new Set(stage.reviewers || [])],
+    requiredApprovals: stage.requiredApprovals || 1,
+    minLevel: stage.minLevel ?? 3
+  }))
+});
+
+// Initial review state stored on a submission. The stages are copied from the
+// form so later pipeline edits don't affect submissions already in review.
+export const createReviewState = (pipeline, now = Date.now()) => ({
+  stages: pipeline.stages,
+  currentStage: 0,
+  progress: {
+    [pipeline.stages[0].id]: { status: "in_review", startedAt: now }
+  }
+});
+
+export const getCurrentStage = (submission) =>
+  submission.review?.stages?.[submission.review.currentStage] || null;
+
+// Assigned reviewers (or level 8+) may review a stage that lists reviewers;
+// otherwise anyone at the stage's minimum level in the form's department may
+export const canReviewStage = (stage, reviewer, formDepartment) => {
+  const level = reviewer.permissions?.level || 0;
+
+  if (stage.reviewers?.length > 0) {
+    return stage.reviewers.includes(reviewer.uid) || level >= 8;
+  }
+
+  return level >= stage.minLevel && (reviewer.permissions?.department === formDepartment || level >= 7);
+};
+
+// Where a submission is in its pipeline, safe to show the applicant
+export const summarizeReviewStage = (submission) => {
+  const review = submission.review;
+  if (!review?.stages) return null;
+
+  const stage = review.stages[review.currentStage];
+
+  return {
+    index: review.currentStage,
+    total: review.stages.length,
+    id: stage.id,
+    name: stage.name,
+    status: review.progress?.[stage.id]?.status || "pending",
+    stages: review.stages.map(item => ({
+      id: item.id,
+      name: item.name,
+      status: review.progress?.[item.id]?.status || "pending",
+      completedAt: review.progress?.[item.id]?.completedAt || null
+    }))
+  };
+};
@@ -0,0 +1,127 @@
+// Rubrics for manual form review. A rubric is a list of weighted criteria, each
+// scored on its own range; the weighted total is normalised to 0-100 so it can
+// be compared with the automated score.
+
+export const MAX_RUBRIC_CRITERIA = 20;
+
+// Reviewers "disagree" when their totals, or their scores for any one
+// criterion, are further apart than this many points out of 100
+export const DEFAULT_DISAGREEMENT_THRESHOLD = 20;
+
+const DEFAULT_CRITERION_RANGE = { min: 0, max: 10 };
+
+export const validateRubric = (rubric) => {
+  if (!rubric || !Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+    return "rubric.criteria must be a non-empty array";
+  }
+
+  if (rubric.criteria.length > MAX_RUBRIC_CRITERIA) {
+    return `A rubric can have at most ${MAX_RUBRIC_CRITERIA} criteria`;
+  }
+
+  for (const [index, criterion] of rubric.criteria.entries()) {
+    const label = `Criterion ${index + 1}`;
+
+    if (!criterion?.name || typeof criterion.name !== "string") {
+      return `${label} requires a name`;
+    }
+
+    if (criterion.weight !== undefined && (typeof criterion.weight !== "number" || !(criterion.weight > 0))) {
+      return `${label} weight must be a positive number`;
+    }
+
+    const { min, max } = { ...DEFAULT_CRITERION_RANGE, ...criterion };
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min >= max) {
+      return `${label} min and max must be whole numbers with min below max`;
+    }
+  }
+
+  if (rubric.disagreementThreshold !== undefined &&
+      (typeof rubric.disagreementThreshold !== "number" || rubric.disagreementThreshold <= 0 || rubric.disagreementThreshold > 100)) {
+    return "rubric.disagreementThreshold must be between 0 and 100";
+  }
+
+  return null;
+};
+
+export const normalizeRubric = (rubric) => ({
+  criteria: rubric.criteria.map((criterion, index) => ({
+    id: `criterion_${index + 1}`,
+    name: criterion.name.trim(),
+    description: criterion.description || null,
+    weight: criterion.weight ?? 1,
+    min: criterion.min ?? DEFAULT_CRITERION_RANGE.min,
+    max: criterion.max ?? DEFAULT_CRITERION_RANGE.max
+  })),
+  disagreementThreshold: rubric.disagreementThreshold ?? DEFAULT_DISAGREEMENT_THRESHOLD
+});
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// A criterion score as a percentage of its range
+const toPercent = (criterion, score) => ((score - criterion.min) / (criterion.max - criterion.min)) * 100;
+
+// Checks a reviewer's scores against the rubric and computes the weighted
+// total. Every criterion must be scored.
+export const scoreRubric = (rubric, rubricScores) => {
+  if (!rubricScores || typeof rubricScores !== "object" || Array.isArray(rubricScores)) {
+    return { error: "rubricScores must be an object of criterion ID to score" };
+  }
+
+  const scores = {};
+  let weighted = 0;
+  let totalWeight = 0;
+
+  for (const criterion of rubric.criteria) {
+    const score = rubricScores[criterion.id];
+    if (typeof score !== "number" || !Number.isFinite(score) || score < criterion.min || score > criterion.max) {
+      return { error: `${criterion.name} must be scored from ${criterion.min} to ${criterion.max}` };
+    }
+
+    scores[criterion.id] = score;
+    weighted += toPercent(criterion, score) * criterion.weight;
+    totalWeight += criterion.weight;
+  }
+
+  return { scores, total: round(weighted / totalWeight) };
+};
+
+// Aggregates every rubric review of one submission and flags disagreement
+// once there are at least two
+export const summarizeRubricReviews = (rubric, reviews) => {
+  const threshold = rubric.disagreementThreshold ?? DEFAULT_DISAGREEMENT_THRESHOLD;
+  const totals = reviews.map(review => review.total);
+  const spread = (values) => (values.length > 1 ? Math.max(...values) - Math.min(...values) : 0);
+
+  const criteria = {};
+  const disagreeingCriteria = [];
+
+  for (const criterion of rubric.criteria) {
+    const scores = reviews.map(review => review.scores?.[criterion.id]).filter(score => typeof score === "number");
+    if (scores.length === 0) continue;
+
+    criteria[criterion.id] = {
+      average: round(scores.reduce((sum, score) => sum + score, 0) / scores.length),
+      min: Math.min(...scores),
+      max: Math.max(...scores)
+    };
+
+    if (spread(scores.map(score => toPercent(criterion, score))) > threshold) {
+      disagreeingCriteria.push(criterion.id);
+    }
+  }
+
+  const totalSpread = round(spread(totals));
+
+  return {
+    reviewCount: reviews.length,
+    averageTotal: reviews.length > 0 ? round(totals.reduce((sum, total) => sum + total, 0) / totals.length) : null,
+    criteria,
+    disagreement: {
+      flagged: totalSpread > threshold || disagreeingCriteria.length > 0,
+      totalSpread,
+      criteria: disagreeingCriteria,
+      threshold
+    }
+  };
+};
@@ -0,0 +1,70 @@
+// Form template versions. Each edit of a template stores a full copy of its
+// versioned content under /forms/versions/<formId>/<version>, so submissions
+// can always be shown against the questions the applicant actually answered.
+
+export const VERSIONED_FORM_KEYS = ["title", "description", "fields", "requirements", "rubric"];
+
+export const pickVersionContent = (form) =>
+  Object.fromEntries(VERSIONED_FORM_KEYS.map(key => [key, form[key] ?? null]));
+
+// Key-order independent comparison; missing and null values are treated the
+// same because the database doesn't store nulls
+const normalize = (value) => {
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === "object") {
+    return Object.keys(value)
+      .filter(key => value[key] !== null && value[key] !== undefined)
+      .sort()
+      .reduce((result, key) => ({ ...result, [key]: normalize(value[key]) }), {});
+  }
+  return value ?? null;
+};
+
+const isEqual = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+const diffFields = (fromFields = [], toFields = []) => {
+  const fromById = new Map(fromFields.map(field => [field.id, field]));
+  const toById = new Map(toFields.map(field => [field.id, field]));
+
+  const added = toFields.filter(field => !fromById.has(field.id)).map(({ id, label, type }) => ({ id, label, type }));
+  const removed = fromFields.filter(field => !toById.has(field.id)).map(({ id, label, type }) => ({ id, label, type }));
+
+  const changed = [];
+  for (const field of toFields) {
+    const previous = fromById.get(field.id);
+    if (!previous) continue;
+
+    const keys = [...new Set([...Object.keys(previous), ...Object.keys(field)])].filter(key => key !== "id");
+    const changes = {};
+    for (const key of keys) {
+      if (!isEqual(previous[key], field[key])) {
+        changes[key] = { from: previous[key] ?? null, to: field[key] ?? null };
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      changed.push({ id: field.id, label: field.label, changes });
+    }
+  }
+
+  const keptOrder = (fields, other) => fields.filter(field => other.has(field.id)).map(field => field.id);
+  const reordered = !isEqual(keptOrder(fromFields, toById), keptOrder(toFields, fromById));
+
+  return { added, removed, changed, reordered };
+};
+
+export const diffFormVersions = (from, to) => {
+  const changes = {};
+  for (const key of VERSIONED_FORM_KEYS.filter(key => key !== "fields")) {
+    if (!isEqual(from[key], to[key])) {
+      changes[key] = { from: from[key] ?? null, to: to[key] ?? null };
+    }
+  }
+
+  return {
+    from: from.version,
+    to: to.version,
+    changes,
+    fields: diffFields(from.fields || [], to.fields || [])
+  };
+};
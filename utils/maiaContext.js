@@ -0,0 +1,45 @@
+// Conversation context for MAIA. Follow-up questions ("what about refunds?",
+// "how long does it take?") rarely name their subject, so they are searched
+// together with the user's previous question.
+
+import { tokenize } from "./textSearch.js";
+
+// Words that point back at something said earlier
+const REFERENCE_WORDS = new Set(["it", "its", "that", "this", "these", "those", "they", "them", "their", "there", "one", "ones", "same"]);
+
+const CONTINUATION_PATTERN = /^\s*(and|also|but|so|then|what about|how about|what if)\b/i;
+
+// Questions with this few meaningful words are treated as follow-ups
+const SHORT_QUESTION_WORDS = 2;
+
+// Longest stretch of earlier context carried into a follow-up's search, so
+// chains of follow-ups don't grow the query without limit
+const MAX_CONTEXT_LENGTH = 300;
+
+// Conversations store messages keyed by ID; early ones stored an array
+export const listMessages = (conversation) =>
+  Object.values(conversation?.messages || {}).sort((a, b) => a.timestamp - b.timestamp);
+
+export const isFollowUpQuestion = (message) => {
+  if (CONTINUATION_PATTERN.test(message)) return true;
+
+  const tokens = tokenize(message);
+  if (tokens.some(token => REFERENCE_WORDS.has(token.surface))) return true;
+
+  return tokens.filter(token => !token.stopWord).length <= SHORT_QUESTION_WORDS;
+};
+
+// The text to search for: the message itself, or for a follow-up, the
+// message with what the previous question was searched for
+export const buildContextualQuery = (message, history = []) => {
+  const previousQuestion = history.filter(entry => entry.type === "user").pop();
+  if (!previousQuestion || !isFollowUpQuestion(message)) {
+    return message;
+  }
+
+  const context = (previousQuestion.resolvedQuery || previousQuestion.content).slice(-MAX_CONTEXT_LENGTH);
+  return `${context} ${message}`;
+};
+
+export const conversationTitle = (message) =>
+  (message.length > 60 ? `${message.slice(0, 57).trimEnd()}...` : message);
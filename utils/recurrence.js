@@ -0,0 +1,243 @@
+export const FREQUENCIES = ["daily", "weekly", "monthly"];
+export const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_OCCURRENCES = 1000;
+// Candidate dates examined per expansion, whether or not they match the rule.
+// About 270 years of daily candidates; it only stops rules that would
+// otherwise scan forever without producing an occurrence.
+const MAX_SCANNED_CANDIDATES = 100000;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric"
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock fields of an instant in the given time zone
+export const getZonedParts = (timestamp, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+    if (type !== "literal") parts[type] = parseInt(value, 10);
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+};
+
+const wallClockAsUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }) =>
+  Date.UTC(year, month - 1, day, hour, minute, second);
+
+const getOffset = (timestamp, timeZone) =>
+  wallClockAsUtc(getZonedParts(timestamp, timeZone)) - Math.floor(timestamp / 1000) * 1000;
+
+// Converts wall-clock fields in a time zone to a UTC timestamp. The offset is
+// re-read at the first guess so times near a DST change get the right one;
+// times inside a spring-forward gap use the offset from after the change.
+export const zonedTimeToUtc = (parts, timeZone) => {
+  const naive = wallClockAsUtc(parts);
+  const guess = naive - getOffset(naive, timeZone);
+  return naive - getOffset(guess, timeZone);
+};
+
+// Calendar dates are handled as UTC-midnight timestamps so day arithmetic is exact
+const toDateValue = ({ year, month, day }) => Date.UTC(year, month - 1, day);
+
+const fromDateValue = (value) => {
+  const date = new Date(value);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+export const formatDateKey = ({ year, month, day }) =>
+  `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+
+export const parseDateKey = (key) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key || "");
+  if (!match) return null;
+  return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+};
+
+// Weekdays a daily rule can land on from the anchor's weekday. Intervals that
+// are a multiple of 7 always come back to the same weekday.
+const reachableWeekdays = (interval, anchorWeekday) =>
+  (interval % 7 === 0 ? [anchorWeekday] : WEEKDAYS.map((_, index) => index));
+
+// Open-ended rules (no count or until) are only accepted with requireEnd: false,
+// for callers that always expand with an explicit `to` bound. Pass
+// anchorStart (the first occurrence's start time) to also reject rules that
+// can never produce an occurrence from it.
+export const validateRecurrence = (recurrence, { requireEnd = true, anchorStart } = {}) => {
+  if (!recurrence || typeof recurrence !== "object") {
+    return "recurrence is required";
+  }
+
+  if (!FREQUENCIES.includes(recurrence.frequency)) {
+    return `frequency must be one of: ${FREQUENCIES.join(", ")}`;
+  }
+
+  if (recurrence.interval !== undefined && (!Number.isInteger(recurrence.interval) || recurrence.interval < 1)) {
+    return "interval must be a positive integer";
+  }
+
+  if (recurrence.byWeekday !== undefined) {
+    if (!Array.isArray(recurrence.byWeekday) || recurrence.byWeekday.length === 0 ||
+        !recurrence.byWeekday.every(day => WEEKDAYS.includes(day))) {
+      return `byWeekday must be a non-empty array of: ${WEEKDAYS.join(", ")}`;
+    }
+  }
+
+  if (recurrence.count !== undefined && (!Number.isInteger(recurrence.count) || recurrence.count < 1)) {
+    return "count must be a positive integer";
+  }
+
+  if (recurrence.until !== undefined && Number.isNaN(new Date(recurrence.until).getTime())) {
+    return "until must be a valid date";
+  }
+
+  if (requireEnd && recurrence.count === undefined && recurrence.until === undefined) {
+    return "Either count or until is required";
+  }
+
+  if (!recurrence.timezone || !isValidTimeZone(recurrence.timezone)) {
+    return "timezone must be a valid IANA time zone";
+  }
+
+  if (anchorStart !== undefined && recurrence.frequency === "daily" && recurrence.byWeekday) {
+    const anchorWeekday = new Date(toDateValue(getZonedParts(anchorStart, recurrence.timezone))).getUTCDay();
+    const reachable = reachableWeekdays(recurrence.interval || 1, anchorWeekday);
+    if (!recurrence.byWeekday.some(day => reachable.includes(WEEKDAYS.indexOf(day)))) {
+      return `byWeekday never matches: every ${recurrence.interval} days from the start date only falls on ${WEEKDAYS[anchorWeekday]}`;
+    }
+  }
+
+  return null;
+};
+
+const candidateDates = function* (recurrence, startDate) {
+  const interval = recurrence.interval || 1;
+  const startValue = toDateValue(startDate);
+  const startWeekday = new Date(startValue).getUTCDay();
+  const weekdays = recurrence.byWeekday
+    ? recurrence.byWeekday.map(day => WEEKDAYS.indexOf(day)).sort((a, b) => a - b)
+    : null;
+
+  if (recurrence.frequency === "daily") {
+    for (let scanned = 0, value = startValue; scanned < MAX_SCANNED_CANDIDATES; scanned++, value += interval * DAY_MS) {
+      if (!weekdays || weekdays.includes(new Date(value).getUTCDay())) {
+        yield fromDateValue(value);
+      }
+    }
+  }
+
+  if (recurrence.frequency === "weekly") {
+    const days = weekdays || [startWeekday];
+    const weekStart = startValue - startWeekday * DAY_MS;
+    for (let scanned = 0, week = 0; scanned < MAX_SCANNED_CANDIDATES; scanned += days.length, week += interval) {
+      for (const weekday of days) {
+        const value = weekStart + (week * 7 + weekday) * DAY_MS;
+        if (value >= startValue) {
+          yield fromDateValue(value);
+        }
+      }
+    }
+  }
+
+  if (recurrence.frequency === "monthly") {
+    for (let scanned = 0, step = 0; scanned < MAX_SCANNED_CANDIDATES; scanned++, step += interval) {
+      const monthIndex = startDate.month - 1 + step;
+      const year = startDate.year + Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      const candidate = { year, month, day: startDate.day };
+      // Months without this day (e.g. the 31st) are skipped, as in RFC 5545
+      if (fromDateValue(toDateValue(candidate)).month === month) {
+        yield candidate;
+      }
+    }
+  }
+};
+
+/**
+ * Expands a recurrence rule anchored at the first occurrence's start time.
+ * Every occurrence keeps the anchor's local wall-clock time in the rule's
+ * time zone, so a 09:00 shift stays at 09:00 across DST changes.
+ *
+ * Returns [{ key, index, startTime, endTime }] for occurrences starting no
+ * later than `to`, where `key` is the occurrence's local date (YYYY-MM-DD).
+ * At most MAX_OCCURRENCES are returned, counted from `from` rather than the
+ * anchor so open-ended rules keep producing occurrences however old they are.
+ */
+export const expandRecurrence = (recurrence, anchorStart, durationMs, { from = -Infinity, to = Infinity } = {}) => {
+  const timeZone = recurrence.timezone;
+  const anchor = getZonedParts(anchorStart, timeZone);
+  const until = recurrence.until !== undefined ? new Date(recurrence.until).getTime() : Infinity;
+  const occurrences = [];
+
+  let index = 0;
+  for (const date of candidateDates(recurrence, anchor)) {
+    if (recurrence.count !== undefined && index >= recurrence.count) break;
+
+    const startTime = zonedTimeToUtc({
+      ...date,
+      hour: anchor.hour,
+      minute: anchor.minute,
+      second: anchor.second
+    }, timeZone);
+
+    if (startTime > until || startTime > to) break;
+
+    if (startTime >= from) {
+      occurrences.push({ key: formatDateKey(date), index, startTime, endTime: startTime + durationMs });
+      if (occurrences.length >= MAX_OCCURRENCES) break;
+    }
+
+    index++;
+  }
+
+  return occurrences;
+};
+
+// Moves an instant by a wall-clock delta, so "+1h" means one hour later on the
+// local clock even when a DST change falls in between.
+export const shiftWallClock = (timestamp, deltaMs, timeZone) => {
+  const shifted = new Date(wallClockAsUtc(getZonedParts(timestamp, timeZone)) + deltaMs);
+  return zonedTimeToUtc({
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    hour: shifted.getUTCHours(),
+    minute: shifted.getUTCMinutes(),
+    second: shifted.getUTCSeconds()
+  }, timeZone);
+};
+
+export const wallClockDelta = (fromTimestamp, toTimestamp, timeZone) =>
+  wallClockAsUtc(getZonedParts(toTimestamp, timeZone)) - wallClockAsUtc(getZonedParts(fromTimestamp, timeZone));
+
+export const localDateKey = (timestamp, timeZone) => formatDateKey(getZonedParts(timestamp, timeZone));
@@ -0,0 +1,190 @@
+// Text analysis for full-text search: tokenizing, stop words, stemming and
+// query parsing. Kept free of any index state so it can be reused.
+
+export const STOP_WORDS = new Set([
+  "a", "about", "an", "and", "are", "as", "at", "be", "but", "by", "can", "do", "does", "for", "from",
+  "has", "have", "how", "i", "if", "in", "into", "is", "it", "its", "me", "my", "of", "on", "or",
+  "our", "so", "that", "the", "their", "then", "there", "these", "this", "to", "was", "we", "what",
+  "when", "where", "which", "who", "why", "will", "with", "you", "your"
+]);
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Porter (1980) stemmer
+const isConsonant = (word, index) => {
+  const char = word[index];
+  if ("aeiou".includes(char)) return false;
+  if (char === "y") return index === 0 ? true : !isConsonant(word, index - 1);
+  return true;
+};
+
+// Number of vowel-consonant sequences in the stem
+const measure = (stem) => {
+  let count = 0;
+  let index = 0;
+
+  while (index < stem.length && isConsonant(stem, index)) index++;
+  while (index < stem.length) {
+    while (index < stem.length && !isConsonant(stem, index)) index++;
+    if (index >= stem.length) break;
+    count++;
+    while (index < stem.length && isConsonant(stem, index)) index++;
+  }
+
+  return count;
+};
+
+const hasVowel = (stem) => [...stem].some((_, index) => !isConsonant(stem, index));
+
+const endsWithDoubleConsonant = (word) =>
+  word.length >= 2 && word[word.length - 1] === word[word.length - 2] && isConsonant(word, word.length - 1);
+
+// consonant-vowel-consonant, where the last consonant is not w, x or y
+const endsWithCvc = (word) => {
+  const length = word.length;
+  return length >= 3 &&
+    isConsonant(word, length - 3) && !isConsonant(word, length - 2) && isConsonant(word, length - 1) &&
+    !"wxy".includes(word[length - 1]);
+};
+
+const STEP_2_SUFFIXES = [
+  ["ational", "ate"], ["tional", "tion"], ["enci", "ence"], ["anci", "ance"], ["izer", "ize"],
+  ["bli", "ble"], ["alli", "al"], ["entli", "ent"], ["eli", "e"], ["ousli", "ous"], ["ization", "ize"],
+  ["ation", "ate"], ["ator", "ate"], ["alism", "al"], ["iveness", "ive"], ["fulness", "ful"],
+  ["ousness", "ous"], ["aliti", "al"], ["iviti", "ive"], ["biliti", "ble"], ["logi", "log"]
+].sort((a, b) => b[0].length - a[0].length);
+
+const STEP_3_SUFFIXES = [
+  ["icate", "ic"], ["ative", ""], ["alize", "al"], ["iciti", "ic"], ["ical", "ic"], ["ful", ""], ["ness", ""]
+].sort((a, b) => b[0].length - a[0].length);
+
+const STEP_4_SUFFIXES = [
+  "al", "ance", "ence", "er", "ic", "able", "ible", "ant", "ement", "ment", "ent", "ion", "ou", "ism",
+  "ate", "iti", "ous", "ive", "ize"
+].sort((a, b) => b.length - a.length);
+
+// Replaces the longest matching suffix when the remaining stem's measure is
+// above minMeasure; a longest match that fails the condition ends the step
+const replaceSuffix = (word, rules, minMeasure) => {
+  for (const [suffix, replacement] of rules) {
+    if (word.endsWith(suffix)) {
+      const stem = word.slice(0, -suffix.length);
+      return measure(stem) > minMeasure ? stem + replacement : word;
+    }
+  }
+  return word;
+};
+
+export const stem = (input) => {
+  let word = input;
+  if (word.length <= 2) return word;
+
+  // Step 1a: plurals
+  if (word.endsWith("sses")) word = word.slice(0, -2);
+  else if (word.endsWith("ies")) word = word.slice(0, -2);
+  else if (!word.endsWith("ss") && word.endsWith("s")) word = word.slice(0, -1);
+
+  // Step 1b: -ed and -ing
+  if (word.endsWith("eed")) {
+    if (measure(word.slice(0, -3)) > 0) word = word.slice(0, -1);
+  } else {
+    const suffix = ["ed", "ing"].find(ending => word.endsWith(ending) && hasVowel(word.slice(0, -ending.length)));
+    if (suffix) {
+      word = word.slice(0, -suffix.length);
+      if (word.endsWith("at") || word.endsWith("bl") || word.endsWith("iz")) {
+        word += "e";
+      } else if (endsWithDoubleConsonant(word) && !"lsz".includes(word[word.length - 1])) {
+        word = word.slice(0, -1);
+      } else if (measure(word) === 1 && endsWithCvc(word)) {
+        word += "e";
+      }
+    }
+  }
+
+  // Step 1c: terminal y
+  if (word.endsWith("y") && hasVowel(word.slice(0, -1))) {
+    word = `${word.slice(0, -1)}i`;
+  }
+
+  word = replaceSuffix(word, STEP_2_SUFFIXES, 0);
+  word = replaceSuffix(word, STEP_3_SUFFIXES, 0);
+
+  // Step 4: -ion only comes off after s or t
+  const step4 = STEP_4_SUFFIXES.find(suffix => word.endsWith(suffix));
+  if (step4) {
+    const stemmed = word.slice(0, -step4.length);
+    if (measure(stemmed) > 1 && (step4 !== "ion" || /[st]$/.test(stemmed))) {
+      word = stemmed;
+    }
+  }
+
+  // Step 5: tidy up final e and double l
+  if (word.endsWith("e")) {
+    const stemmed = word.slice(0, -1);
+    const m = measure(stemmed);
+    if (m > 1 || (m === 1 && !endsWithCvc(stemmed))) word = stemmed;
+  }
+  if (measure(word) > 1 && word.endsWith("ll")) {
+    word = word.slice(0, -1);
+  }
+
+  return word;
+};
+
+// Folds case and accents so "Café" matches "cafe"
+export const normalizeToken = (token) => token.toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+
+// Splits text into tokens with their position (word index) and character
+// offsets in the original text. Stop words keep their position, so phrase
+// queries still line up, but are marked so they can be left out of the index.
+export const tokenize = (text = "") => {
+  const tokens = [];
+  let position = 0;
+
+  for (const match of String(text).matchAll(TOKEN_PATTERN)) {
+    const surface = normalizeToken(match[0]);
+    tokens.push({
+      surface,
+      term: stem(surface),
+      stopWord: STOP_WORDS.has(surface),
+      position: position++,
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return tokens;
+};
+
+// Parses a search query: "quoted phrases" must appear as written, words
+// ending in * match any word starting with them, and other words are ranked
+// by relevance
+export const parseSearchQuery = (query = "") => {
+  const phrases = [];
+  const terms = [];
+  const prefixes = [];
+
+  const remainder = String(query).replace(/"([^"]*)"/g, (_, phrase) => {
+    const tokens = tokenize(phrase);
+    if (tokens.some(token => !token.stopWord)) {
+      const first = tokens[0].position;
+      phrases.push(tokens.map(token => ({ ...token, offset: token.position - first })));
+    }
+    return " ";
+  });
+
+  for (const word of remainder.split(/\s+/).filter(Boolean)) {
+    const isPrefix = word.endsWith("*");
+    const tokens = tokenize(word);
+
+    tokens.forEach((token, index) => {
+      if (isPrefix && index === tokens.length - 1 && token.surface.length >= 2) {
+        prefixes.push(token.surface);
+      } else if (!token.stopWord) {
+        terms.push(token.term);
+      }
+    });
+  }
+
+  return { terms: [...new Set(terms)], phrases, prefixes: [...new Set(prefixes)] };
+};